@@ -1,41 +1,68 @@
 /**
  * Web Audio scheduling engine.
- * Implements the lookahead pattern for precise beat timing,
- * per-person clap characteristics, and LOD for large crowds.
+ * Implements the lookahead pattern for precise beat timing on top of the
+ * crowd simulation (simulation.js), which decides every clap: this adds the
+ * rendered voices and clusters, live playback and offline rendering.
  */
 
-import { LOOKAHEAD_MS, SCHEDULE_INTERVAL_MS, LOD_CLAPPER_THRESHOLD, LOD_SAMPLE_COUNT, CC0_SAMPLE_BASE64, FOOTSTOMP_BASE64 } from './constants.js';
-import { sampleOffset } from './distributions.js';
-import { synthesizeClapVariants } from './synthesizer.js';
-
-export class AudioEngine {
+import {
+  LOOKAHEAD_MS, WORKLET_LOOKAHEAD_MS, DROP_LATE_MS, SCHEDULE_INTERVAL_MS, LOD_CLUSTER_SIZE, LOD_CLUSTER_SPARE,
+  LOD_CLUSTER_POOLS, EXPORT_PREROLL_SEC, EXPORT_TAIL_SEC, CC0_SAMPLE_BASE64, FOOTSTOMP_BASE64,
+} from './constants.js';
+import { streamFor } from './random.js';
+import { DISTRIBUTION_PARAMS } from './distributions.js';
+import { personOffset } from './timing-model.js';
+import { CrowdSimulation, BUILT_IN_INSTRUMENTS } from './simulation.js';
+import { renderClap } from './synthesizer.js';
+import { REVERB_PRESETS, synthesizeImpulseResponse } from './reverb.js';
+import { autoTrim, applyTrim, channelsOf } from './sample-editing.js';
+import { ClusterMixer } from './clusters.js';
+import { WorkletPlayer } from './worklet-player.js';
+import { TightnessMeter } from './tightness-meter.js';
+import { analyzeStep, summarize } from './onset-analysis.js';
+
+export class AudioEngine extends CrowdSimulation {
   constructor() {
+    super();
     this.audioCtx = null;
     this.masterGain = null;
+    // Taps the live mix for the waveform and spectrogram views
+    this.analyser = null;
+    // Live output chain (see createOutput)
+    this.output = null;
     this.schedulerTimer = null;
-
-    // Pre-rendered clap variants from synthesizer
-    this.clapVariants = null;
-    // Decoded CC0 sample buffer
-    this.sampleBuffer = null;
-    // Decoded foot stomp sample buffer
-    this.footstompBuffer = null;
-    // User-uploaded custom buffer
-    this.customBuffer = null;
-
-    // Per-person characteristics: { variantIndex, pitchFactor, volumeFactor }
-    this.persons = [];
+    // Audio-thread clap player, if AudioWorklet is available (see loadWorklet)
+    this.worklet = null;
+    // Live tightness meter on the output mix, if AudioWorklet is available (see loadMeter)
+    this.meter = null;
+    // How live playback keeps up, see playbackStats
+    this.stats = { underruns: 0, late: 0, dropped: 0 };
+
+    // Rendered synthesized claps by voice key (see regeneratePersons), rendered one at a time
+    this.voiceBuffers = new Map();
+    // Voices of the last complete render, lent to persons whose own voice is not ready
+    this.fallbackVoices = [];
+    this.voiceQueue = Promise.resolve();
+    // Resolves once every current person's voice is rendered
+    this.voicesReady = Promise.resolve();
+    // Bumped whenever the rendered voices change (see clusterKey)
+    this.voiceVersion = 0;
+    // Rendered reverb impulse responses by preset name
+    this.impulses = {};
+    // Pre-rendered crowd clusters by clusterKey, least recently used first (see clustersFor)
+    this.clusterPools = new Map();
+    this.clusterMixer = new ClusterMixer();
 
     // Scheduling state
     this.nextBeatTime = 0;
     this.currentBeat = 0;
 
+    // Effective (automated) parameters of the last scheduled step
+    this.liveParams = null;
+
     // Shared event log for visualization
     this.clapEvents = [];
     this.maxEvents = 5000;
-
-    // State reference (set by main.js)
-    this.state = null;
   }
 
   /**
@@ -45,8 +72,83 @@ export class AudioEngine {
     if (this.audioCtx) return;
     const Ctx = window.AudioContext || window.webkitAudioContext;
     this.audioCtx = new Ctx();
-    this.masterGain = this.audioCtx.createGain();
-    this.masterGain.connect(this.audioCtx.destination);
+    this.output = this.createOutput(this.audioCtx);
+    this.masterGain = this.output.master;
+    this.analyser = this.audioCtx.createAnalyser();
+    this.analyser.fftSize = 2048;
+    // Claps are transients: show each frame as it is
+    this.analyser.smoothingTimeConstant = 0;
+    this.masterGain.connect(this.analyser);
+  }
+
+  /**
+   * Build the output chain that claps are routed into:
+   * input → dry ─────────────────────────→ master
+   * input → pre-delay → convolver → wet ──↗
+   * Works for both the live AudioContext and an OfflineAudioContext.
+   * @param {BaseAudioContext} ctx
+   * @returns {{ ctx: BaseAudioContext, input: AudioNode, master: GainNode, dry: GainNode,
+   *   wet: GainNode, preDelay: DelayNode, convolver: ConvolverNode|null }}
+   */
+  createOutput(ctx) {
+    const master = ctx.createGain();
+    master.connect(ctx.destination);
+
+    const input = ctx.createGain();
+    const dry = ctx.createGain();
+    const wet = ctx.createGain();
+    const preDelay = ctx.createDelay(1);
+    input.connect(dry);
+    dry.connect(master);
+    input.connect(preDelay);
+    wet.connect(master);
+
+    const output = { ctx, input, master, dry, wet, preDelay, convolver: null };
+    this.applyReverb(output);
+    return output;
+  }
+
+  /**
+   * Render the impulse response for the selected reverb (if not cached yet)
+   * and apply the reverb settings to the live output. An unknown preset
+   * (from an old preset or a hand-edited link) turns the reverb off.
+   */
+  async setReverb() {
+    if (!Object.hasOwn(REVERB_PRESETS, this.state.reverb)) this.state.reverb = 'off';
+    const name = this.state.reverb;
+    if (name !== 'off' && !this.impulses[name]) {
+      const rng = streamFor(this.state.seed, 'reverb');
+      this.impulses[name] = await synthesizeImpulseResponse(name, this.audioCtx.sampleRate, rng);
+    }
+    if (this.output) this.applyReverb(this.output);
+  }
+
+  /**
+   * Apply the reverb preset, wet/dry mix and pre-delay to an output chain.
+   * A preset whose impulse response is not rendered yet plays dry.
+   * @param {object} output - Chain from createOutput
+   */
+  applyReverb(output) {
+    const { reverb, reverbMix, reverbPreDelay } = this.state;
+    const impulse = reverb === 'off' ? null : this.impulses[reverb] || null;
+
+    // A convolver's impulse response is swapped by replacing the node
+    if ((output.convolver ? output.convolver.buffer : null) !== impulse) {
+      if (output.convolver) output.convolver.disconnect();
+      output.convolver = null;
+      if (impulse) {
+        output.convolver = output.ctx.createConvolver();
+        output.convolver.buffer = impulse;
+        output.preDelay.connect(output.convolver);
+        output.convolver.connect(output.wet);
+      }
+    }
+
+    const mix = impulse ? reverbMix : 0;
+    const now = output.ctx.currentTime;
+    output.dry.gain.setValueAtTime(1 - mix, now);
+    output.wet.gain.setValueAtTime(mix, now);
+    output.preDelay.delayTime.setValueAtTime(reverbPreDelay / 1000, now);
   }
 
   /**
@@ -64,18 +166,15 @@ export class AudioEngine {
   async init() {
     if (!this.audioCtx) this.createContext();
 
-    // Pre-render synthesized clap variants
-    this.clapVariants = await synthesizeClapVariants();
+    // Pre-render the reverb (claps are rendered per person, see regeneratePersons)
+    await this.setReverb();
+    await this.loadWorklet();
+    await this.loadMeter();
 
     // Decode embedded CC0 sample if available
     if (CC0_SAMPLE_BASE64) {
       try {
-        const binary = atob(CC0_SAMPLE_BASE64);
-        const bytes = new Uint8Array(binary.length);
-        for (let i = 0; i < binary.length; i++) {
-          bytes[i] = binary.charCodeAt(i);
-        }
-        this.sampleBuffer = await this.decodeAudio(bytes.buffer.slice(0));
+        await this.addEmbeddedSample(BUILT_IN_INSTRUMENTS.sample, CC0_SAMPLE_BASE64);
       } catch (e) {
         console.warn('Failed to decode embedded CC0 sample:', e);
       }
@@ -84,12 +183,7 @@ export class AudioEngine {
     // Decode embedded foot stomp sample if available
     if (FOOTSTOMP_BASE64) {
       try {
-        const binary = atob(FOOTSTOMP_BASE64);
-        const bytes = new Uint8Array(binary.length);
-        for (let i = 0; i < binary.length; i++) {
-          bytes[i] = binary.charCodeAt(i);
-        }
-        this.footstompBuffer = await this.decodeAudio(bytes.buffer.slice(0));
+        await this.addEmbeddedSample(BUILT_IN_INSTRUMENTS.stomp, FOOTSTOMP_BASE64);
       } catch (e) {
         console.warn('Failed to decode embedded foot stomp sample:', e);
       }
@@ -97,61 +191,199 @@ export class AudioEngine {
   }
 
   /**
-   * Decode a user-uploaded audio file.
-   * @param {ArrayBuffer} arrayBuffer - The uploaded file data
+   * Set up the audio-thread clap player; without it claps are always played as nodes.
    */
-  async loadCustomSample(arrayBuffer) {
-    this.customBuffer = await this.decodeAudio(arrayBuffer);
+  async loadWorklet() {
+    if (this.worklet) return;
+    try {
+      this.worklet = await WorkletPlayer.create(this.audioCtx, this.output.input);
+    } catch (e) {
+      console.warn('AudioWorklet unavailable, scheduling claps as nodes:', e);
+    }
   }
 
   /**
-   * Regenerate per-person characteristics for the given count.
-   * @param {number} count - Number of clappers
+   * Set up the live tightness meter; without it tightness() stays empty.
    */
-  regeneratePersons(count) {
-    this.persons = [];
-    const numVariants = this.clapVariants ? this.clapVariants.length : 1;
-    for (let i = 0; i < count; i++) {
-      this.persons.push({
-        variantIndex: Math.floor(Math.random() * numVariants),
-        pitchFactor: 0.92 + Math.random() * 0.16, // [0.92, 1.08]
-        volumeFactor: 0.6 + Math.random() * 0.4,   // [0.6, 1.0]
-      });
+  async loadMeter() {
+    if (this.meter) return;
+    try {
+      this.meter = await TightnessMeter.create(this.audioCtx, this.output.master);
+    } catch (e) {
+      console.warn('AudioWorklet unavailable, no live tightness meter:', e);
     }
   }
 
   /**
-   * Get the appropriate AudioBuffer for a given person.
-   * @param {object} person - Person characteristics
-   * @param {number} [beatNumber] - Beat counter for pattern modes
+   * How tight the last played steps sounded, measured from the output mix.
+   * @returns {Array<{ time: number, onsetMs: number, widthMs: number, fusion: number, flams: number }>}
+   *   Oldest first, see onset-analysis.js
    */
-  getBuffer(person, beatNumber) {
-    const source = this.state.soundSource;
+  tightness() {
+    return this.meter ? this.meter.update() : [];
+  }
 
-    // Queen mode: foot-foot-clap-rest pattern
-    if (source === 'queen') {
-      const pos = beatNumber % 4;
-      if (pos === 3) return null; // rest
-      if (pos <= 1) return this.footstompBuffer; // foot stomp
-      // pos === 2: clap — use synthesized variant
-      if (this.clapVariants) return this.clapVariants[person.variantIndex];
-      return null;
-    }
+  /**
+   * Whether live claps go to the audio-thread player rather than one node chain each.
+   * @returns {boolean}
+   */
+  usesWorklet() {
+    return this.worklet !== null && this.state.playback === 'worklet';
+  }
 
-    if (source === 'custom' && this.customBuffer) {
-      return this.customBuffer;
-    }
-    if (source === 'sample' && this.sampleBuffer) {
-      return this.sampleBuffer;
-    }
-    if (source === 'footstomp' && this.footstompBuffer) {
-      return this.footstompBuffer;
-    }
-    // Default: synthesized
-    if (this.clapVariants) {
-      return this.clapVariants[person.variantIndex];
+  /**
+   * How live playback has kept up since it started.
+   * @returns {{ worklet: boolean, underruns: number, late: number, dropped: number }}
+   *   `underruns`: scheduler ticks that found it had fallen behind the audio clock;
+   *   `late`: claps started after their time; `dropped`: claps skipped for being
+   *   more than DROP_LATE_MS late
+   */
+  playbackStats() {
+    const audioThread = this.worklet ? this.worklet.stats : { late: 0, dropped: 0 };
+    return {
+      worklet: this.usesWorklet(),
+      underruns: this.stats.underruns,
+      late: this.stats.late + audioThread.late,
+      dropped: this.stats.dropped + audioThread.dropped,
+    };
+  }
+
+  /**
+   * Decode a base64 sample into a built-in library instrument.
+   * @param {string} instrument - Instrument name
+   * @param {string} base64 - Encoded audio file
+   */
+  async addEmbeddedSample(instrument, base64) {
+    if (this.library.get(instrument)) return;
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
     }
-    return null;
+    const buffer = await this.decodeAudio(bytes.buffer.slice(0));
+    this.library.add(instrument, instrument, buffer, { builtIn: true });
+  }
+
+  /**
+   * Decode a user audio file into the sample library.
+   * @param {string} instrument - Instrument to add the sample to
+   * @param {string} name - Sample name
+   * @param {ArrayBuffer} arrayBuffer - The file data (detached by decoding)
+   * @param {{ id?: number|null, trims?: Array<object|null> }} [options] - Store id, and the
+   *   trims to cut from the file (see sample-editing.js), one sample each; a null trim is
+   *   detected from the file's onset
+   * @returns {Promise<object[]>} The library's records of the samples
+   */
+  async addSample(instrument, name, arrayBuffer, { id = null, trims = [null] } = {}) {
+    const original = await this.decodeAudio(arrayBuffer);
+    return trims.map((trim, i) => {
+      const sliceName = trims.length > 1 ? `${name} #${i + 1}` : name;
+      return this.addSlice(instrument, sliceName, original, {
+        id, trim: trim ?? autoTrim(channelsOf(original), original.sampleRate),
+      });
+    });
+  }
+
+  /**
+   * Add one trimmed region of a decoded file to the library.
+   * @param {string} instrument
+   * @param {string} name
+   * @param {AudioBuffer} original - Decoded file
+   * @param {{ id: number|null, trim: object }} options
+   * @returns {object} The library's record of the sample
+   */
+  addSlice(instrument, name, original, { id, trim }) {
+    return this.library.add(instrument, name, this.trimBuffer(original, trim), { id, original, trim });
+  }
+
+  /**
+   * Cut, fade and normalize a buffer.
+   * @param {AudioBuffer} buffer
+   * @param {{ start: number, end: number, fade: number, normalize: boolean }} trim
+   * @returns {AudioBuffer}
+   */
+  trimBuffer(buffer, trim) {
+    const channels = applyTrim(channelsOf(buffer), buffer.sampleRate, trim);
+    const trimmed = this.audioCtx.createBuffer(channels.length, channels[0].length, buffer.sampleRate);
+    channels.forEach((data, c) => trimmed.copyToChannel(data, c));
+    return trimmed;
+  }
+
+  /**
+   * Apply a new seed: rebuild the crowd and re-render its voices and the reverb.
+   * With the same seed, the same count always yields the same crowd.
+   */
+  async reseed() {
+    this.voiceBuffers.clear();
+    this.impulses = {};
+    await this.setReverb();
+    // A new seed redraws everyone, seeded or not
+    this.persons = [];
+    this.regeneratePersons();
+    this.run = this.createRun();
+    await this.voicesReady;
+  }
+
+  /**
+   * Recompute every person's synthesis parameters from the synth settings and
+   * render the voices that changed. Until a new voice is ready the person keeps
+   * their previous one, or borrows one from the last complete render.
+   */
+  updateVoices() {
+    super.updateVoices();
+    this.voicesReady = this.renderVoices();
+  }
+
+  /**
+   * A person's rendered voice, or until it is ready their previous one, or one
+   * borrowed from the last complete render.
+   * @param {object} person
+   * @returns {AudioBuffer|null}
+   */
+  voiceBuffer(person) {
+    return this.voiceBuffers.get(person.synthKey)
+      || this.voiceBuffers.get(person.prevSynthKey)
+      || this.fallbackVoices[person.index % this.fallbackVoices.length]
+      || null;
+  }
+
+  /**
+   * Render missing voices for the current crowd, after any render already running,
+   * then drop the ones no longer used.
+   * @returns {Promise<void>}
+   */
+  renderVoices() {
+    this.voiceQueue = this.voiceQueue.then(async () => {
+      let changed = false;
+      for (const person of this.persons) {
+        if (this.voiceBuffers.has(person.synthKey)) continue;
+        // Per-voice noise stream, so a voice does not depend on who else is in the crowd
+        const rng = streamFor(this.state.seed, `synth${person.voiceIndex}`);
+        this.voiceBuffers.set(person.synthKey, await renderClap(person.synth, rng));
+        changed = true;
+      }
+      const used = new Set(this.persons.map(p => p.synthKey));
+      for (const key of this.voiceBuffers.keys()) {
+        if (!used.has(key)) this.voiceBuffers.delete(key);
+      }
+      this.fallbackVoices = [...this.voiceBuffers.values()];
+      if (changed) this.voiceVersion++;
+    });
+    return this.voiceQueue;
+  }
+
+  /**
+   * Play one person's clap right away, dry of any spatial placement.
+   * @param {number} index - Person index
+   * @returns {object|null} The person, or null if their voice is not rendered yet
+   */
+  audition(index) {
+    const person = this.persons[index];
+    const buffer = person && this.getBuffer(person, 'clap');
+    if (!buffer) return null;
+    const clap = { buffer, rate: person.pitchFactor, gain: person.volumeFactor, position: null };
+    this.playClap(this.output, clap, this.audioCtx.currentTime);
+    return person;
   }
 
   /**
@@ -166,6 +398,11 @@ export class AudioEngine {
     this.nextBeatTime = this.audioCtx.currentTime + 0.05;
     this.currentBeat = 0;
     this.clapEvents = [];
+    this.run = this.createRun();
+    this.liveParams = null;
+    this.stats = { underruns: 0, late: 0, dropped: 0 };
+    if (this.worklet) this.worklet.reset();
+    if (this.meter) this.meter.reset();
 
     this.schedulerTimer = setInterval(() => this.schedule(), SCHEDULE_INTERVAL_MS);
   }
@@ -178,6 +415,7 @@ export class AudioEngine {
       clearInterval(this.schedulerTimer);
       this.schedulerTimer = null;
     }
+    if (this.worklet) this.worklet.stop();
   }
 
   /**
@@ -192,93 +430,420 @@ export class AudioEngine {
 
   /**
    * Lookahead scheduler - called every SCHEDULE_INTERVAL_MS.
-   * Schedules all beats that fall within the lookahead window.
+   * Schedules all steps that fall within the lookahead window.
+   * A step is a beat, or a pattern subdivision in pattern mode.
+   * While following live taps or a MIDI clock there is no grid:
+   * beats come from triggerBeat or clockBeat.
    */
   schedule() {
-    const lookaheadSec = LOOKAHEAD_MS / 1000;
-    const beatInterval = 60 / this.state.bpm;
+    const lookaheadSec = (this.usesWorklet() ? WORKLET_LOOKAHEAD_MS : LOOKAHEAD_MS) / 1000;
+
+    if (this.state.tapFollow || this.state.clockSource === 'midi') {
+      // Keep the grid parked at "now" so it resumes cleanly when following stops
+      this.nextBeatTime = this.audioCtx.currentTime + lookaheadSec;
+      return;
+    }
+
+    // A step that should have been scheduled already: the main thread was held up
+    if (this.nextBeatTime < this.audioCtx.currentTime) this.stats.underruns++;
 
     while (this.nextBeatTime < this.audioCtx.currentTime + lookaheadSec) {
-      this.scheduleBeat(this.nextBeatTime, this.currentBeat);
-      this.nextBeatTime += beatInterval;
+      const params = this.paramsFor(this.currentBeat);
+      this.liveParams = params;
+      this.scheduleBeat(this.nextBeatTime, this.currentBeat, params);
+      this.nextBeatTime += 60 / params.bpm / this.stepsPerBeat();
       this.currentBeat++;
     }
   }
 
   /**
-   * Schedule all claps for a single beat.
-   * @param {number} beatTime - The exact time of the beat in audio context time
-   * @param {number} beatNumber - Sequential beat counter (used for pattern modes)
+   * Play one beat in response to a live tap: the crowd claps after its reaction
+   * latency, each clapper with its usual offset.
+   * @param {number} tapTime - Tap time in audio context time
    */
-  scheduleBeat(beatTime, beatNumber) {
-    const { clapperCount, spread, distribution, betaAlpha, betaBeta } = this.state;
+  triggerBeat(tapTime) {
+    // Every tap starts a new beat, even if the last one's subdivisions were cut short
+    const stepsPerBeat = this.stepsPerBeat();
+    const firstStep = Math.ceil(this.currentBeat / stepsPerBeat) * stepsPerBeat;
+    this.playBeat(tapTime + this.state.reactionMs / 1000, firstStep);
+  }
 
-    let personsToSchedule;
-    let gainScale = 1;
+  /**
+   * Play one beat of an external MIDI clock.
+   * @param {number} beatTime - Beat time in audio context time
+   * @param {number} beatIndex - Beats since the clock's start message, so patterns stay in bar
+   */
+  clockBeat(beatTime, beatIndex) {
+    this.playBeat(beatTime, beatIndex * this.stepsPerBeat());
+  }
 
-    // Level-of-detail: subsample for large crowds
-    if (clapperCount > LOD_CLAPPER_THRESHOLD) {
-      personsToSchedule = this.samplePersons(LOD_SAMPLE_COUNT);
-      gainScale = Math.sqrt(clapperCount / LOD_SAMPLE_COUNT);
-    } else {
-      personsToSchedule = this.persons.slice(0, clapperCount);
+  /**
+   * Schedule an externally timed beat; in pattern mode its subdivisions
+   * follow at the current tempo.
+   * @param {number} beatTime - Beat time in audio context time
+   * @param {number} firstStep - Step number of the beat's first step
+   */
+  playBeat(beatTime, firstStep) {
+    const stepsPerBeat = this.stepsPerBeat();
+    let step = firstStep;
+    let stepTime = beatTime;
+    for (let i = 0; i < stepsPerBeat; i++) {
+      const params = this.paramsFor(step);
+      this.liveParams = params;
+      this.scheduleBeat(stepTime, step, params);
+      stepTime += 60 / params.bpm / stepsPerBeat;
+      step++;
     }
+    this.currentBeat = step;
+  }
 
-    for (let pi = 0; pi < personsToSchedule.length; pi++) {
-      const person = personsToSchedule[pi];
-      const offsetMs = sampleOffset(distribution, spread, betaAlpha, betaBeta);
-      const offsetSec = offsetMs / 1000;
-      const clapTime = beatTime + offsetSec;
+  /**
+   * Convert a DOM event timestamp to audio context time.
+   * @param {number} timeStampMs - Time on the performance.now() clock
+   * @returns {number} Context time in seconds
+   */
+  contextTimeAt(timeStampMs) {
+    return this.audioCtx.currentTime - (performance.now() - timeStampMs) / 1000;
+  }
 
-      // Skip if clap time is in the past
-      if (clapTime < this.audioCtx.currentTime - 0.1) continue;
+  /**
+   * Schedule all claps for a single beat (or pattern step) on the live context.
+   * @param {number} beatTime - The exact time of the step in audio context time
+   * @param {number} stepNumber - Sequential step counter (used for pattern modes)
+   * @param {object} [params] - Effective parameters for this step
+   */
+  scheduleBeat(beatTime, stepNumber, params = this.paramsFor(stepNumber)) {
+    const now = this.audioCtx.currentTime;
+    this.automateVolume(this.output, params, Math.max(beatTime, now));
+    const options = { clusters: this.state.lod === 'clusters' };
+    const claps = this.planBeat(beatTime, stepNumber, this.run, params, options);
+    // The audio thread starts late claps and drops stale ones itself
+    const worklet = this.usesWorklet();
+    if (worklet) this.worklet.play(claps);
+    if (this.meter && claps.length > 0) this.meter.expect(beatTime, 60 / params.bpm / this.stepsPerBeat());
+    for (const clap of claps) {
+      if (!worklet) {
+        // Skip if clap time is in the past
+        if (clap.time < now - DROP_LATE_MS / 1000) {
+          this.stats.dropped++;
+          continue;
+        }
+        if (clap.time < now) this.stats.late++;
+        this.playClap(this.output, clap, Math.max(clap.time, now));
+      }
 
-      const buffer = this.getBuffer(person, beatNumber);
-      if (!buffer) continue;
+      // Log event for visualization, as heard (including the spatial delay)
+      if (clap.events) {
+        for (const event of clap.events) this.logEvent(beatTime, stepNumber, event.offsetMs + clap.delayMs, event.personIndex);
+      } else {
+        this.logEvent(beatTime, stepNumber, clap.offsetMs + clap.delayMs, clap.personIndex);
+      }
+    }
+  }
 
-      // Create source node
-      const source = this.audioCtx.createBufferSource();
-      source.buffer = buffer;
-      source.playbackRate.value = person.pitchFactor;
+  /**
+   * Pre-rendered clusters for a group and sound. Starts rendering them if needed;
+   * until enough are ready (or if they cannot be rendered here) returns null, and
+   * the step falls back to sampling clappers.
+   * @param {object} group - Group from crowdGroups
+   * @param {string} sound - Step sound the group plays
+   * @param {number} count - Clusters needed on this step
+   * @returns {object[]|null} At least `count` clusters from renderCluster
+   */
+  clustersFor(group, sound, count) {
+    if (this.clusterMixer.failed) return null;
+    // Without sections the clusters draw on the whole crowd, so clapper-count automation
+    // does not need new ones every step; persons are alike wherever they sit in it
+    const span = this.state.sections.length > 0 ? group.count : this.persons.length - group.start;
+    const key = this.clusterKey(group, sound, span);
+    const pool = this.clusterPools.get(key) || { key, clusters: [], target: 0, rendering: false };
+    // Most recently used last, so the least recently used set is dropped first
+    this.clusterPools.delete(key);
+    this.clusterPools.set(key, pool);
+    if (this.clusterPools.size > LOD_CLUSTER_POOLS) {
+      this.clusterPools.delete(this.clusterPools.keys().next().value);
+    }
 
-      // Per-clap gain
-      const gain = this.audioCtx.createGain();
-      gain.gain.value = person.volumeFactor * gainScale;
+    pool.target = Math.max(pool.target, Math.ceil(count * LOD_CLUSTER_SPARE));
+    if (!pool.rendering && pool.clusters.length < pool.target) {
+      this.renderClusters(pool, group, sound, span);
+    }
+    return pool.clusters.length >= count ? pool.clusters : null;
+  }
 
-      source.connect(gain);
-      gain.connect(this.masterGain);
+  /**
+   * Everything a group's clusters depend on: the persons and their voices, the
+   * sound, the timing parameters and the listener's place in the room.
+   * @param {object} group - Group from crowdGroups
+   * @param {string} sound
+   * @param {number} span - Persons the clusters draw on, from the group's start
+   * @returns {string}
+   */
+  clusterKey(group, sound, span) {
+    const { params } = group;
+    const shape = (DISTRIBUTION_PARAMS[params.distribution] || []).map(({ key }) => params[key]);
+    const custom = { drawn: params.drawnDensity, empirical: params.empiricalOffsets, mixture: params.mixture };
+    const { seed, spatialLayout, listenerX, listenerY } = this.state;
+    return JSON.stringify([
+      group.start, span, this.persons.length, seed, this.voiceVersion, this.library.version,
+      sound, this.state.instrument,
+      params.distribution, params.spread, params.personBias, shape, custom[params.distribution] || null,
+      spatialLayout, listenerX, listenerY,
+    ]);
+  }
 
-      source.start(Math.max(clapTime, this.audioCtx.currentTime));
+  /**
+   * Render clusters one at a time until the pool reaches its target. Stops early
+   * once the pool is dropped or its voices change.
+   * @param {object} pool - Entry of clusterPools
+   * @param {object} group - Group from crowdGroups
+   * @param {string} sound
+   * @param {number} span - Persons to draw on, from the group's start
+   */
+  async renderClusters(pool, group, sound, span) {
+    pool.rendering = true;
+    try {
+      await this.voicesReady;
+      // Seeded per pool, so a seeded crowd renders the same clusters
+      const run = { rng: streamFor(this.state.seed, `clusters${pool.key}`), roundRobin: {} };
+      while (pool.clusters.length < pool.target
+        && this.clusterPools.get(pool.key) === pool
+        && this.clusterKey(group, sound, span) === pool.key) {
+        pool.clusters.push(await this.renderCluster(group, sound, span, run));
+      }
+    } catch (e) {
+      console.warn('Failed to render crowd clusters, sampling clappers instead:', e);
+    }
+    pool.rendering = false;
+  }
 
-      // Log event for visualization
-      this.logEvent(beatTime, offsetMs, pi);
+  /**
+   * Mix one cluster in the worker: LOD_CLUSTER_SIZE claps, each offset as on an
+   * ordinary step (without drift) and delayed by its clapper's seat. In a spatial
+   * layout the clappers sit together and the cluster plays from where the first sits.
+   * @param {object} group - Group from crowdGroups
+   * @param {string} sound
+   * @param {number} span - Persons to draw on, from the group's start
+   * @param {{ rng: () => number, roundRobin: object }} run - Random source and sample picking
+   * @returns {Promise<{ buffer: AudioBuffer, startMs: number, position: object|null,
+   *   events: Array<{ personIndex: number, offsetMs: number }> }>} The mix starts at `startMs`
+   *   from the beat; events are the claps it holds, offsets including the seat delay
+   */
+  async renderCluster(group, sound, span, run) {
+    const members = this.clusterMembers(group.start, span, run.rng);
+    const events = members.map(person => {
+      const spatial = this.geometry[person.index];
+      const offsetMs = personOffset(person, 0, group.params, run.rng) + (spatial ? spatial.delayMs : 0);
+      return { personIndex: person.index, offsetMs };
+    });
+    const startMs = Math.min(...events.map(e => e.offsetMs));
+
+    const sounds = [];
+    const soundIndex = new Map();
+    const claps = [];
+    members.forEach((person, i) => {
+      const buffer = this.getBuffer(person, sound, 1, run);
+      if (!buffer) return;
+      if (!soundIndex.has(buffer)) {
+        soundIndex.set(buffer, sounds.length);
+        sounds.push({ channels: channelsOf(buffer), sampleRate: buffer.sampleRate });
+      }
+      claps.push({
+        sound: soundIndex.get(buffer),
+        time: (events[i].offsetMs - startMs) / 1000,
+        rate: person.pitchFactor,
+        gain: person.volumeFactor,
+      });
+    });
+
+    const sampleRate = this.audioCtx.sampleRate;
+    const data = await this.clusterMixer.mix(sounds, claps, sampleRate);
+    const buffer = this.audioCtx.createBuffer(1, Math.max(1, data.length), sampleRate);
+    buffer.copyToChannel(data, 0);
+    return { buffer, startMs, position: this.geometry[members[0].index] || null, events };
+  }
+
+  /**
+   * Persons for one cluster: anyone in the span, or in a spatial layout the ones
+   * seated nearest a random person (who comes first).
+   * @param {number} start - First person of the span
+   * @param {number} span - Number of persons to draw on
+   * @param {() => number} rng
+   * @returns {object[]}
+   */
+  clusterMembers(start, span, rng) {
+    const size = Math.min(LOD_CLUSTER_SIZE, span);
+    if (this.geometry.length === 0) return this.samplePersons(size, span, rng, start);
+
+    const anchor = this.geometry[start + Math.floor(rng() * span)];
+    const distance = (i) => Math.hypot(this.geometry[i].x - anchor.x, this.geometry[i].z - anchor.z);
+    return Array.from({ length: span }, (_, i) => start + i)
+      .map(i => ({ i, d: distance(i) }))
+      .sort((a, b) => a.d - b.d)
+      .slice(0, size)
+      .map(({ i }) => this.persons[i]);
+  }
+
+  /**
+   * Create the nodes for one planned clap on the given output chain.
+   * @param {{ ctx: BaseAudioContext, input: AudioNode }} output - Chain from createOutput
+   * @param {object} clap - Clap from planBeat
+   * @param {number} when - Start time in the output's context time
+   */
+  playClap(output, clap, when) {
+    const source = output.ctx.createBufferSource();
+    source.buffer = clap.buffer;
+    source.playbackRate.value = clap.rate;
+
+    // Per-clap gain
+    const gain = output.ctx.createGain();
+    gain.gain.value = clap.gain;
+
+    source.connect(gain);
+    let node = gain;
+    if (clap.position) {
+      const panner = this.createPanner(output.ctx, clap.position);
+      node.connect(panner);
+      node = panner;
+    }
+    // Section pan, on top of any spatial placement
+    if (clap.pan && output.ctx.createStereoPanner) {
+      const stereo = output.ctx.createStereoPanner();
+      stereo.pan.value = clap.pan;
+      node.connect(stereo);
+      node = stereo;
     }
+    node.connect(output.input);
+
+    source.start(when);
   }
 
   /**
-   * Randomly sample a subset of persons for LOD.
+   * Create a panner placing a clap around the listener (attenuating with distance).
+   * @param {BaseAudioContext} ctx
+   * @param {{ x: number, z: number, refDistance: number, panningModel: string }} position
+   * @returns {PannerNode}
    */
-  samplePersons(count) {
-    const total = this.persons.length;
-    if (total <= count) return this.persons;
+  createPanner(ctx, position) {
+    const panner = ctx.createPanner();
+    panner.panningModel = position.panningModel;
+    panner.distanceModel = 'inverse';
+    panner.refDistance = position.refDistance;
+    if (panner.positionX) {
+      panner.positionX.value = position.x;
+      panner.positionY.value = 0;
+      panner.positionZ.value = position.z;
+    } else {
+      // Older Safari
+      panner.setPosition(position.x, 0, position.z);
+    }
+    return panner;
+  }
 
-    const sampled = [];
-    const indices = new Set();
-    while (indices.size < count) {
-      indices.add(Math.floor(Math.random() * total));
+  /**
+   * Follow volume automation on an output's master gain.
+   * @param {{ master: GainNode }} output - Chain from createOutput
+   * @param {object} params - Effective parameters for the step
+   * @param {number} time - Step time in the output's context time
+   */
+  automateVolume(output, params, time) {
+    const automation = this.state.automation;
+    if (!automation || !automation.enabled || !automation.lanes.volume?.length) return;
+    output.master.gain.setValueAtTime(params.volume, time);
+  }
+
+  /**
+   * Render a number of bars of the current state through an OfflineAudioContext,
+   * using the same planning and routing as live playback.
+   * @param {number} bars - Number of bars to render
+   * @param {object} [schedule] - The plan to render, from planSchedule with EXPORT_PREROLL_SEC
+   * @returns {Promise<AudioBuffer>} The rendered stereo mix
+   */
+  renderOffline(bars, schedule = this.planSchedule(bars, EXPORT_PREROLL_SEC)) {
+    const { steps, claps, endTime } = schedule;
+
+    // Let the last claps ring out through the reverb tail
+    const impulse = this.state.reverb === 'off' ? null : this.impulses[this.state.reverb];
+    const sampleRate = this.audioCtx.sampleRate;
+    const duration = endTime + EXPORT_TAIL_SEC + (impulse ? impulse.duration : 0);
+    const OfflineCtx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    const offline = new OfflineCtx(2, Math.ceil(duration * sampleRate), sampleRate);
+    const output = this.createOutput(offline);
+    output.master.gain.value = this.state.volume;
+
+    for (const { time, params } of steps) {
+      this.automateVolume(output, params, time);
+    }
+    for (const clap of claps) {
+      this.playClap(output, clap, Math.max(clap.time, 0));
     }
-    for (const i of indices) {
-      sampled.push(this.persons[i]);
+
+    // Use oncomplete callback (Safari doesn't support promise-based startRendering)
+    return new Promise((resolve) => {
+      offline.oncomplete = (e) => resolve(e.renderedBuffer);
+      offline.startRendering();
+    });
+  }
+
+  /**
+   * Render a few bars at each of several spreads and measure how tight they
+   * sound (see onset-analysis.js), e.g. to find the spread at which the crowd
+   * stops sounding together. Each spread is planned on a copy of the state at
+   * its base values (automation is ignored), so the live state is never
+   * touched. Sections keep their own spreads.
+   * @param {number[]} spreads - Spreads to try (ms)
+   * @param {number} bars - Bars rendered per spread
+   * @param {(done: number) => void} [onProgress] - Called after each spread
+   * @returns {Promise<Array<{ spread: number, beats: number, onsetMs: number, widthMs: number,
+   *   fusion: number, flams: number }>>} Averages over the rendered steps, per spread
+   */
+  async sweepSpread(spreads, bars, onProgress) {
+    const base = { ...this.state, automation: { ...this.state.automation, enabled: false } };
+    const results = [];
+    for (const value of spreads) {
+      const simulation = this.simulationFor({ ...base, spread: value });
+      const schedule = simulation.planSchedule(bars, EXPORT_PREROLL_SEC);
+      const rendered = await this.renderOffline(bars, schedule);
+
+      const mono = new Float32Array(rendered.length);
+      for (let c = 0; c < rendered.numberOfChannels; c++) {
+        const data = rendered.getChannelData(c);
+        for (let i = 0; i < mono.length; i++) mono[i] += data[i] / rendered.numberOfChannels;
+      }
+      // Rests are left out: their window only holds the previous step's tail
+      const played = new Set(schedule.claps.map(clap => clap.step));
+      const beats = schedule.steps
+        .filter(({ step }) => played.has(step))
+        .map(({ time, params }) => analyzeStep(mono, rendered.sampleRate, time, 60 / params.bpm / simulation.stepsPerBeat()));
+      results.push({ spread: value, ...summarize(beats) });
+      if (onProgress) onProgress(results.length);
     }
-    return sampled;
+    return results;
+  }
+
+  /**
+   * A headless simulation of another state that plays this engine's crowd:
+   * the same persons, positions, samples and rendered voices.
+   * @param {object} state - State to plan with
+   * @returns {CrowdSimulation}
+   */
+  simulationFor(state) {
+    const simulation = new CrowdSimulation(state);
+    simulation.library = this.library;
+    simulation.persons = this.persons;
+    simulation.positions = this.positions;
+    simulation.geometry = this.geometry;
+    simulation.voiceBuffer = (person) => this.voiceBuffer(person);
+    return simulation;
   }
 
   /**
    * Log a clap event for the visualization to consume.
    */
-  logEvent(beatTime, offsetMs, personIndex) {
+  logEvent(beatTime, step, offsetMs, personIndex) {
     this.clapEvents.push({
       beatTime,
+      step,
       offsetMs,
       personIndex,
       timestamp: performance.now(),
@@ -0,0 +1,225 @@
+/**
+ * Canvas breakpoint editor for one automation lane at a time.
+ * Click to add a point, drag to move it, double-click or right-click to delete.
+ */
+
+import { AUTOMATABLE, insertPoint } from './automation.js';
+
+const POINT_RADIUS = 4;
+const HIT_RADIUS = 8;
+const PAD = 8;
+
+export class AutomationEditor {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {object} state - App state (edits state.automation)
+   * @param {object} options
+   * @param {() => void} options.onChange - Called after every edit
+   * @param {() => (number|null)} options.getPosition - Current playback position in bars, or null
+   */
+  constructor(canvas, state, { onChange, getPosition }) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.state = state;
+    this.onChange = onChange;
+    this.getPosition = getPosition;
+    this.lane = 'bpm';
+    this.dragIndex = -1;
+    this.animFrame = null;
+
+    canvas.addEventListener('mousedown', (e) => this.onMouseDown(e));
+    window.addEventListener('mousemove', (e) => this.onMouseMove(e));
+    window.addEventListener('mouseup', () => this.onMouseUp());
+    canvas.addEventListener('dblclick', (e) => this.deleteAt(e));
+    canvas.addEventListener('contextmenu', (e) => {
+      e.preventDefault();
+      this.deleteAt(e);
+    });
+
+    this.resize();
+  }
+
+  resize() {
+    const rect = this.canvas.parentElement.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+    const height = this.canvas.clientHeight || 100;
+    this.canvas.width = rect.width * dpr;
+    this.canvas.height = height * dpr;
+    this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    this.width = rect.width;
+    this.height = height;
+    this.draw();
+  }
+
+  /**
+   * Switch the lane being edited.
+   * @param {string} key - Automatable parameter
+   */
+  setLane(key) {
+    this.lane = key;
+    this.draw();
+  }
+
+  /** Animate the playhead while playing. */
+  start() {
+    const loop = () => {
+      this.draw();
+      this.animFrame = requestAnimationFrame(loop);
+    };
+    this.animFrame = requestAnimationFrame(loop);
+  }
+
+  stop() {
+    if (this.animFrame !== null) {
+      cancelAnimationFrame(this.animFrame);
+      this.animFrame = null;
+    }
+    this.draw();
+  }
+
+  get points() {
+    return this.state.automation.lanes[this.lane] || [];
+  }
+
+  barToX(bar) {
+    return PAD + (bar / this.state.automation.bars) * (this.width - 2 * PAD);
+  }
+
+  xToBar(x) {
+    const bar = ((x - PAD) / (this.width - 2 * PAD)) * this.state.automation.bars;
+    return Math.max(0, Math.min(this.state.automation.bars, bar));
+  }
+
+  valueToY(value) {
+    const { min, max } = AUTOMATABLE[this.lane];
+    return this.height - PAD - ((value - min) / (max - min)) * (this.height - 2 * PAD);
+  }
+
+  yToValue(y) {
+    const { min, max, integer } = AUTOMATABLE[this.lane];
+    let value = min + ((this.height - PAD - y) / (this.height - 2 * PAD)) * (max - min);
+    value = Math.max(min, Math.min(max, value));
+    return integer ? Math.round(value) : Math.round(value * 100) / 100;
+  }
+
+  eventPos(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  }
+
+  hitTest(x, y) {
+    const points = this.points;
+    for (let i = 0; i < points.length; i++) {
+      const dx = this.barToX(points[i][0]) - x;
+      const dy = this.valueToY(points[i][1]) - y;
+      if (dx * dx + dy * dy <= HIT_RADIUS * HIT_RADIUS) return i;
+    }
+    return -1;
+  }
+
+  onMouseDown(e) {
+    if (e.button !== 0) return;
+    const { x, y } = this.eventPos(e);
+    let index = this.hitTest(x, y);
+    if (index < 0) {
+      const lanes = this.state.automation.lanes;
+      if (!lanes[this.lane]) lanes[this.lane] = [];
+      index = insertPoint(lanes[this.lane], Math.round(this.xToBar(x) * 4) / 4, this.yToValue(y));
+      this.onChange();
+    }
+    this.dragIndex = index;
+    this.draw();
+  }
+
+  onMouseMove(e) {
+    if (this.dragIndex < 0) return;
+    const { x, y } = this.eventPos(e);
+    const points = this.points;
+    const i = this.dragIndex;
+
+    // Keep points in order: a point cannot pass its neighbours
+    const minBar = i > 0 ? points[i - 1][0] : 0;
+    const maxBar = i < points.length - 1 ? points[i + 1][0] : this.state.automation.bars;
+    const bar = Math.round(this.xToBar(x) * 4) / 4;
+    points[i] = [Math.max(minBar, Math.min(maxBar, bar)), this.yToValue(y)];
+    this.draw();
+  }
+
+  onMouseUp() {
+    if (this.dragIndex < 0) return;
+    this.dragIndex = -1;
+    this.onChange();
+  }
+
+  deleteAt(e) {
+    const { x, y } = this.eventPos(e);
+    const index = this.hitTest(x, y);
+    if (index < 0) return;
+    this.points.splice(index, 1);
+    this.onChange();
+    this.draw();
+  }
+
+  draw() {
+    const ctx = this.ctx;
+    const w = this.width;
+    const h = this.height;
+    const { bars } = this.state.automation;
+
+    ctx.fillStyle = '#1a1a2e';
+    ctx.fillRect(0, 0, w, h);
+
+    // Bar grid, stronger every 4 bars
+    ctx.lineWidth = 1;
+    for (let bar = 0; bar <= bars; bar++) {
+      ctx.strokeStyle = bar % 4 === 0 ? 'rgba(255, 255, 255, 0.15)' : 'rgba(255, 255, 255, 0.05)';
+      const x = this.barToX(bar);
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, h);
+      ctx.stroke();
+    }
+
+    // Range labels
+    const { min, max, label } = AUTOMATABLE[this.lane];
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+    ctx.font = '10px monospace';
+    ctx.textAlign = 'left';
+    ctx.fillText(`${label} ${max}`, PAD + 2, PAD + 8);
+    ctx.fillText(`${min}`, PAD + 2, h - PAD - 2);
+    ctx.textAlign = 'right';
+    ctx.fillText(`${bars} bars`, w - PAD - 2, PAD + 8);
+
+    // Lane curve, holding the end values to the edges
+    const points = this.points;
+    if (points.length > 0) {
+      ctx.strokeStyle = 'rgba(255, 200, 100, 0.8)';
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.moveTo(this.barToX(0), this.valueToY(points[0][1]));
+      for (const [bar, value] of points) {
+        ctx.lineTo(this.barToX(bar), this.valueToY(value));
+      }
+      ctx.lineTo(this.barToX(bars), this.valueToY(points[points.length - 1][1]));
+      ctx.stroke();
+
+      ctx.fillStyle = 'rgba(255, 200, 100, 1)';
+      for (const [bar, value] of points) {
+        ctx.beginPath();
+        ctx.arc(this.barToX(bar), this.valueToY(value), POINT_RADIUS, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+
+    // Playhead
+    const position = this.getPosition();
+    if (position !== null && position <= bars) {
+      const x = this.barToX(position);
+      ctx.strokeStyle = 'rgba(108, 140, 255, 0.8)';
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, h);
+      ctx.stroke();
+    }
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * Time-varying parameter automation.
+ * Each automatable parameter can have a lane of breakpoints [bar, value];
+ * between breakpoints the value ramps linearly, before the first and after
+ * the last it holds. Lanes are evaluated per scheduled step, so live playback
+ * and offline renders follow the same curves.
+ */
+
+import { BEATS_PER_BAR } from './constants.js';
+
+/** Automatable parameters and their value ranges (matching the sliders). */
+export const AUTOMATABLE = {
+  bpm: { label: 'BPM', min: 40, max: 240, integer: true },
+  clapperCount: { label: 'Clappers', min: 1, max: 5000, integer: true },
+  spread: { label: 'Spread', min: 0, max: 200, integer: false },
+  volume: { label: 'Volume', min: 0, max: 1, integer: false },
+};
+
+/** Preset envelopes: partial automation objects. Crowd ramps build up to the largest crowd. */
+export const AUTOMATION_PRESETS = {
+  'Crescendo': {
+    bars: 16,
+    lanes: {
+      clapperCount: [[0, 10], [16, AUTOMATABLE.clapperCount.max]],
+      volume: [[0, 0.3], [16, 0.9]],
+    },
+  },
+  'Accelerando': {
+    bars: 32,
+    lanes: {
+      bpm: [[0, 100], [32, 140]],
+    },
+  },
+  'Tightening': {
+    bars: 16,
+    lanes: {
+      spread: [[0, 90], [16, 5]],
+    },
+  },
+  'Sloppy to tight': {
+    bars: 32,
+    lanes: {
+      bpm: [[0, 100], [32, 140]],
+      clapperCount: [[0, 20], [32, AUTOMATABLE.clapperCount.max]],
+      spread: [[0, 80], [32, 8]],
+    },
+  },
+};
+
+/**
+ * Evaluate a lane at a position.
+ * @param {Array<[number, number]>} points - Breakpoints sorted by bar
+ * @param {number} bar - Position in bars (fractional)
+ * @returns {number|undefined} Value, or undefined for an empty lane
+ */
+export function evaluateLane(points, bar) {
+  if (!points || points.length === 0) return undefined;
+  if (bar <= points[0][0]) return points[0][1];
+  for (let i = 1; i < points.length; i++) {
+    const [bar1, value1] = points[i];
+    if (bar <= bar1) {
+      const [bar0, value0] = points[i - 1];
+      const t = bar1 === bar0 ? 1 : (bar - bar0) / (bar1 - bar0);
+      return value0 + (value1 - value0) * t;
+    }
+  }
+  return points[points.length - 1][1];
+}
+
+/**
+ * Effective parameters at a beat position: the state with automated values applied.
+ * @param {object} state - App state (with `automation`)
+ * @param {number} beatPosition - Position in beats since playback start
+ * @returns {object} State, or a shallow copy with automated parameters overridden
+ */
+export function paramsAt(state, beatPosition) {
+  const automation = state.automation;
+  if (!automation || !automation.enabled) return state;
+
+  const bar = beatPosition / BEATS_PER_BAR;
+  const params = { ...state };
+  for (const key of Object.keys(AUTOMATABLE)) {
+    let value = evaluateLane(automation.lanes[key], bar);
+    if (value === undefined) continue;
+    if (AUTOMATABLE[key].integer) value = Math.round(value);
+    params[key] = value;
+  }
+  return params;
+}
+
+/**
+ * The highest value a parameter reaches, manual setting included
+ * (e.g. how many persons the crowd needs).
+ * @param {object} state - App state
+ * @param {string} key - Automatable parameter
+ * @returns {number}
+ */
+export function maxValue(state, key) {
+  let max = state[key];
+  const automation = state.automation;
+  if (automation && automation.enabled && automation.lanes[key]) {
+    for (const [, value] of automation.lanes[key]) {
+      max = Math.max(max, value);
+    }
+  }
+  return AUTOMATABLE[key].integer ? Math.round(max) : max;
+}
+
+/**
+ * Insert a breakpoint, keeping the lane sorted by bar.
+ * @param {Array<[number, number]>} points - Lane (mutated)
+ * @param {number} bar - Position in bars
+ * @param {number} value - Parameter value
+ * @returns {number} Index of the new point
+ */
+export function insertPoint(points, bar, value) {
+  let i = 0;
+  while (i < points.length && points[i][0] <= bar) i++;
+  points.splice(i, 0, [bar, value]);
+  return i;
+}
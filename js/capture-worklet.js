@@ -0,0 +1,37 @@
+/**
+ * AudioWorklet processor that passes the output mix to the main thread for
+ * analysis: a mono mixdown in chunks of CHUNK frames, as { frame, data } with
+ * the context frame of the chunk's first sample. Its own output is silent.
+ * See tightness-meter.js for the main-thread side.
+ */
+
+const CHUNK = 2048;
+
+class CaptureProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.chunk = new Float32Array(CHUNK);
+    this.fill = 0;
+    this.chunkFrame = 0;
+  }
+
+  process(inputs) {
+    const channels = inputs[0];
+    // An unconnected input has no channels: capture silence
+    const length = channels.length > 0 ? channels[0].length : 128;
+    for (let i = 0; i < length; i++) {
+      if (this.fill === 0) this.chunkFrame = currentFrame + i;
+      let sum = 0;
+      for (const data of channels) sum += data[i];
+      this.chunk[this.fill++] = channels.length > 0 ? sum / channels.length : 0;
+      if (this.fill === CHUNK) {
+        this.port.postMessage({ frame: this.chunkFrame, data: this.chunk }, [this.chunk.buffer]);
+        this.chunk = new Float32Array(CHUNK);
+        this.fill = 0;
+      }
+    }
+    return true;
+  }
+}
+
+registerProcessor('output-capture', CaptureProcessor);
@@ -0,0 +1,114 @@
+/**
+ * AudioWorklet processor that plays claps on the audio thread.
+ * Clap sounds are sent once and kept by id; claps arrive as a stream of
+ * { sound, time, rate, matrix } messages and are mixed in sample-accurately,
+ * however busy the main thread is once they have arrived. Claps that arrive
+ * after their time start right away (late), or are skipped once they are more
+ * than DROP_LATE_SEC late (dropped), like the node scheduler does.
+ * See worklet-player.js for the main-thread side.
+ */
+
+// Matches DROP_LATE_MS in constants.js, which is not imported so its embedded samples stay off the audio thread
+const DROP_LATE_SEC = 0.1;
+const STATS_INTERVAL_SEC = 0.25;
+
+class ClapProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    // id → { channels, step }: `step` is source samples per output sample at rate 1
+    this.sounds = new Map();
+    // Claps waiting for their start, and claps playing: { sound, frame, rate, matrix, pos }
+    this.pending = [];
+    this.active = [];
+    this.stats = { late: 0, dropped: 0 };
+    this.statsChanged = false;
+    this.lastReport = 0;
+    this.port.onmessage = (e) => this.onMessage(e.data);
+  }
+
+  onMessage(message) {
+    switch (message.type) {
+      case 'sound':
+        this.sounds.set(message.id, { channels: message.channels, step: message.sampleRate / sampleRate });
+        break;
+      case 'free':
+        this.sounds.delete(message.id);
+        break;
+      case 'claps':
+        for (const clap of message.claps) this.queue(clap);
+        break;
+      case 'stop':
+        // Claps already sounding ring out
+        this.pending = [];
+        break;
+      case 'reset':
+        this.pending = [];
+        this.stats = { late: 0, dropped: 0 };
+        this.statsChanged = true;
+        break;
+    }
+  }
+
+  queue(clap) {
+    let frame = Math.round(clap.time * sampleRate);
+    if (frame < currentFrame) {
+      if (currentFrame - frame > DROP_LATE_SEC * sampleRate) {
+        this.stats.dropped++;
+        this.statsChanged = true;
+        return;
+      }
+      this.stats.late++;
+      this.statsChanged = true;
+      frame = currentFrame;
+    }
+    this.pending.push({ ...clap, frame, pos: 0 });
+  }
+
+  process(inputs, outputs) {
+    const [left, right] = outputs[0];
+    const blockEnd = currentFrame + left.length;
+
+    // Start the claps that fall in this block
+    if (this.pending.length > 0) {
+      const waiting = [];
+      for (const clap of this.pending) {
+        (clap.frame < blockEnd ? this.active : waiting).push(clap);
+      }
+      this.pending = waiting;
+    }
+
+    this.active = this.active.filter(clap => this.mix(clap, left, right));
+
+    if (this.statsChanged && currentTime - this.lastReport >= STATS_INTERVAL_SEC) {
+      this.port.postMessage({ type: 'stats', ...this.stats });
+      this.statsChanged = false;
+      this.lastReport = currentTime;
+    }
+    return true;
+  }
+
+  // Add one clap's part of this block; false once it has finished
+  mix(clap, left, right) {
+    const sound = this.sounds.get(clap.sound);
+    if (!sound) return false;
+    const [a, b = a] = sound.channels;
+    const [ll, rl, lr, rr] = clap.matrix;
+    const step = sound.step * clap.rate;
+    const last = a.length - 1;
+    let pos = clap.pos;
+    for (let i = Math.max(0, clap.frame - currentFrame); i < left.length; i++) {
+      const k = Math.floor(pos);
+      if (k >= last) return false;
+      const frac = pos - k;
+      const inL = a[k] + (a[k + 1] - a[k]) * frac;
+      const inR = b[k] + (b[k + 1] - b[k]) * frac;
+      left[i] += ll * inL + rl * inR;
+      right[i] += lr * inL + rr * inR;
+      pos += step;
+    }
+    clap.pos = pos;
+    return true;
+  }
+}
+
+registerProcessor('clap-player', ClapProcessor);
@@ -0,0 +1,12 @@
+/**
+ * Worker that mixes crowd clusters off the main thread (see clusters.js).
+ * Messages: { id, sounds, claps, sampleRate } in, { id, data } out.
+ */
+
+import { mixCluster } from './clusters.js';
+
+self.onmessage = (e) => {
+  const { id, sounds, claps, sampleRate } = e.data;
+  const data = mixCluster(sounds, claps, sampleRate);
+  self.postMessage({ id, data }, [data.buffer]);
+};
@@ -0,0 +1,98 @@
+/**
+ * Crowd clusters: level of detail for very large crowds.
+ * A cluster is one pre-rendered mixdown of many claps, each with its own
+ * clapper's sound, pitch, volume and sampled timing offset. A step of thousands
+ * of clappers then plays a few dozen cluster buffers instead of thousands of
+ * nodes, and still carries every clap of the offset distribution.
+ * Mixing runs off the main thread in cluster-worker.js.
+ */
+
+/**
+ * Mix claps into one mono buffer. Multi-channel sounds are averaged to mono.
+ * @param {Array<{ channels: Float32Array[], sampleRate: number }>} sounds - Clap sounds
+ * @param {Array<{ sound: number, time: number, rate: number, gain: number }>} claps - `sound`
+ *   indexes `sounds`, `time` is seconds from the start of the mix, `rate` the playback rate
+ * @param {number} sampleRate - Rate of the mix
+ * @returns {Float32Array}
+ */
+export function mixCluster(sounds, claps, sampleRate) {
+  let length = 0;
+  for (const clap of claps) {
+    const { channels, sampleRate: rate } = sounds[clap.sound];
+    const duration = channels[0].length / rate / clap.rate;
+    length = Math.max(length, Math.ceil((clap.time + duration) * sampleRate) + 1);
+  }
+
+  const out = new Float32Array(length);
+  for (const clap of claps) {
+    const { channels, sampleRate: rate } = sounds[clap.sound];
+    const step = (clap.rate * rate) / sampleRate; // source samples per mixed sample
+    const gain = clap.gain / channels.length;
+    const from = Math.round(clap.time * sampleRate);
+    for (const data of channels) {
+      // Linear interpolation is plenty for the small pitch changes between clappers
+      for (let i = from, pos = 0; pos < data.length - 1; i++, pos += step) {
+        const k = Math.floor(pos);
+        out[i] += gain * (data[k] + (data[k + 1] - data[k]) * (pos - k));
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Main-thread client of the cluster worker. The worker starts on the first mix;
+ * if it cannot start (no worker support, or module workers blocked) every mix
+ * rejects and `failed` is set, so callers can fall back for good.
+ */
+export class ClusterMixer {
+  constructor() {
+    this.worker = null;
+    this.failed = false;
+    // Mix id → { resolve, reject }
+    this.pending = new Map();
+    this.nextId = 0;
+  }
+
+  /**
+   * Mix claps in the worker (see mixCluster).
+   * @param {Array<{ channels: Float32Array[], sampleRate: number }>} sounds - Copied to the worker
+   * @param {Array<{ sound: number, time: number, rate: number, gain: number }>} claps
+   * @param {number} sampleRate
+   * @returns {Promise<Float32Array>}
+   */
+  mix(sounds, claps, sampleRate) {
+    if (!this.worker && !this.failed) this.start();
+    return new Promise((resolve, reject) => {
+      if (this.failed) {
+        reject(new Error('Cluster worker is unavailable'));
+        return;
+      }
+      const id = this.nextId++;
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ id, sounds, claps, sampleRate });
+    });
+  }
+
+  start() {
+    try {
+      this.worker = new Worker(new URL('./cluster-worker.js', import.meta.url), { type: 'module' });
+    } catch (e) {
+      this.fail(e);
+      return;
+    }
+    this.worker.onmessage = (e) => {
+      const { id, data } = e.data;
+      const request = this.pending.get(id);
+      this.pending.delete(id);
+      if (request) request.resolve(data);
+    };
+    this.worker.onerror = (e) => this.fail(e);
+  }
+
+  fail(error) {
+    this.failed = true;
+    for (const { reject } of this.pending.values()) reject(error);
+    this.pending.clear();
+  }
+}
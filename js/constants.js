@@ -6,25 +6,90 @@ export const DEFAULTS = {
   distribution: 'normal',
   betaAlpha: 2.0,
   betaBeta: 2.0,
+  skewShape: 4,         // 'skewnormal': shape α, positive = late tail
+  lognormalSigma: 0.5,  // 'lognormal': shape σ of the underlying normal
+  tDegrees: 3,          // 'studentt': degrees of freedom ν
+  cauchyClamp: 5,       // 'cauchy': offsets clamped to ±clamp × spread
+  triangleMode: 0.5,    // 'triangular': peak position within ±spread (-1 to 1)
+  bimodalSeparation: 2, // 'bimodal': distance between the two peaks, in spreads
+  bimodalWeight: 0.3,   // 'bimodal': share of the late peak
+  drawnDensity: [],     // 'drawn': relative density per bin over ±3 spreads
+  empiricalOffsets: [], // 'empirical': measured offsets in ms
+  mixture: [            // 'mixture': weighted closed-form components
+    { type: 'normal', weight: 0.7, scale: 1, shift: 0 },
+    { type: 'exponential', weight: 0.3, scale: 1, shift: 40 },
+  ],
+  personBias: 0,       // share of spread variance that is between persons (0-1)
+  personDrift: 0,      // per-person drift random walk step, ms per beat
+  timingMode: 'independent', // 'independent' or 'coupled'
+  coupling: 0.3,       // coupled mode: strength of the pull toward the crowd (0-1)
+  tempoSpread: 2,      // coupled mode: natural tempo mismatch, ms per beat
+  tapFollow: false,    // crowd claps on live taps instead of a fixed grid
+  reactionMs: 180,     // live taps: delay before the crowd responds to a tap
+  clockSource: 'internal', // 'internal' grid or external 'midi' clock
+  spatialLayout: 'off', // 'off' (mono) or a room layout, see spatial.js
+  listenerX: 0.5,       // listener across the room (0-1)
+  listenerY: 0.5,       // listener depth from the stage edge (0-1)
+  reverb: 'off',        // 'off' or a room preset, see reverb.js
+  reverbMix: 0.3,       // wet share (0-1)
+  reverbPreDelay: 20,   // ms before the reverb tail starts
   soundSource: 'synthesized',
+  instrument: '',       // sample library instrument played by the custom source
+  // Clap synthesis, see synthesizer.js
+  synthBursts: 3,       // retriggered noise bursts per clap
+  synthBurstSpacing: 8, // ms between bursts
+  synthCupped: 0.5,     // share of clappers with cupped (vs flat) hands
+  synthResonance: 1,    // scales the hand-shape resonance Q
+  synthDecay: 100,      // ms, decay of the final burst
+  synthVariation: 0.5,  // how much voices differ between persons (0-1)
+  pattern: '1:SSC-',   // step pattern string, see patterns.js (Queen)
   volume: 0.7,
+  seed: '',            // empty = unseeded
+  // Parameter automation, see automation.js: lanes of [bar, value] breakpoints
+  automation: { enabled: false, bars: 32, lanes: {} },
+  // Crowd sections, see sections.js; empty = one crowd following the settings above
+  sections: [],
+  playback: 'worklet', // 'worklet' (claps mixed on the audio thread) or 'nodes' (one node chain per clap)
+  lod: 'clusters',     // large crowds: pre-rendered 'clusters' or 'subsample' (a few hundred clappers)
+  vizMode: 'scatter',  // visualization: 'scatter', 'waveform', 'spectrogram', 'phase' or 'raster'
 };
 
 // Scheduler constants
 export const LOOKAHEAD_MS = 100;
 export const SCHEDULE_INTERVAL_MS = 25;
+// The audio thread can hold claps for longer, riding out a busy main thread
+export const WORKLET_LOOKAHEAD_MS = 250;
+// Claps more than this late are skipped instead of started late
+export const DROP_LATE_MS = 100;
 
 // Synthesizer constants
-export const NUM_CLAP_VARIANTS = 12;
 export const SAMPLE_RATE = 44100;
+export const MAX_VOICES = 512; // distinct synthesized voices; larger crowds reuse them
 
 // LOD threshold
 export const LOD_CLAPPER_THRESHOLD = 200;
 export const LOD_SAMPLE_COUNT = 200;
+// Cluster LOD, see clusters.js: claps per cluster, spare clusters kept so none
+// repeats within a step, and how many cluster sets (group, sound, settings) stay cached
+export const LOD_CLUSTER_SIZE = 100;
+export const LOD_CLUSTER_SPARE = 1.5;
+export const LOD_CLUSTER_POOLS = 6;
+
+// Spatial rendering: steps with more claps than this use equal-power panning instead of HRTF
+export const HRTF_MAX_CLAPS = 64;
 
 // Visualization
 export const VIZ_HISTORY_BEATS = 10;
 
+// Offline export
+export const BEATS_PER_BAR = 4;
+export const EXPORT_PREROLL_SEC = 0.5; // room for early claps on the first beat
+export const EXPORT_TAIL_SEC = 1.0;    // let the last claps ring out
+
+// Tightness sweep: spreads tried (ms) and bars rendered at each
+export const SWEEP_SPREADS_MS = [0, 2, 5, 10, 15, 20, 30, 40, 60, 80];
+export const SWEEP_BARS = 2;
+
 // CC0 clap sample - synthesized noise-burst clap (44.1kHz mono 16-bit PCM WAV)
 // Source: Freesound CC0 clap
 export const CC0_SAMPLE_BASE64 = 'UklGRig+AABXQVZFZm10IBAAAAABAAEARKwAAIhYAQACABAAZGF0YQQ+AAAAAIz/l/0q/bEAMAfyCz0GHvsQ9FHvgvgN/Zr7UQp5GbsSDgwhFaADrPc8B778L+PQ8EMBHucH1fD1EyEiL+cwWRc5DaH4KtVZ4ZvvQvp//PPyyM6FqcG82NGv618HcB+yT/5gREUhHzD/yh9uQPkoVPC82wnW1sP2/ewqjxilCfsOmg9u3zib/pXSvc3eeygyczxWDSWdB64FogQ61ty5u8+n6Kb+bDViOWkC8Ay/IBHnL7IlrRznwDkfSzUVLfQHI+c6EDWyNuHne7iQ2BDj59Ku23vf/d0Q/mEyzFzHL9/0Y9OJ5hkhcw778Zr5fN/9480F0hZyGd7j7sMFxqH+m1T6ZoQzydv92mUZQf+H1HrI7OG8Is0UQfhNBxMBqRIIITr3quu3CoUCKeQEDbcyxxU/+CzWmrxczrT7kw9XAuT0kQ1wI9o4wFyZIwHWS9sl41TMWPkOLAgeZxspJXv5A7c8tK/Ys/dkHcw2ekWjF8LVycv27YD98N3e45n9XgMQ/kklLz37NrgrvuhO5R0W5SMjI6ANlcxPniefLLJAyLPkojYjURFDbTkgEmUXTzQ0G87ziceooxf58QHMAR4DUv7k+hv/XwTBAo0CLwGr+Jj7UwMnAyr9wQEvBe8C7wT3AskAVQA6A1sASvwr+2X4Hv1J/zD9jAEpAQv+ZQZeDmsFgvdE9Ir8lgeSChEEPPh0+If/vgDFA3gEp/kw9+r6l/zQBK4CCfkQ9vr7VwJOBuULRwjjA20BZf6QA5oIkQDV9/72h/Q7+2IGrQU4BacGgQJB+vfzjvwSCgsL8gdXBAb6RfHU8Uj9sAj5C4gLkAE09TfwxPY0BGIGeQPG/t7/ege3CX0H7AJW95Xx6PQj+zkEMgcDByf/DvuS+Bz6AwTNAScA8AGP/aH/VABk+dj38PzWB4ES8g0hBXwADgH1AWkErOr14dvle+zU9wPYz9rAA94TlhN4GRoNYgcR/ff+2fT9/MEacxkKGzQRdfRSyy/QCeo37aAMFi39GaL3hu1+8Z3yRutU9LgiZj4+O64mt/Qz2GrD5LqM29YDcSM/JxQXgf439O8QFSn2CHjV7tSz93IDdREAJ/Eg0PzP1LfBNcr48Sgn2ChvDvIXpA1ICIoQuvu6+KPtafA1F8QHau7e6FQDuR5l/CDgJP1/FRkaZh5fHwMSewGFAbXta9wv1CXdjOrD+P0Jmv0x41fUdeptFGAijx1HC2Tp4ODH720AXhhOGugKoRvFM7AYVvh4/qMBt/Ob72YPyCEnGMgWGRBB8L6/jrNu3/cS0TCUIFEGLPt87s7cesuS2eHj8+5pGNQtlhq9D9YG6gjPBCf5EA0qBSwE5QeSAI/5ovR7/N3/iRlaIiIdiiQTB5jTRbgmzlIO2SKLFbUaxhTNCLwJvOzUuMysGcCE8YkjdSSnJIM05xle/5UJlPZQ8YIUCQJB0HnL6vHEJJUqVhne/Mnt6ABn8TvzMha4Gq73TPd0EzMBEOiW4efosPHlCB0now6wBN4TIhC8C670Nevu/0b+qfxW/mX98vxC/7L/CAFjBVIBbP+8/079WP8kAOr8gf9DAjj/UwJyBCYFqAakAfj56ftJ/mL+igEBA0cE8gL4/yL/9/th9x/72f54AIMCywIWArkCvgF8AED/wvsZ+oT6bfwGAdMHXgf3AeUAhQMaB4UFVv7h97j15fcE+8L8SQF9BZYJUgt4B4oAmP2V/uf+WP+K/Kv62fgI93b9WQQrBi4Ffv4L/fP8ovp2/iICpwZIBiED8wNYA2P/cvvL+0f8CgBuBfACTv4q/hP/vgHg/qn4UPpI/EH72/uz/DYB5AfvCGQFYQVIB6oE1QGlAn0CJ/8m/PL85ftK+cD68v5QAsP9pffO2f/5axYzEi7/KwWYG3Ypzh+8A/7lDM5S2mf0kACrAccbODygMRcjsR5NCEXfuLr+xiPoVPspFTUO/vwNBKcDPPGo587xTAZmIdEcmA5mAjcDsRLFB1zzUONN3Z33ogk4AvEQixiKB5X08OFS3nz3jg/nGNMK7/pHC/8MDwPq8l72dAlZ+ezkxuuRASn/gQ0NLBgg/fgD8vv81P6w/9zxO/jkEqgIivPj7yv9IggICuwSKP818n3yuPlFAeUAWflI50XufwxzFr78FvNw+J7+eQnwCm4D5Pe+ALARmAjCCEMBgfwFDy4WzAmC+wsBRAu1ASbelNNM6eYEWBrIEXn+SPXS+ML6CvsZ9QDwmgpCEhYKHw38D88Sig4p+YHeV+Ib+FMJbPpD3QTqgBDxK4Mqqg546bbhsvs3BHsCkg4L/iXzMPjJ8H/tbfY7Cx4caxOZ9p//WxS9B/4H8wI88jfwQ+0U6un+aSQhK10O6/RM7+nz8AAGApT24P6FATD1yvmd+Qn+wgqOGpoT8gllC4rzWuZG8BX9nfFr60n6/wt6DAoHoQtV/rT4+/5PAzYHeAYqBwcEOwIUAFLtKeJi66391PoV8KwC9AlF/J8CRB68JRUfyxvS//PvUvBL8qH8y/TZ4fHwZP00BTIcUxqyFVgTnwb+6ybhWtiH1p3sxAHSE3kX+xjUHZsF5uQw2UjvPw58HIoUavVA+d0TcA7B+tLtSPp+BjX/rfa1/84FePxjB+0SDRvxDmD+1u0E4NjeluhR/IIUzxID/+cATBH6H4IITfXW+MwCBgGv7+vlM+D79kcOsBLpFZ0QmvlS9Bb6cO2U9Gz6HgUDDv4Bgg1WEyT/8ANhAVz+gACG7qvsLvK9A90I8/mhCGEU7wnxAHn15QBfEkgWhxDSCKYBiOog4tz4OflG9kgLngvB/XAB1vcT6EfuBftBBSEPPQb1673xuvgs920IZRfKErUXZxnxBY77iO2W7OMCgQtACtoH7fXW54zmken+9iUDSwEYApcRDBUVBiALBwl+A0EAf+wu9x8QDxQlCykDBveI5+HlnvipDd4ZixgsExgHZ+7v4+XgW+hl8pvuYgFHEr4VFBi8FA8UqhG7CaT4iutT2tbgiP5O/gbwP/isAkoAwPl8BjoaAhQNAwgAhPzo/lAFLQAZAacAlQlDFdkR0frI44fgBPRQDVEPtQw4DbUEw/la/C/6kfLN9bL/ggnLC7T/SfPK/HL56PIv+PP5mf4ABzMF0g1qE4sJSg5TD/ANFg+V+ELuzere2SDuig+AFBIL5AVL/U3rAN665EsBEBf2HRchYgmc+GP0fu6Q9Sr3m/W99gj71/urAsIFZAcnGfEY0w7lDzANFPqk4fjaduouBLARvQeyA68HGgdVCucB0/8yAOD4Oved/F//yPD/4KznYved/8IAmwg1ElATPQvODdEMKwrbFk8RZwEo9MrvK/cAA5P/5vrp/CXz6+yc6lvm0erxBSMZXxoTGUoHYfdN9679jgMRAJX7iv1tAIIDpwjDEu8Ttf9F6d3vwfpeAk8N7hKwFBUDy/EW5/3hl/eZC9EGmwB3CP8Dy/Sk+WIGYgg4B50FoP949/Hzk/Jb7yDxB/PG9VELthqnDjD/x/UsA7QKWwtsGCQb8QSV7ADzgPTp72PyqQBvFAEZoAg79rHzrfll+mT3IPkbAq8JAwc+AXUDogaoBl4CDwFcC78ChO4d5qXsNgDND2wQCv9567XwrQP0Ci79O/0GDeUGhgD7/Lv+gP2R9OgCgwU//I77tvRf74P76QdaFyodwQbYBAcS3g0nBk31UOTs7pT/Svoc+SYAVvZC7R7z9gh/GP8Y6BIf/2PwI/Bd7931lQq8E/AGgwfiDn/9TvMd9Xrx/vZNBRMILARsCYIDXAU+BMH51v2ACNkLd/6U9VT3AAMiABXsrPDl/AkD/AofDcYM1QBg7fvrjf60AckCeggFCAMJPwlC/K715fsQ943v4u4B9JQI+RqmHwgbQwTX+kX1Iu3891EIAAa09a/w5/9wDikSqghrAp3/nvSo+AX8y/vj/5b0ce95/rMFc//O9DD5IwI2BvgJ2wswCY76Ov5VBk4LmAm7BZoNLv0z76Dwf/dWAqMJMQFZ9kn+gPgz62P3vwWrBc0I5AwxDl4R3whu/iL84vaq8m31qPaI8Fj6IgjdB6gHGQSg/Gn9iws2DVwJPghm97L2uf0YAisDpPQC9HkDHwQB+4zzpvYlCdkV2RPJDlgG8fxY9ZLn3uCn5WX5ZwSEBl0NBBMVFQUOI/+e8sH+swv6BiwDoQSu9+j09/7v+l76b/nB/ZsHiwZN+tL6WwAFAhn8Uu3J7BDz1f2SDnQVtBjNHSMXjQLX8sLxTuug6MfzHQAZAVAJjwu1BcQKnAksCP0Dov/a86TjQexL/noIIA9EC4cEIwGf/gP6L/6JA5wCWwSa+0DuSuit8coBDQdPC5MN/Q3XEXgRDBCa/lbrfuxY8G30wPjb+Sf6kv2uBakOYA40D54KIf1S/Xb9sACbBA0Bd/7E+SjxQ/qpB7EMRAfK+GPwGvJdA8kNRwnAAjMEqAHU/7YCxAAr+cDwAfMj9MD3fvqF/VYLDQ3lDo8SeQL9/ej/nv2++5v9+wTP+0H00PfK9DDxavhIBGwMphBiEHgI+QMh/hEBeAqlATD2K/r1/5UA2fzx/GT+Gv3yBSIHsgI0Ab79hvF261/7MQk4C30GjwGD/gb1qfPc/L8FVwI8/nr7w//JAxz4MvhF/UMHdA/hEXwWXxSuCiL2W+SO47LsB/2PCTgJYwJ+B9sK4AH0AqQHqgUaAmT+1PTs7JbygfibA70JEQGV+zYAZgS3ALsHqg8lBvL1pPVt+5kDzAxtDW0JrPpJ7CDvJPUV93T5g/1VAIoDbQ9gFPkGa/1U/wf7JftbAGoCP/wg9zUAsgDnARoByf27CW4LZgkHDDQDrvO09Of45vchAaj96vc9/cwChgpPDvsBdPqZ9274pwWSA7T6v/4vBykJNgY39gXsHe1U+P0CmAiUDa0GPAeOChkDifV/7LrsEPfyAIQD0gtPFocUSw4dAjb89AJBBMb9UfDG7jDztPHt9iT+jgI7BeoMzBe2EQ4Hm/tj9S79i/ma8Xz05vz/BLcOxBJiCBH5afoy/ir8xvr99Br07P7oClMK9gY3BGgBwgH2/J31K/v8BmUC8fkM/w39EvtM+7f8UwTJB2UDhP0YAOP+3vpoAAcC1wGpCsMLegWTALT38/Rp/8gHkASMAqgEyQAd9Xruhe9s/PcOUAlUBD4Aivds/qkGnAtfCXX+9vy/+wP6hQAM/er44vuE/Kf9pPyG9wH6zgFxCLoGHvwr9jz6xQZ0DxoPBQ/MByv8Q/fG/aYGFP8p/PD+p/8/BTP9U/Ht72zxefzSC94K3AhLCoYC0PvvADkBr/z1/b4CjwldBKb+v/9z/Mb20fOP+SH/Qf7g/CsFFRKoEycM2P7o9U356gANAOr8LveZ8S/wLfOO/9MH9guzCewEWAcGCXUEJQF5/jzz0OxC79751wmDEkkJSwE+/gz4u/wJBEYJAAVfAPcDMQKn/Sj/Fv6y/m/7i/oUBuAAXf5sAd/5BvkK+tr/FQepB0cE1f4l/ML4z/oiAJr+JwR8CrQJ0QtMBFP5DveO9aTyNfV7AqcMXQkAAdP7Af0hBCUILAaEBRL/I/0oBAQEB/1r9Nr12/hY+3QBjAY4CAMEivvD8TX53AjWDMQJ2gIq/xz7cvhj9qb1KPwhAmAI5gmEBukBAvpL+KD5EfyrAXMJsQitBI4IBwi+B3L9fu+O7NrwKfvHCE0L0wUSAysBAQICCCoF1P78ARcCAAF/AEL3LvAO9dT2vfSH+IICzwpOEBUROw4qBDj6p/Vb8qn8vwnSCZ7+F/UY/BIJdQkn/nD8Bv+RAKkDugEiAWL88vMk8BT0dADJCBgMnQr5BSkAaP/UBP4A7wCk+z/0O/vg/l0AVAc0BeQAovq68yb9+gSNAUIEdgUeAiQCjPvj+HwAKAUi/+b2lfsgBP0HBQUn/Mf1gfeV/tQCzwIWAhEFgQlRCdcBH/0X/O/+5AIIArMAwP8m/WwB9Ao3DfIGGPno8GDvfPGL+Sb9nv8GBYQHAwRh/yz/KAPqBz4Eo/yw+hwDuwaLA0gFiwE6+h38fwL/BbD+gPSD+ST8R/ii/7kJ+QXz/6z+Df2G+sr4YP9KAy7+Jf6NA50FawZsBRgG2QMa/0/8jPdx+eAATwVTAmj9l/3W+0/8BAK7BVEAff/4An7+6fy4AWYFVwL8ACX+7v3D/zH+nvks+lIBAgHMAPT9cwCpBzQENQK+BegCzfeX8vb3Wf9TBL8GcAUCAt8CWgRuATz9ZfeA9L/5HgaTCN0H8AXZ/RP9aPw7/dEAGwJCBCsDMf5fAIb/YP/1A2sDov2n/Yv+4Pe49bn62AVVB5cBEP73/vUBvP36/UoAbAGLA9kEuwJYAWMFvv+J9ib7Tf/Y/Ob+1/8RBJYHfQV3A/sA8/5v+578/v8NAbkB0vwP+iT4E/Xs9kD8UQHWB9YMcAraA4H/9/3u/0wFrwYSCH0F0v1K9t7yu/a/+BL7m/1I/pcGrxBFD8EG6wG9/dL8Fv0G9xDyq/gpAC0AogK9AtQBAAZJCfAGXf6T9k36UQOGA58Co/7s+5H/iwPLALT90gHL/mD/zwDE+yf9MP/NAVMFcP/G/PX+d/we/YgA1v1N+Xr5YPxf/ugB/gX5CEwJ8wh3BhIAQwH7BiQGZfz++Rr/0QBoAmQBz/iW9Qb3ffiv/9YD2gPLAFD+yvtz+u78GgHEBg0EKv+2/mkCogTfBH4Defrf+iEC8gT9AqwAbv7m+FD5lPyZ/l8AcACqBc0HOQV2BCECff5N/hj8U/fN/DcDsgB9AkIFuv6z/7ABDwCO/rz9Af6+AL8C2QBl/4v82wAhARD9z/zP/+EA9ABbBAAAGvwl/F77ggCfATcCSAh5CwIHKvyY9DX1Df2y/zb+AwTQBFsDYgZhARMAJ/8o+yn5svoQAGsDwwVPASj9tv9MBP8Abfkr/B8C8AEpBKsDXvxH+Q757Py9A/UGXgiZB5UFfALB+9r3/Pit/Kv9wPnl/TYHTweI/9D7fP52ACsEQAizB/n+3/mH+5b55Pqm/xsEYwX2/cT1KfYR+ZD7MgSVCwkMvAnbBJcCRv4r+2n+eP6t/Ej+1/6dAQYFjAJIAT8DbgPp/C76lP7eARz+Pfec+Nz9hwKUA3AE7QYmAu/+dwFs/t7+qwFHAeIBMv1C96H6tP76AcMGswEO/6L/+PoM/YQChQDW/noAvwGWA+ECzP+Y/CD+rwNOA+UAO/64/9oBx/+u/3/9sADJBmYFZQNJAjj9+PfZ9vP6M/3X+uj7sADeBngGQQR3BwQI3v8m+Er3VPvF/vb+Zf08+2r/yQKjBNgFCAWoAzADBwAN/zQCn/7795z3Dvva/RsE/AlJC08DT/za/nIA8fsm+TH68vvj/LcBNwjQAyMC5QWGA+f/zvxy/UL80PbE9vf9JAKgAgQF3gdGBoD/ufyK/3UDCgS5AL37nPhx+N7+BgUtAw7/Y/9pAawCOQZUBAn+jPsZ+jD6Yf+BBqIIngKs/87/Bfs4+aD7rP/wA6sDoAR2AgP9fv1XAFIAY/4mASkAt/qT/ZgF6gMRAbQA9/7O/8L/Pv3u/UH9FPlB/tEDOAGvAiQHHgS+/JP6lvv+/dMD3wSI/83+qP9z/Tz9c/7kA2gEKALWAUv/Lv/SAFH/H/0//aP9CQMIB8QFJgUjBCEDCQEy+1D3qver+5r+OP1X+0/7Af1nAjQIfAT6Ak0EgwKRAxgEsP3R+Nj4cPuqAQcAz//SAGQAiQNvAUoAcAIA/wb8Jf+IAfoCGf8p/PMAVgJEAAv9qP7QA6ACHv5V/C/7kfq7/NAAAALnBMEG5QEsAlgGgAeZAoL6+vi8/sICdAMdA18CJ/7c+1/7N/eu9hH5lvsRAy0KtAvwCN8AK/7X/yYAbwA2/K75l/mj+VX+egAbAlYHlglOBfMBnwKe/Bz4b/xOAXr/dPy9/yf/If7D/t0AhAEiAWcAJ//iAdsD4QJO/l77Efoq+4j9fv56ASkH1As7DLIGKP9Z+5r4V/j8/RsCmwJ//7L6OP1fACT/VwIiAm39af0kAb8DDAX9ATz+Yv9Z/0v8DP4XANQA9wCw/Lv7+PwyARYGYAfWA7D+KPyO+uH8CANIAzEAEQCq/8QAsAKFAEb87Pr4/H3+vQKWBXsDigK3Auz/wP2F/Z3/jQG//zn+4/37/Yf9Kf1MAAcF2wJ7/zwArQOWBIwBlQDgADf+efsd/Qz+2f5g/6f7A/2rAacBPgJ8Aw0Czf/O+3j7u/x2/x8F7gWyAP/77P65AIkBhQKJAcP+/P1BAVv+vfr7+4f9rv6rAOEEvQc3BqUCHP/i/B77SvzbALsEUgaWAxr9A/mw+iL9nP4eAHkBIgM6AY7+Sv5nADcEewIHArECJ/95/+ECWgRk/1f8wPzz+hj8m/+l/64ATQHfAS4DSQJUADD9+f22/R38ZP/NA9gEvQSiAzwADPt4+JT6OfzR/2YFOgNV/jYANwSBAkX/6QCQAqL/rP5x//X+Hv0e+l77AQDCAdIDDQZoA1b/9f/jAo0Cb/9t/Bn7cvyyAToFMQSpAQf+P/vE+UT88QH0AA8B3gPzAt3+h/ue/tMAkAJeBLQBq/4L/Vv8fP2wANgDSAP7/pn9AwCzAg8CSABBAH7+q/tN+hH/aASPBR0DYwCSAbz/aftR/OkAGAPkAgEB+f5V/nr+o/4eAPn+D/wr/KT7I/6LAj0CkwKMAlAB/gLJBPcDsABp/xIANgAV/aj4+vd3+lUAvgWxBOkCHAK//o39eAC3ATACBgIu/8r9JgAHAnsCdAL2Acn+/vxp/jL/HP+//PT6uf0tANf+5P9JAkIFHAVTASIAUAFyABj/Kf3I/KD88fvu/7cBbAKuA3gD1ACi/gwAyP/6ACEB+vzW+nj8jf3D/lwDkgSbAxwEjgEOAIb/5/xs/Or+kP8CAQ8C7P+dAAAChwC5ACADFgEg/xz+6vrI/FYB/wDA/fj9N/7n/n0BSgDl/pIAIgD6ADICCAF8/8QAtwPjAiH/hP3R/nz+N/8sABv/vv8TAjYBnwCSAQsA+f4a/v3+jf+I/73/nv1B/U3+5v9MAUEDcQOOAycDjv+W/gf/HAFAAoj+Pv7kAbEDfwJP/hb6nPqH/j//D/6T/iYCyQO8AZH/gv3w/AD+IgLxA8AD7QGQAHX/Rv+SAZj/af3f/ZD/IgLTAKj/Z//I/WkAFgHz/kgAXwL3ARwBNv6p/Gf8Ev7R/+T+eQC9Ap8D5gA5/gH+J/3J/hIDpgXzAp4AG/+Q/Nb7APw6/qQBhAQ5BfADfAEpAdEAy/0D/Df9zvw6/b7+zP7dAAMC1wJEAzUDdwCd/Qr9LP6uAQ8DIAAz/f38Xv8UANr9jv9WAZ0AewB4AucCngLBASX+3/zX/q7+HP7+/5T/+/0EABYD8wLZAYUASQCmAvIBy/2f+/L8iv+PAegBuwH+AZz/h/6Z/m79kv/hAuIBS/98//L9xvsg/FX/UQORAlQBwwByASUCSgCOAFMB7f7W/E3/EgKyAbwAcf9f/tD/pv7C/PL9kv2B/28DIgMoAWEB/f8X/nb/wf6a/VL/JALMAtIAQAHjAiIC5v4K/jwAYf8p/FH7//0RASkB7QCUAt0CiQJjAef9ifz1/An9Nf/DAuwDhQPvAbD/6f2K+5D7//2gAKMCsgJ6AjQDPQHm/9QA4P+7/Kz6GP1V/xEBwQFbAA0A1wHQAyEC7wAs/5j+zP5R/74BbQIJAigAVf0Z/Vb/6f56/qQApACLACsCRwDP/Rf8RPsa/uEBUgTHBPwDHQKk/27+rv09/VT+XgDD/xH9wP3T/kf+v/9+AQwCqQKaAfEA5wD7/wcBzwDT/rb+vv4SAc4DZgPkATsAuv66/rb+IP2L/KX8nv4sAW0CmwHy/5n/9P+uAJ0ArwHDAkoDdANWAln+b/sc/OH9ov+e/6UAEgH4/sX+vwDa/yX+aP3S/n4B6gBpAFIA/P3G/goAr/8DAssBYQH/AQP/afwS/p0BsgPdAoH/R/7a//IBrAJJAZcAKgBf/Zn7O/xq/L38CgB0A+4DbQJHALL/oAAdAVX/Wf8NAZABpgGJAd4A/P/e/dX9Uv6B/oH/If5Q/ywB1gAuAVUBuABD/0/+KACAAUEC3wAU/38ASQGtANT+pv4//3z+MP2w+3j9sQBZA2IDIQK1AiQBnv52/vv+HP5d/aP/6gCo//cAYQPxA2sDigLl/w/9ovt++r76If6XARgCFwFxAV0BCgHtAlcCMwDX/zX/6/6w/37/z/7v/nH+K/43/3EB7wJSA+ABWABlAasAi/49/an9CP7a/mEB/wIkAQT/dv50/47/jf0W/eP+TQBfAcoC/gLFAxYD4QCMAM3/nP7R/Ur8Zv3l/+D/Nf+y/+T/EADqABQChwJzAcX+Yf0E/vT90v8kAuICvQKlAFn+0vwm/ar9Vf4+/7v/lAICBMQCzAHM/zIABgFnAGoAhwAdAX7/4/09/cz9GP/+/7AByAEyAFAAlQAV/2P/+P88/1T/lP+j/rf9yv3H/2MB7AARAWcC/QEmAP8AaAKgAR8AiP4v/bT+Z//w/Sz/YgAlAQgBpwBmAG7/cf9fAQsDFgKL/6P++f9s/8H90v2aANcCKAHX/yUABQBVALz+t/3h/Zz+iP+B/00ALQCu/1f/Cv8gAccC9QFGAKH+//7BAHYArgDJAUsAa/8l/4T/fwHKAoUC/QAn/4n9APyB/BD+CwB3AiEC/QAGASMBtQCg/oD8MP2E/pIAtwEGAgwC9P+j//cACwEy/xj9DP6pABYBVwCW/w4AlAA6AasBUgAz/4r/5gCvAGgAPQAK/8L+mP5F/sf+UwD/AbkCNgISAZv/s/7G/ar8ff3j/lcA9wHGAlcB6QAaAKr9YP3c/+QBkgBi/xL/2f7d/7ICEAS0An8BigA+AEoASP/V/XD8+PxE/7//W/7a/pIAlgDR/zD/Z//G/w0AngLLBFED3wDa/4H/ov+l/vP8Sv3J/4MCMwKTAZ4AE/86/tv+NABP/6L+Tf7i/bz+jAHTAxwEXAOyAZH/GP5w/n7+Tf7s/tL/mv93/o/+Ev5q/QX+NACJA6kElgI4AJEABAHv/tL+j/97/kv/fwEEAc4AXQEMADkAAgDy/7cAvQAMABD+8/3B/4//KP4N/nT/OACj/zUBCAO7AsoBBwEhAAP+Ov2v/sH/IQFhAiAChQCw/w4AmP6j/Av9pf0Y/xIBbAFxAekA4wBDAIcAnwGwAAAAr/5b/Yv+z/+oAOYAwwCKADMAywCzAEEAp//W/0gAuQCKAOj+CP7j/tP/cv+S/x4AzgBWAcUAgAF/AcQALgAi/1gAbgGAAHr/bv+G/tb9c/7C/nL/SP+s/9YA6QC3AOb/X//A/ysBBQHt/uz9rP9bAtwBawB3AI//cP/X/9r/IgBZAB0BeQDN/rL+qf4Z/qT/6wAVAWwBsgFwAFz+B/6w/oz/HAArAYYBBQGwAW4BXQDNAFsAa/78/P/9MwCqAQwCCwD4/XL9p/3n/xQCJgE1ACQBxAB3/xv/6/+9AZEB3//3/nD/f/8IABcAxf80AfQA0/9wAKgAMv9k/pz/tgCP/93+m/8gADgAAAAEAKD//v5i/50A8QAbAF7/F//G/vf/OQIEAsQAWv+h/44BRwEQ/w3+hf7H/sP+bv/GALoB2gHNALkA6AAWAGL/OP9B/w0AngEEAjQBa/+d/lb/Iv83//P+Bv7c/iwAMQA6ABsACP+Y/sb/0ACIAJEAqwG1Ar0Bzf9N/4T/Y/9AAMkBcQFwAHT/CP////X+Rv5P/jD+0P4jAO4BYQLSALf/av9i/9b/BwBr/83+GQDfAHEBSgFaAHn/gf7q/uz+xf8hAWoANgABAFwAmQGrAL7+yf55/zH/Pf93/68ADAHR/6UAswGGAeAAcv94/ln+ff+fAewCRgK1/2L+Df+8/xL/9/1N/wsBQQEHAQ4Adf5k/gD/p/7D/wYBtwAiAEwALQBK/1n/gwDsACABBQJ9AWn/zf3g/aP+if/H/4QAfgH4APb/nQALAjsBYQBzAPf/LP/X/gz/XP/P/63/tv9z/0X/Uv8PAJIAzADcABMAg/+A/84AZgHTAFoAh/+h/gf/+v68/2sAAADkAHsABQDB/0z/oQDpAOz/4v+SAAoAgv7N/XT+nQCoAsEBhABtAGb//P4a/4r/yf8wAL4A3//X/0cALACQAEUBggDh/qz+If85/4QAhAGrAOT/fQClAJT/xv/3//f/MQD2/zT/TP+QAEAADgAyAFP/c/+AAK0A3f8LAMH/mP4+/mH/3/8xAGgB7ABPAGMA6ABXAKf+d/70/pH/wAASAWYBEQEPAMUAZwEFAZAAQv+3/mj/b//U/wUAKP8V/6b/Dv9D/mL/nQA/AXABTQGTAVoASP9p/6T+1f7F/6b/P/+o/zMAegC0ABUAlAA9AeQAzQCfAM7/F/8r/yz/8v7D/zsAOgBHAG8AbAEJAan/ov8sAHwADQC3/08A7//C/i3/6f96AEoAvf/3/5r/W/+7/5T/O/+iAKUBvwETATn/3f2c/on/hv91AIUBzAAl/7L/QAGVASYBYv9j/lv+Yv61/u/+IwDVABUBIQHnAEMBrQArAK//V/8wANH/AP8v/1gAUgF+AAEAr/87/47/dQBTAWsBMQB2//z/Tv+1/q//1f8N/+7/rQD8/53/5v+lAEkAJP97/+z/BgDk/9n/LwC8ALoACQFHAdIAewAsADQA8v+P/sb9M/5S/qj/JAGdAOr/yQBdAeQA7P/w/p3+xf9rARQBKgCA/8P+Jv9xAG0B8QBBABgAOP+O/+EAMQC2/3oA5v8e/7b/e/+u/pn/tQD4ABEBYwBU//v+t/+4AAkBIABr//j+QP4z/3oAdABcAEIAzP9EAKkAwQDMAGgARABfAAMA9/8MACT/gf5w/o3/RAAJAIAARgEbAgMCRAB0/zQAVQCT/4P+Nv5b/sX+E//y/+cAvQDXAEMBKQGMAGkAfwDo/yT/Rf/2/j7/IgDU//7/SAAaABYAgv/0/mj/3v+6AD0BwQCJAN7/df+B/wwAtAC9ACsA5v++ANUAqP/B/vH+AP91/3sAcwANAO7/MAARAVsB5wCY/0P+Xv4d/9P/TADUABQBIQGzAJv/j/82ADAAyP8Y/y//cv+J/wAAzP8xAIoAcgDw/yj/Hv/z/4IAjQAxAVgBHQDa//7/tP/h/8X/T/94/+P/FQCdAMEA3AAYAOP+OP9z//D/7gAtAZEALACX/8f+yv5h/1QAxQDLALUA//88/3j/OgD//yz/Sf+j/57/1P+WAL0APABsAJkAYAB0AI4AiACz/3D/+f97AGUA3f8MAF8ApP/d/rr+2f7w/1IAhf+C/xkAgACaAA4A8f+BABYBWADa/hX/jv8wAD8BpwEEAbH/Nv9x/xL/pf4X/zoA1gCxAIMAzP/p/14AkQDTAP//Gf8w/57/TwA3AX0B7gACAG//oP+f/wz/Mv+D/7r/VQAUAND/vf+S/4D/yP+iACUBqgBWAP3/0f5A/0YAlgCLAOv/pP8TAG0AUAC2/8X+uf6J//L/MwAYARgBMwCj//f/2AA2AboAXf/W/lL/bv8RAPAAvAB7ANH/lv84AIAATwBD/+v+Tv+m//n/cv/E/7QAsADv/3f/Wv+O/3AAnwCIAGQAjwCEAKv/Rv9k/8n/3v+z/+f/9f9oABQBxgBIABMAvf8AAEAA2f91/8D/NgA3APT/2v9aACMAX/9y/77/IACyAAkBBAF6AKH/Zv+7/73/j//O/yAAtf/s/hv/KwBUAOT/6/80ABkAlP84/+H/qQD7ALYANAAnACgATADy//H+t/4//7z/8v9uAA4BjwDA/xkA7wCrADsAYAA1AKr/Uv9+/9D/VQBXAKf/x/8cADQACADs//b/df9x/27/1/+SAGkARAAdAPz/QQD5//b/3P8S/53/nQCXADIAOADP/8z/kQDgAI0AY/95/oX+Sv8fAJ8AnACaAJgAXQCzAG8AMAAWAP7/zf/l/mL+Vv9bAAsA1P8GAGUAPgBKAPMAvgB6AKMA8f9m/1v/Gv8r/3b/6f9uAI0AEwDD/1IA7gBQAAoAUACS/7/+iv5l/28AqAAZAcMAHAAJAND/DQBFAPn/cP9f/9D/CQD8/8H/8f9pAMUAdwDl/8X/yf/M/zcAiABNALH/P/+w/7H/0P+lAB4B4AAMAPj+AP8//zT/9//MAHwA9f9TACoAbP89//v/fwByAFYAZwBMAFoAlQD1//r+P/8mAGQAQACO/z3/Xv9F/yMAOQExAXYAiP9b/xAANgCm/3n/IgA7AKT/mv8dAF4AUwDKAK8AXQBEADAAWgDo/wH/lv5m//X/6P+aAAcBWwCl/6v/jv+s/+v//f9dAAkAZv95/8b/TADiAM0ARAAPAP//ff+q/7j/3f9SAEYAlgCTAKr/cv/q/ysAEADx/zEAyP8i/9X+TP/7/3oA8gDzAJsA3P9Q/5n/uv/G/0QAsgA9AGb/OP+j/xIANQBEABYA9f+qAFMBQAEZAYUA0v8A/9v+//4d//f/TwByAKIAUgCM/w3/iP8AADcA/f+A/93/WAASAHn/JP+0/1gATwAJAGwAtwBWAEIAiQCgAO//fv9a/6X/8f8EAJYAxgAOAC//Sv+n/9j/ewB7AC8AkgCfAPj/o//+/wgAuP/d/+r/j/+7/x0AOQAGAFb/dP9AAEAABAA8ACIA3//N/8r/QAAIAKD/KgAUAK7/FABrABQAev98/8X/PwD8ABgBfwCt/4f/BQDn/3n/0P9SAFYA5P+7/+b/AgBxAH0AfQALAB3/Yf+m/2f/AAC2AKoAfQCPAA0Aiv/o/7L/GP9y/wAAewBRAAQA7v+K/23/pP9lANMAbgA9AIoANADA/wkA9v/p/wUADQBoAFkAu/+l/9D/VP9o/wgASAAyAM7/Vf8l/4H/PACzAKIAvABZAIX/yP9SAHgABQCY/3r/W/+M/x4A9wAGAcIAqABTAKT/S/91/3z/4v85ALr/Qf+G/08AuwCpAEUAev8h/0H/u/8QACkAqgDoAHcASQBnAAEAef+n/yEAbQBMAJz/dP9n/4D/1//v/w0AXgC7AD0A7P9YABQA0v/p/4b/tf9BAEQA8v+J/63/6/8jADsAzf/r/4EAcwDm/7X/2/88ACYAGAA8AOT/if+u/yYAhABKAJD/nf+x/3n/BQCGAD4A//9XAJkAggBWAAQAhP+T/xkAwv+g/+P/HgBBACUA1/+k/+f/v/97/7P/QQCBAA8A1v+x//r/LADy/1MAMQD1/yQAYQCeAFwAxf+T/23/mf9cAEoAy//q/+D/zP/0/zIAngCzAAwAg//L/zgAIgD8/97/n/+8/xQA5P/X/wEAlP+L/87/VAC1AKYAmwD+/7n/BACl/6j/GgBBAOz/df+p/9v/vv/m//j/JABQAIMAhwDn/8P/PQB6AHkAHQDA/5v/YP9u/8z/DADU/9X/JwBqAEIAPgCCAGgABADZ/xEAUQBUADMAm/9S/4j/Q/+O//H/MwAyAMj//P89AG4AcQAzAOX/9P8eALD/cP+j/wMAIgDd/x8AWABvAJ0APgDR/8P/xf/L/w4ATwA1AMv/c/+v/+n/xP/z/3oAzAA/AK3/sP+r/wAAewA/ADUAbAA+APb/ff8c/xL/V/+5/wIAPwCJAIUATABQAEwAVgApAOf/MgBWABIAwP+b/7T/kf/W/4kAhwA7ABQAuv/X/0YALwCc/2H/zv/7//P/FwA+AO//mP+e/6b/DgBKAPf/of/h/1oAUABvAG8A2v+///3/MAAQAOn/6//a/xUAhADDAF4Ap/+b/8P/oP+Y/6v/KAClAEIA7P/y/xcATwD0/8P/DQD2/93/rv9//4H/dP/N/2gA6gCOAD0AXwDj/3v/0v8IAPT/EwA4APL/iP+T/+n/9P8oAKcAfQAmAAUArf9Z/3r/LQDMAK4AWwBMAAoAqv+o/5X/WP9o/wkAQgA0AGYAUQBWAEgA9//S/5f/ef/E/yMAFwCr/6P/IwBKAPj/6f8OAHQAhgAhAPz/OQBDABsA0f9c/47/+v8/AHUAWADt/7b/1/+j/5H////x/8z/+P8RABwAVQBCAM//tP/C/zIAlwCfAHAAEgDc/93/qf97/37/zf9rAHgAFwDS//f/SQBDABsA3P+5/4//of/a/wcAFwDT/8D/w//Y/zwAvwCPAFcAdwAOAIT/tP8MAN3/nv+x/8z/HQCXAL8AtQA4AN//rP9b/0n/pf9NAJoAUQC4/4r/0f/g/97/1//j/+v/0f/t/xEAewC3ALIATgCs/5r/3//2//X//f8qABYAvv+3/7X/t//D/zUAaQAJAN7/HwB9AHYABwCx/6D/qv/9/y0AZwB5ADEA6v/o/9v/fv+4/xIAKQAHABgAOwDX/6b/4v/f/67/0v8nACwATwCyAFYADwAAAMj//P/c/77////d/9L/+P/b/+7/JQANAO7/+v/7//H/5f8IAAgA0v/y/zQAJQDh/8L/xv8jALMAswBnAAoAzv+w/3X/wP9AAHQAMgDz//H/w/+o/+//KgBGAAgArP/w/w0A2P/G/9z/zf/i/1EAXQA+ADQA5f/a/wIA1f/d/yUAQQA1AAkADAAJAND/u//8/ycA8f/9//7/mv9l/8v/MQBVADcALwBDAOz/yP/h//r/KwAxACoAQABVABAAp/+h/5f/rP/+/2MAjACCADoA7v/l//7/7f+l/6b/5P/Y/87/7//0/ygAKgATAAcA7//1/yYAUwBSACEAw/9u/67/BgDm/wEABQAVABsA6f/X/wsAUQAoACwAUQAcAAcABADk/7//rf/i/wkAKQAUALz/1v9CAFwAEQAMADcACQD///r/0//c/9P/w//b/+z/4P/A/7D/9/8zADQAMABPADYA4//l/yoAWwAmAP3/9f/C/6P/uP8UAFYASgAvAB0A5P+d/5v/v/8kAHgASgAzAGQAOgC2/6P/sP+v/woAUQAyAOH/1P+8/9v/LwABALL/2P9EAFcAQgBNAEUA6P+0/6b/av+n//L/CwAhADkALQACAOj/zv8fAF0AJgARABoABAAiACEA5//v/yUARgA9APP/tf/L/57/qv/6/xcAJQAsACUACADM/6P/rP/t/xoAIQALAAYASAAtABoACgAFAPT/nf+///D/2v8YAHcAdABTADcA7f+G/5b//v83ACcA5f/r/wsAGwAjABYA/P/Q/6T/rP/v/yIAFgDQ/5r/1f83AG8ASwAIABMADwDc/8D/7f9SAI8AeABMABUA5/+s/4D/qP+8/9L/GgBCABAA0/++/+//TgBtACMA+f8eAAoA4f/l/wYA1v+u/6v/pv/W//P/8P8FAGIAawBIAEMAQgAyAAYAz/+//8z/6/8wABYA7P/N/+n/JABEACcA8//k/8r/s/+y/9H/DABiAGQAOwAeAND/mP+x/wEASwBhAFYAOwD1/5v/c/+W/9P/MACXAKkAgwAtANz/hP9H/4H/wv/j/wQASQBtAEcACwDk/wwAOgAAALT/v//H/7v/w//f/z8AoQCkAIUAKwDp/+D/0v+z/47/x//x/xIAQgAGAO7/DAATAOH/m/+h/7j/3/84AG0AiwChADcAxv/L/+L/4f8CAC0A/f+n/8v/8v/T/+z/CQA3AFwAQQBAACcA7v/H/5f/s/8AADEACwDn/wwABgD8/yEAPQD+/6L/v/8KABEAKQA1AOb/4f8XACoADgDr//z/EwALAMr/jv+v/+v/6P/h/zEAbABLAB0ALABcABoA8P/g/9f/5P/t/xAA7v/V/+r/EgAZAA0A+P/t/yAAJQAEAAwACQDr/9v/6P8PABIA8//X/7b/s//o/wQAJwAwAB8ANQA4ABMA9v8VACEA5v+0/+T/NgA1AAAAwf+g/6n/yv8JAC0ASwBvAEsAEADi/+L/7P8AAA4A8P/0//L/FgAyAB4AFQANAA0A6f/w/xwA7/+n/73/9P8ZAAIA3v/N/7b/zP8CAEgAegCKAFwACADZ/+b/2//F/9z/2//H/7r/tP/J/+r/RACkAHsAPQAsAAgA7//7/+D/tv/E/+b/4P/T/+X/HgBwAG8ATAAsAOD/u//h/9T/n//E/xcAVQBpAEYADwDe/7T/qf/F/+n/CgAgADIAIgALAP7/4//O/7n/6f8hAB0AHAA2AC0ADQDk/7r/xP/e//r/BgA9AFUAOgA/ADQA7/+0/83/DgAxACAABQD6//T/8v/k/7r/vP/m/9n/wP/n////BQBIAFUAFwDm/8r/AwA4ABoAJgBTACAAyf/D//L/+v/n/+7/AAARAAUAIQA2AAUABQAaABoAHAAiAAUA0//Y/8n/nf+//woARABTAAsAt//C/wcAOgAYANv/1//u/xAABgD9/wkA8P8IACgAFAAaAAwABAAEAO//2P/P/wAAGgAcAAoABQARAPP///8PAPv/9f8OACsADwDN/6r/rf/u/08AQwAIACAAGgDZ/+X/FQAhACsAAADY//P/AgD9/+L/1f/w/woAAAAGAC0ACADP/97/FAA2AB0A7P/d/wEAGAAYAB8AHQD2/7//rP+u/8n/EABOADoANAAvAOz/4P/7/xUACADW/+7/HwARABAAKAA1AAcAtv+t/93//v/v/wAADwABACAAMwA+AEcANwANAOr/2v/A/7z/vf+7/+X/GwArACoAFwDu/9P/5f8SABoA8f/2/yYAEwDb//n/IQAXAAcAAwANAA4AAADr/+z/+v8AACAAKwAnACsA8f+t/73/1P/s/yYAGwDt/+//EwA8ACwAGQATAOv/vv+//8z/yf/s/zQATAAsAC0AEADy/+D/7/8nABQAAAADAN3/yf/1/xEADAAOAB0AKAAKAPP/7//w/+3/3v/b/+P/BAAPAA8AHgAKAOf/3P/x/x8AQgA4ABYABAD7/+T/4f/s/+n/zf/M/9//9/8dABAACQAPAA0AMQAmABsAEgDZ/+b///8IACwAJgATAAsA7P/B/9L/5P/e//r/IQApAAUA6f/Z/+D/8f8FABAAGAAqACQAJQAkAP3/2//l//7/DAAQAAsAHwASAOX/8/8NAAcABwD+/9X/uP/N//b/DgAZAA0AHAAfABsAJQD7/93/7//u/93/0f/j//v/GgAuAC4ANwAVAOv/6//u/8X/v//3/w0AHgATAAgAGQALABIABgDm/+j/+v///+j/7/8RAAoA///y/+X//f8TABcAJQA+AC0ACgD1/9b/4//4/+v/AgASAPz//v/p/+n/DQD8/+3/FQAvABgAEAAUAAcA9f/s/+//0P+u/9b/FQAqAB0AFwAmAA0A3//j/wMA8P/g/w0AIQACAOD/3P8OACsACQAEAAsAEgAOAP///f/z/woAJgAJAOD/7/8BAAwAFQABAPX/9//5//v//P/g/8X/yP/g/w8AJgAqAD4AKwASACUAIwABANj/y//Z//n/EQAZAPv/6//5/wIA///u//P/6v/5/xoADQDp/+f/9f/v/+j/8v8PABwAKABRAEUABADb/9H/2//+/wYABAAiAC4AHwACAOH/y//M/+P/8P/8/yUATgBOACoACQDy/93/vv+l/63/0v8WACwAEQAoADkAGQALAPf/8P8EAP3/8v/n//j/CAAJABkAAgDq/wQAJgAkAAEA+/8IAPb/2f/H/8L/4f/6/xIAIwAcACcAFgAAAAgACgD1//v/9//i//D/FgAyABcACQAQAO//zf/P/9//4v/3/yIAGwANACQANgAfAPD/0P/p/xEACQD+/wUAEwAPAO3/3v/3/wUA9f/c/9r//v8AAO7/6v/y/wYAJAAvADAAQwArAAoA8P/N/+b////l/9L/1v/w/wYAIAA+ACoA+f/o/+z/DgAyACEACADy/9L/5/8ZAAoA9v/7/wEA+f/7/wMA6v/3/w4AGwAmACEADwD6/8v/of/E//7/AADz//r/CgAqACQA9//y//v///8bABwA+////yEALAAqAB0A7/+5/7j/3//s//P/FgAqACIAEAACAPT/7P/7/xEAEAD7/+7/BAAVAPf/3P/e/wEAGwAOABcAIAAeAAwA8P/a/8b/1v/0/wwAHAAgABoACwAAAAYAAwDx/+X/4f/4/wsA//8MACAAGwAcAB4A/P/J/7r/yP/l/wEAFwAxAEIAJwAQABkAHwANAPP/6v/L/6//0v8AAAcA/v8AAAwADAAFAAsAAADt/+3/AAATABEAGQAfABgAAgD5/+7/1v/l/wUAAAD3/wEABAAHAAAACQAIAAIAHAARAPn/+v/6////BQD3/9//7P8XABEACwAMAP7/AAD//wcAFQD//93/4P/i/9z/8v8OACcAHwD7//v/+/8CABYACwD1/wgAFwAAAAEA/P/m//H///8SACAABwDv//P/BAD9/wkAKAAQAOj/4//3/wMABAATABMA/v/1/+r/0f/M/9n/9f8hADcAOQA5ABoA+P/v/+L/5v/y//X/AAD5//P/BAD+/+n//v8ZABMAEQADAPD/8f8BAAQAAwACAPv/+f8DABUAEwD9/+v/AAAMAA4A/f/W/+X/+//+/wAABAAOAAMABgAdABgADwAWAAcA4f/L/+v/BgAOABQA/f/0//n/CQANAAcAGAAFAOD/0v/g//7/EgALABMAJgATAPv/8f/m//X/BQANACIAJwAXAAQA///u/9X/xv/C/+j/GQAzACgAAwDo/+X/BwAUAP7//v8AAAcAGwAdAAEA3v/b/+H/6v8DAA0ABgAOACYAHQD7//P/8P/1////BAALAAIACQAbABAA9P/j/+j//f8cABUA//8NABkA///y//r//v8AAPb/+v/8/+j/4v/2//n//P8DAPn/+v8EAAMABQACAAAAFwATAAIADQAGAP3/BQAEAO7/4P/p/+7/9P/6/xYAMgA2AC8ADADp/+T/9f/7/wQACgD2/9r/5v/8//f//v8WACEADAD//wUABAD5/+v/6//o//n/BgD7/wcADAABAPz/BgAhADAAGgDw/+v/8//5//v/7v/s//P/AAASABIAEgAIAAYACwD0/+v/9f8DABEAFQARAPP/2v/t/wQAEAANAPL/6//v/+7/+P/+/wcAAwD1//7/BQACAP//BwAgACYAJQAnAB0A///f/9v/4v/l/93/8P8HAAgAAgD9//7/DAAeABUABAAAAAEAAAAEAAYA8v8=';
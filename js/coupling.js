@@ -0,0 +1,74 @@
+/**
+ * Crowd synchronization by mutual coupling (Kuramoto phase model).
+ * Each clapper keeps a phase offset from the beat grid and a natural tempo
+ * mismatch. After every beat they hear the crowd and nudge their phase toward
+ * its circular mean, in proportion to the coupling strength and to how
+ * coherent the crowd already is. Weak coupling drifts apart, strong coupling
+ * converges, and in between the crowd can split into groups.
+ */
+
+/**
+ * Circular mean and coherence of a set of clap offsets.
+ * @param {number[]} offsetsMs - Offsets from the beat in ms
+ * @param {number} periodMs - Beat interval in ms
+ * @returns {{ r: number, meanMs: number }} Order parameter (0 = chaos, 1 = unison) and circular mean
+ */
+export function orderParameter(offsetsMs, periodMs) {
+  let sumCos = 0;
+  let sumSin = 0;
+  let n = 0;
+  for (const offset of offsetsMs) {
+    if (offset === undefined) continue;
+    const theta = (2 * Math.PI * offset) / periodMs;
+    sumCos += Math.cos(theta);
+    sumSin += Math.sin(theta);
+    n++;
+  }
+  if (n === 0) return { r: 0, meanMs: 0 };
+  const psi = Math.atan2(sumSin, sumCos);
+  return {
+    r: Math.hypot(sumCos, sumSin) / n,
+    meanMs: (psi * periodMs) / (2 * Math.PI),
+  };
+}
+
+/**
+ * Advance every active clapper's phase by one beat.
+ * Persons without a phase yet start at their personal bias.
+ * @param {object} run - Per-run state; reads/writes phaseMs, reads lastOffsetMs, writes order
+ * @param {Array<{ biasZ: number, tempoZ: number }>} persons - Active persons
+ * @param {object} params - State with spread, coupling and tempoSpread
+ * @param {number} periodMs - Beat interval in ms
+ */
+export function advancePhases(run, persons, params, periodMs) {
+  const { spread, coupling, tempoSpread } = params;
+  const heard = persons.map(p => run.lastOffsetMs[p.index]);
+  const { r, meanMs } = orderParameter(heard, periodMs);
+  run.order = r;
+
+  // Natural tempos are centred on the grid so a locked crowd stays on the beat
+  const meanTempoZ = persons.reduce((sum, p) => sum + p.tempoZ, 0) / Math.max(persons.length, 1);
+
+  const psi = (2 * Math.PI * meanMs) / periodMs;
+  for (const person of persons) {
+    let phase = run.phaseMs[person.index];
+    if (phase === undefined) {
+      run.phaseMs[person.index] = person.biasZ * spread;
+      continue;
+    }
+    const theta = (2 * Math.PI * (run.lastOffsetMs[person.index] ?? phase)) / periodMs;
+    const pull = coupling * r * Math.sin(psi - theta) * periodMs / (2 * Math.PI);
+    phase += (person.tempoZ - meanTempoZ) * tempoSpread + pull;
+    run.phaseMs[person.index] = wrapPhase(phase, periodMs);
+  }
+}
+
+/**
+ * Wrap a phase offset into (-period/2, period/2].
+ */
+export function wrapPhase(phaseMs, periodMs) {
+  const half = periodMs / 2;
+  let wrapped = ((phaseMs + half) % periodMs + periodMs) % periodMs - half;
+  if (wrapped === -half) wrapped = half;
+  return wrapped;
+}
@@ -1,45 +1,50 @@
 /**
  * Statistical distribution functions for timing offsets.
- * All return a millisecond offset from the exact beat time.
+ * All samplers return a millisecond offset from the exact beat time;
+ * theoreticalDensity gives the matching probability density.
  * The `spread` parameter controls the scale of each distribution.
+ * Each sampler takes an optional `rng` (see random.js) for reproducible draws.
  */
 
+import { random } from './random.js';
+import { buildTable, sampleTable, tableDensity, drawnTable, empiricalTable } from './empirical.js';
+
+// Each bimodal peak is a normal with this many spreads of standard deviation
+const BIMODAL_PEAK_WIDTH = 0.5;
+
 /**
  * Normal distribution using Box-Muller transform.
  * @param {number} spread - Standard deviation in ms
+ * @param {() => number} [rng] - Random source
  * @returns {number} Offset in ms
  */
-export function normal(spread) {
-  let u1, u2;
-  do {
-    u1 = Math.random();
-  } while (u1 === 0);
-  u2 = Math.random();
-  const z = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
-  return z * spread;
+export function normal(spread, rng = random) {
+  return normalStandard(rng) * spread;
 }
 
 /**
  * Uniform distribution over [-spread, +spread].
  * @param {number} spread - Half-width of the range in ms
+ * @param {() => number} [rng] - Random source
  * @returns {number} Offset in ms
  */
-export function uniform(spread) {
-  return (Math.random() - 0.5) * 2 * spread;
+export function uniform(spread, rng = random) {
+  return (rng() - 0.5) * 2 * spread;
 }
 
 /**
  * Centered exponential distribution.
  * Random sign with exponential magnitude.
  * @param {number} spread - Scale parameter in ms
+ * @param {() => number} [rng] - Random source
  * @returns {number} Offset in ms
  */
-export function exponential(spread) {
+export function exponential(spread, rng = random) {
   if (spread === 0) return 0;
-  const sign = Math.random() < 0.5 ? -1 : 1;
+  const sign = rng() < 0.5 ? -1 : 1;
   let u;
   do {
-    u = Math.random();
+    u = rng();
   } while (u === 0);
   return sign * (-Math.log(u) * spread / 2);
 }
@@ -47,12 +52,13 @@ export function exponential(spread) {
 /**
  * Laplace distribution.
  * @param {number} spread - Scale maps to b = spread / sqrt(2)
+ * @param {() => number} [rng] - Random source
  * @returns {number} Offset in ms
  */
-export function laplace(spread) {
+export function laplace(spread, rng = random) {
   if (spread === 0) return 0;
   const b = spread / Math.SQRT2;
-  const u = Math.random() - 0.5;
+  const u = rng() - 0.5;
   return -b * Math.sign(u) * Math.log(1 - 2 * Math.abs(u));
 }
 
@@ -61,33 +67,134 @@ export function laplace(spread) {
  * @param {number} spread - Half-width of the output range in ms
  * @param {number} alpha - Alpha shape parameter (default 2)
  * @param {number} beta - Beta shape parameter (default 2)
+ * @param {() => number} [rng] - Random source
  * @returns {number} Offset in ms
  */
-export function beta(spread, alpha = 2, beta = 2) {
+export function beta(spread, alpha = 2, beta = 2, rng = random) {
   if (spread === 0) return 0;
-  const x = betaSample(alpha, beta);
+  const x = betaSample(alpha, beta, rng);
   // Map [0, 1] to [-spread, +spread]
   return (x * 2 - 1) * spread;
 }
 
+/**
+ * Skew-normal distribution, centred to zero mean with standard deviation = spread.
+ * Positive shape skews late (a longer tail after the beat).
+ * @param {number} spread - Standard deviation in ms
+ * @param {number} shape - Skewness shape alpha (0 = normal)
+ * @param {() => number} [rng] - Random source
+ * @returns {number} Offset in ms
+ */
+export function skewNormal(spread, shape = 4, rng = random) {
+  if (spread === 0) return 0;
+  const { delta, mean, sd } = skewNormalMoments(shape);
+  const u0 = normalStandard(rng);
+  const v = normalStandard(rng);
+  const z = delta * Math.abs(u0) + Math.sqrt(1 - delta * delta) * v;
+  return ((z - mean) / sd) * spread;
+}
+
+/**
+ * Shifted log-normal distribution, centred to zero mean with standard deviation = spread.
+ * Always skewed late; larger sigma gives a longer tail.
+ * @param {number} spread - Standard deviation in ms
+ * @param {number} sigma - Shape (standard deviation of the underlying normal)
+ * @param {() => number} [rng] - Random source
+ * @returns {number} Offset in ms
+ */
+export function logNormal(spread, sigma = 0.5, rng = random) {
+  if (spread === 0) return 0;
+  const { mean, sd } = logNormalMoments(sigma);
+  const y = Math.exp(sigma * normalStandard(rng));
+  return ((y - mean) / sd) * spread;
+}
+
+/**
+ * Student's t distribution with scale = spread. Heavy tails for small degrees of freedom.
+ * @param {number} spread - Scale in ms
+ * @param {number} dof - Degrees of freedom (nu)
+ * @param {() => number} [rng] - Random source
+ * @returns {number} Offset in ms
+ */
+export function studentT(spread, dof = 3, rng = random) {
+  if (spread === 0) return 0;
+  const chiSquare = 2 * gammaSample(dof / 2, rng);
+  return (normalStandard(rng) / Math.sqrt(chiSquare / dof)) * spread;
+}
+
+/**
+ * Cauchy distribution with scale = spread, truncated to ±clamp spreads
+ * (sampled inside the bounds, so nothing piles up at the edges).
+ * @param {number} spread - Scale (half width at half maximum) in ms
+ * @param {number} clamp - Truncation bound in spreads
+ * @param {() => number} [rng] - Random source
+ * @returns {number} Offset in ms
+ */
+export function cauchy(spread, clamp = 5, rng = random) {
+  if (spread === 0) return 0;
+  const edge = Math.atan(clamp) / Math.PI; // CDF mass between 0 and the bound
+  const u = (rng() * 2 - 1) * edge;
+  return Math.tan(Math.PI * u) * spread;
+}
+
+/**
+ * Triangular distribution over [-spread, +spread].
+ * @param {number} spread - Half-width of the range in ms
+ * @param {number} mode - Peak position in [-1, 1] (fraction of spread)
+ * @param {() => number} [rng] - Random source
+ * @returns {number} Offset in ms
+ */
+export function triangular(spread, mode = 0, rng = random) {
+  if (spread === 0) return 0;
+  const c = (mode + 1) / 2; // peak in [0, 1]
+  const u = rng();
+  const x = u < c ? Math.sqrt(u * c) : 1 - Math.sqrt((1 - u) * (1 - c));
+  return (x * 2 - 1) * spread;
+}
+
+/**
+ * Bimodal Gaussian mixture: an early and a late group, each with standard deviation spread / 2.
+ * @param {number} spread - Scale in ms
+ * @param {number} separation - Distance between the peaks in spreads
+ * @param {number} lateWeight - Share of claps in the late group (0-1)
+ * @param {() => number} [rng] - Random source
+ * @returns {number} Offset in ms
+ */
+export function bimodal(spread, separation = 2, lateWeight = 0.5, rng = random) {
+  if (spread === 0) return 0;
+  const centre = (rng() < lateWeight ? 0.5 : -0.5) * separation * spread;
+  return centre + normalStandard(rng) * spread * BIMODAL_PEAK_WIDTH;
+}
+
+function skewNormalMoments(shape) {
+  const delta = shape / Math.sqrt(1 + shape * shape);
+  const mean = delta * Math.sqrt(2 / Math.PI);
+  return { delta, mean, sd: Math.sqrt(1 - mean * mean) };
+}
+
+function logNormalMoments(sigma) {
+  const s2 = sigma * sigma;
+  return { mean: Math.exp(s2 / 2), sd: Math.sqrt((Math.exp(s2) - 1) * Math.exp(s2)) };
+}
+
 /**
  * Sample from Beta(alpha, beta) using the gamma distribution method.
  * More numerically stable than Jöhnk's for a wider range of parameters.
  */
-function betaSample(alpha, beta) {
-  const ga = gammaSample(alpha);
-  const gb = gammaSample(beta);
+function betaSample(alpha, beta, rng) {
+  const ga = gammaSample(alpha, rng);
+  const gb = gammaSample(beta, rng);
   return ga / (ga + gb);
 }
 
 /**
  * Sample from Gamma(shape, 1) using Marsaglia and Tsang's method.
  */
-function gammaSample(shape) {
+function gammaSample(shape, rng) {
   if (shape < 1) {
     // For shape < 1, use the relation: Gamma(shape) = Gamma(shape+1) * U^(1/shape)
-    const u = Math.random();
-    return gammaSample(shape + 1) * Math.pow(u, 1 / shape);
+    const u = rng();
+    return gammaSample(shape + 1, rng) * Math.pow(u, 1 / shape);
   }
 
   const d = shape - 1 / 3;
@@ -96,12 +203,12 @@ function gammaSample(shape) {
   while (true) {
     let x, v;
     do {
-      x = normalStandard();
+      x = normalStandard(rng);
       v = 1 + c * x;
     } while (v <= 0);
 
     v = v * v * v;
-    const u = Math.random();
+    const u = rng();
 
     if (u < 1 - 0.0331 * (x * x) * (x * x)) {
       return d * v;
@@ -115,12 +222,12 @@ function gammaSample(shape) {
 /**
  * Standard normal sample using Box-Muller.
  */
-function normalStandard() {
+function normalStandard(rng) {
   let u1, u2;
   do {
-    u1 = Math.random();
+    u1 = rng();
   } while (u1 === 0);
-  u2 = Math.random();
+  u2 = rng();
   return Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
 }
 
@@ -131,23 +238,269 @@ export const distributions = {
   exponential,
   laplace,
   beta,
+  skewnormal: skewNormal,
+  lognormal: logNormal,
+  studentt: studentT,
+  cauchy,
+  triangular,
+  bimodal,
 };
 
+/**
+ * Shape parameters per distribution, named like their state keys.
+ * The UI builds a slider for each; spread is common to all and not listed.
+ */
+export const DISTRIBUTION_PARAMS = {
+  beta: [
+    { key: 'betaAlpha', label: 'Alpha', min: 0.1, max: 10, step: 0.1 },
+    { key: 'betaBeta', label: 'Beta', min: 0.1, max: 10, step: 0.1 },
+  ],
+  skewnormal: [
+    { key: 'skewShape', label: 'Skew', min: -10, max: 10, step: 0.1 },
+  ],
+  lognormal: [
+    { key: 'lognormalSigma', label: 'Shape σ', min: 0.05, max: 1.5, step: 0.05 },
+  ],
+  studentt: [
+    { key: 'tDegrees', label: 'Degrees ν', min: 1, max: 30, step: 0.5 },
+  ],
+  cauchy: [
+    { key: 'cauchyClamp', label: 'Clamp', min: 1, max: 20, step: 0.5 },
+  ],
+  triangular: [
+    { key: 'triangleMode', label: 'Mode', min: -1, max: 1, step: 0.05 },
+  ],
+  bimodal: [
+    { key: 'bimodalSeparation', label: 'Separation', min: 0, max: 6, step: 0.1 },
+    { key: 'bimodalWeight', label: 'Late share', min: 0, max: 1, step: 0.05 },
+  ],
+};
+
+/** Distributions sampled from a tabulated inverse CDF rather than a closed form. */
+export const TABULATED = ['drawn', 'empirical', 'mixture'];
+
 /**
  * Get a timing offset sample for the given distribution.
  * @param {string} type - Distribution name
  * @param {number} spread - Spread parameter in ms
- * @param {number} [alpha] - Beta distribution alpha
- * @param {number} [betaParam] - Beta distribution beta
+ * @param {object} [params] - Shape parameters, named like the app state
+ *   (see DISTRIBUTION_PARAMS, plus drawnDensity, empiricalOffsets, mixture)
+ * @param {() => number} [rng] - Random source
  * @returns {number} Offset in ms
  */
-export function sampleOffset(type, spread, alpha, betaParam) {
+export function sampleOffset(type, spread, params = {}, rng = random) {
+  switch (type) {
+    case 'normal': return normal(spread, rng);
+    case 'uniform': return uniform(spread, rng);
+    case 'exponential': return exponential(spread, rng);
+    case 'laplace': return laplace(spread, rng);
+    case 'beta': return beta(spread, params.betaAlpha, params.betaBeta, rng);
+    case 'skewnormal': return skewNormal(spread, params.skewShape, rng);
+    case 'lognormal': return logNormal(spread, params.lognormalSigma, rng);
+    case 'studentt': return studentT(spread, params.tDegrees, rng);
+    case 'cauchy': return cauchy(spread, params.cauchyClamp, rng);
+    case 'triangular': return triangular(spread, params.triangleMode, rng);
+    case 'bimodal': return bimodal(spread, params.bimodalSeparation, params.bimodalWeight, rng);
+    case 'drawn':
+    case 'empirical':
+    case 'mixture': {
+      const table = tableFor(type, spread, params);
+      return table ? sampleTable(table, rng()) : 0;
+    }
+    default: return normal(spread, rng);
+  }
+}
+
+// Tables are cached per definition array (replaced, never mutated, on edit)
+// and per spread/shape key.
+const tableCache = new WeakMap();
+
+/**
+ * Inverse-CDF table for a tabulated distribution, or null if it is empty.
+ * @param {string} type - 'drawn', 'empirical' or 'mixture'
+ * @param {number} spread - Spread parameter in ms
+ * @param {object} params - Shape parameters (see sampleOffset)
+ */
+export function tableFor(type, spread, params) {
+  const source = {
+    drawn: params.drawnDensity,
+    empirical: params.empiricalOffsets,
+    mixture: params.mixture,
+  }[type];
+  if (!source || source.length === 0) return null;
+
+  // Mixture components share the global shape parameters
+  const shapeKey = Object.values(DISTRIBUTION_PARAMS).flat().map(p => params[p.key]).join(':');
+  const key = type === 'empirical' ? '' : `${spread}:${shapeKey}`;
+  let byKey = tableCache.get(source);
+  if (!byKey) {
+    byKey = new Map();
+    tableCache.set(source, byKey);
+  }
+  if (!byKey.has(key)) {
+    let table = null;
+    if (type === 'drawn') table = drawnTable(source, spread);
+    else if (type === 'empirical') table = empiricalTable(source);
+    else table = mixtureTable(source, spread, params);
+    byKey.set(key, table);
+  }
+  return byKey.get(key);
+}
+
+/**
+ * Table for a weighted mixture of closed-form distributions.
+ * Each component scales the spread and shifts its centre by `shift` ms.
+ * @param {Array<{ type: string, weight: number, scale: number, shift: number }>} components
+ */
+function mixtureTable(components, spread, params) {
+  let min = 0;
+  let max = 0;
+  const parts = components
+    .filter(c => c.weight > 0 && distributions[c.type])
+    .map(c => {
+      // Floor the width so a zero spread still yields a (narrow) table
+      const width = Math.max(spread * c.scale, 0.5);
+      min = Math.min(min, c.shift - 8 * width);
+      max = Math.max(max, c.shift + 8 * width);
+      return { ...c, width };
+    });
+  if (parts.length === 0) return null;
+
+  const densityFn = (x) => {
+    let sum = 0;
+    for (const c of parts) {
+      sum += c.weight * theoreticalDensity(c.type, x - c.shift, c.width, params);
+    }
+    return sum;
+  };
+  return buildTable(densityFn, min, max);
+}
+
+/**
+ * Calculate the theoretical probability density at a given offset.
+ * @param {string} type - Distribution name
+ * @param {number} x - Offset in ms
+ * @param {number} spread - Spread parameter in ms
+ * @param {object} [params] - Shape parameters (see sampleOffset)
+ * @returns {number} Density per ms
+ */
+export function theoreticalDensity(type, x, spread, params = {}) {
   switch (type) {
-    case 'normal': return normal(spread);
-    case 'uniform': return uniform(spread);
-    case 'exponential': return exponential(spread);
-    case 'laplace': return laplace(spread);
-    case 'beta': return beta(spread, alpha, betaParam);
-    default: return normal(spread);
+    case 'normal': {
+      const sigma = spread;
+      return (1 / (sigma * Math.sqrt(2 * Math.PI))) * Math.exp(-0.5 * (x / sigma) ** 2);
+    }
+    case 'uniform': {
+      return Math.abs(x) <= spread ? 1 / (2 * spread) : 0;
+    }
+    case 'exponential': {
+      const lambda = 2 / spread;
+      return (lambda / 2) * Math.exp(-lambda * Math.abs(x));
+    }
+    case 'laplace': {
+      const b = spread / Math.SQRT2;
+      return (1 / (2 * b)) * Math.exp(-Math.abs(x) / b);
+    }
+    case 'beta': {
+      // Beta mapped to [-spread, spread]
+      const t = (x / spread + 1) / 2; // map to [0, 1]
+      if (t <= 0 || t >= 1) return 0;
+      return betaPDF(t, params.betaAlpha ?? 2, params.betaBeta ?? 2) / (2 * spread);
+    }
+    case 'skewnormal': {
+      const shape = params.skewShape ?? 4;
+      const { mean, sd } = skewNormalMoments(shape);
+      const z = (x / spread) * sd + mean;
+      return (sd / spread) * 2 * normalPDF(z) * normalCDF(shape * z);
+    }
+    case 'lognormal': {
+      const sigma = params.lognormalSigma ?? 0.5;
+      const { mean, sd } = logNormalMoments(sigma);
+      const y = (x / spread) * sd + mean;
+      if (y <= 0) return 0;
+      return (sd / spread) * normalPDF(Math.log(y) / sigma) / (y * sigma);
+    }
+    case 'studentt': {
+      const nu = params.tDegrees ?? 3;
+      const t = x / spread;
+      const logC = lnGamma((nu + 1) / 2) - lnGamma(nu / 2) - 0.5 * Math.log(nu * Math.PI);
+      return Math.exp(logC - ((nu + 1) / 2) * Math.log(1 + (t * t) / nu)) / spread;
+    }
+    case 'cauchy': {
+      const clamp = params.cauchyClamp ?? 5;
+      const t = x / spread;
+      if (Math.abs(t) > clamp) return 0;
+      const mass = (2 / Math.PI) * Math.atan(clamp);
+      return 1 / (Math.PI * spread * (1 + t * t) * mass);
+    }
+    case 'triangular': {
+      const c = ((params.triangleMode ?? 0) + 1) / 2;
+      const t = (x / spread + 1) / 2; // map to [0, 1]
+      if (t < 0 || t > 1) return 0;
+      const f = t < c ? (2 * t) / c : (2 * (1 - t)) / (1 - c);
+      return (Number.isFinite(f) ? f : 2) / (2 * spread);
+    }
+    case 'bimodal': {
+      const separation = params.bimodalSeparation ?? 2;
+      const late = params.bimodalWeight ?? 0.5;
+      const width = spread * BIMODAL_PEAK_WIDTH;
+      const early = normalPDF((x + 0.5 * separation * spread) / width);
+      const lateD = normalPDF((x - 0.5 * separation * spread) / width);
+      return ((1 - late) * early + late * lateD) / width;
+    }
+    case 'drawn':
+    case 'empirical':
+    case 'mixture': {
+      const table = tableFor(type, spread, params);
+      return table ? tableDensity(table, x) : 0;
+    }
+    default:
+      return 0;
+  }
+}
+
+function normalPDF(z) {
+  return Math.exp(-0.5 * z * z) / Math.sqrt(2 * Math.PI);
+}
+
+// Standard normal CDF via the Abramowitz-Stegun erf approximation (7.1.26)
+function normalCDF(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+function betaPDF(x, a, b) {
+  if (x <= 0 || x >= 1) return 0;
+  const logB = lnGamma(a) + lnGamma(b) - lnGamma(a + b);
+  return Math.exp((a - 1) * Math.log(x) + (b - 1) * Math.log(1 - x) - logB);
+}
+
+// Stirling's approximation for ln(Gamma(x)) - Lanczos approximation
+function lnGamma(z) {
+  const g = 7;
+  const c = [
+    0.99999999999980993,
+    676.5203681218851,
+    -1259.1392167224028,
+    771.32342877765313,
+    -176.61502916214059,
+    12.507343278686905,
+    -0.13857109526572012,
+    9.9843695780195716e-6,
+    1.5056327351493116e-7,
+  ];
+  if (z < 0.5) {
+    return Math.log(Math.PI / Math.sin(Math.PI * z)) - lnGamma(1 - z);
+  }
+  z -= 1;
+  let x = c[0];
+  for (let i = 1; i < g + 2; i++) {
+    x += c[i] / (z + i);
   }
+  const t = z + g + 0.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(x);
 }
+
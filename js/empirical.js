@@ -0,0 +1,144 @@
+/**
+ * Tabulated distributions for shapes without a closed form:
+ * a density drawn by hand, measured offsets, or a mixture of other distributions.
+ * Each is turned into a table of density and CDF over a grid, sampled by
+ * inverting the CDF.
+ */
+
+// Drawn densities cover ±DRAWN_RANGE spreads, matching the histogram's display range
+export const DRAWN_RANGE = 3;
+export const DRAWN_BINS = 40;
+
+const TABLE_SIZE = 512;
+
+/**
+ * Tabulate a density function over [min, max].
+ * @param {(x: number) => number} densityFn - Unnormalized density
+ * @param {number} min - Lower bound in ms
+ * @param {number} max - Upper bound in ms
+ * @returns {{ min: number, step: number, pdf: Float64Array, cdf: Float64Array }|null}
+ *   Table, or null if the density is zero everywhere
+ */
+export function buildTable(densityFn, min, max) {
+  const step = (max - min) / (TABLE_SIZE - 1);
+  const pdf = new Float64Array(TABLE_SIZE);
+  for (let i = 0; i < TABLE_SIZE; i++) {
+    pdf[i] = Math.max(0, densityFn(min + i * step)) || 0;
+  }
+
+  // Trapezoidal CDF, then normalize both to unit area
+  const cdf = new Float64Array(TABLE_SIZE);
+  for (let i = 1; i < TABLE_SIZE; i++) {
+    cdf[i] = cdf[i - 1] + 0.5 * (pdf[i - 1] + pdf[i]) * step;
+  }
+  const total = cdf[TABLE_SIZE - 1];
+  if (!(total > 0)) return null;
+  for (let i = 0; i < TABLE_SIZE; i++) {
+    pdf[i] /= total;
+    cdf[i] /= total;
+  }
+  return { min, step, pdf, cdf };
+}
+
+/**
+ * Inverse-CDF sample from a table.
+ * @param {object} table - From buildTable
+ * @param {number} u - Uniform draw in [0, 1)
+ * @returns {number} Offset in ms
+ */
+export function sampleTable(table, u) {
+  const { cdf, min, step } = table;
+  let lo = 0;
+  let hi = cdf.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (cdf[mid] < u) lo = mid;
+    else hi = mid;
+  }
+  const span = cdf[hi] - cdf[lo];
+  const t = span > 0 ? (u - cdf[lo]) / span : 0.5;
+  return min + (lo + t) * step;
+}
+
+/**
+ * Density of a table at x (linear interpolation, 0 outside).
+ * @param {object} table - From buildTable
+ * @param {number} x - Offset in ms
+ * @returns {number}
+ */
+export function tableDensity(table, x) {
+  const pos = (x - table.min) / table.step;
+  const i = Math.floor(pos);
+  if (i < 0 || i >= table.pdf.length - 1) return 0;
+  const t = pos - i;
+  return table.pdf[i] * (1 - t) + table.pdf[i + 1] * t;
+}
+
+/**
+ * Table for a hand-drawn density: bins spread evenly over ±DRAWN_RANGE spreads.
+ * @param {number[]} bins - Relative density per bin
+ * @param {number} spread - Spread in ms
+ */
+export function drawnTable(bins, spread) {
+  if (!bins || bins.length === 0 || spread <= 0) return null;
+  const half = DRAWN_RANGE * spread;
+  const binWidth = (2 * half) / bins.length;
+  // Piecewise-linear through bin centres, falling to zero at the edges
+  const densityFn = (x) => {
+    const pos = (x + half) / binWidth - 0.5;
+    const i = Math.floor(pos);
+    const t = pos - i;
+    const a = i >= 0 && i < bins.length ? bins[i] : 0;
+    const b = i + 1 >= 0 && i + 1 < bins.length ? bins[i + 1] : 0;
+    return a * (1 - t) + b * t;
+  };
+  return buildTable(densityFn, -half, half);
+}
+
+/**
+ * Table for measured offsets: a Gaussian kernel density estimate
+ * with Silverman's rule-of-thumb bandwidth.
+ * @param {number[]} offsets - Measured offsets in ms
+ */
+export function empiricalTable(offsets) {
+  const n = offsets.length;
+  if (n === 0) return null;
+  const mean = offsets.reduce((a, b) => a + b, 0) / n;
+  const variance = offsets.reduce((a, b) => a + (b - mean) ** 2, 0) / Math.max(n - 1, 1);
+  const bandwidth = Math.max(1.06 * Math.sqrt(variance) * n ** -0.2, 0.5);
+
+  const min = Math.min(...offsets) - 3 * bandwidth;
+  const max = Math.max(...offsets) + 3 * bandwidth;
+  const densityFn = (x) => {
+    let sum = 0;
+    for (const v of offsets) {
+      const z = (x - v) / bandwidth;
+      sum += Math.exp(-0.5 * z * z);
+    }
+    return sum;
+  };
+  return buildTable(densityFn, min, max);
+}
+
+/**
+ * Parse pasted offsets: JSON array, or numbers separated by commas, whitespace or newlines.
+ * A CSV header or other non-numeric cells are skipped.
+ * @param {string} text
+ * @returns {number[]} Offsets in ms
+ */
+export function parseOffsets(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('[')) {
+    try {
+      const parsed = JSON.parse(trimmed);
+      if (Array.isArray(parsed)) return parsed.map(Number).filter(Number.isFinite);
+    } catch (e) {
+      // fall through to delimited parsing
+    }
+  }
+  return trimmed
+    .split(/[\s,;]+/)
+    .filter(cell => cell !== '')
+    .map(Number)
+    .filter(Number.isFinite);
+}
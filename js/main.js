@@ -2,9 +2,38 @@
  * App initialization, UI event binding, state management.
  */
 
-import { DEFAULTS } from './constants.js';
+import { DEFAULTS, BEATS_PER_BAR, SWEEP_SPREADS_MS, SWEEP_BARS } from './constants.js';
 import { AudioEngine } from './audio-engine.js';
-import { Visualization } from './visualization.js';
+import { Visualization, STAT_PERCENTILES } from './visualization.js';
+import { TightnessView } from './tightness-view.js';
+import { FUSED_LEVEL } from './onset-analysis.js';
+import { distributions, DISTRIBUTION_PARAMS } from './distributions.js';
+import { DRAWN_BINS, DRAWN_RANGE, parseOffsets } from './empirical.js';
+import { random } from './random.js';
+import { encodeWAV } from './wav-encoder.js';
+import { scheduleToMidi, scheduleToCSV, scheduleToJSON } from './schedule-export.js';
+import { AUTOMATABLE, AUTOMATION_PRESETS } from './automation.js';
+import { AutomationEditor } from './automation-editor.js';
+import { TapTempo } from './tap-tempo.js';
+import { openMidiInputs, ccToValue, loadCcMappings, saveCcMappings } from './midi.js';
+import { MidiClock } from './midi-clock.js';
+import { LAYOUTS } from './spatial.js';
+import { REVERB_PRESETS } from './reverb.js';
+import { SYNTH_PARAMS, HAND_SHAPES } from './synthesizer.js';
+import { SELECTION_MODES, MAX_LAYERS, instrumentNameFor } from './sample-library.js';
+import {
+  storeSample, loadSamples, updateSample, deleteSamples, loadSelectedInstrument, saveSelectedInstrument,
+} from './sample-store.js';
+import { autoTrim, sliceHits, channelsOf } from './sample-editing.js';
+import { SECTION_SOUNDS, SECTION_FIELDS, createSection, sectionsSize } from './sections.js';
+import { SampleEditor } from './sample-editor.js';
+import {
+  STEP_SOUNDS, BUILT_IN_PATTERNS, MAX_PATTERN_STEPS, parsePattern, stringifyPattern,
+} from './patterns.js';
+import {
+  SHAREABLE_KEYS, BUILT_IN_PRESETS, snapshotState, encodeStateToHash, decodeStateFromHash,
+  validateState, loadUserPresets, saveUserPreset, deleteUserPreset,
+} from './presets.js';
 
 // App state
 const state = {
@@ -15,14 +44,51 @@ const state = {
   distribution: DEFAULTS.distribution,
   betaAlpha: DEFAULTS.betaAlpha,
   betaBeta: DEFAULTS.betaBeta,
+  skewShape: DEFAULTS.skewShape,
+  lognormalSigma: DEFAULTS.lognormalSigma,
+  tDegrees: DEFAULTS.tDegrees,
+  cauchyClamp: DEFAULTS.cauchyClamp,
+  triangleMode: DEFAULTS.triangleMode,
+  bimodalSeparation: DEFAULTS.bimodalSeparation,
+  bimodalWeight: DEFAULTS.bimodalWeight,
+  drawnDensity: [...DEFAULTS.drawnDensity],
+  empiricalOffsets: [...DEFAULTS.empiricalOffsets],
+  mixture: structuredClone(DEFAULTS.mixture),
+  personBias: DEFAULTS.personBias,
+  personDrift: DEFAULTS.personDrift,
+  timingMode: DEFAULTS.timingMode,
+  coupling: DEFAULTS.coupling,
+  tempoSpread: DEFAULTS.tempoSpread,
+  tapFollow: DEFAULTS.tapFollow,
+  reactionMs: DEFAULTS.reactionMs,
+  clockSource: DEFAULTS.clockSource,
+  spatialLayout: DEFAULTS.spatialLayout,
+  listenerX: DEFAULTS.listenerX,
+  listenerY: DEFAULTS.listenerY,
+  reverb: DEFAULTS.reverb,
+  reverbMix: DEFAULTS.reverbMix,
+  reverbPreDelay: DEFAULTS.reverbPreDelay,
   soundSource: DEFAULTS.soundSource,
+  instrument: loadSelectedInstrument() || DEFAULTS.instrument,
+  synthBursts: DEFAULTS.synthBursts,
+  synthBurstSpacing: DEFAULTS.synthBurstSpacing,
+  synthCupped: DEFAULTS.synthCupped,
+  synthResonance: DEFAULTS.synthResonance,
+  synthDecay: DEFAULTS.synthDecay,
+  synthVariation: DEFAULTS.synthVariation,
+  pattern: DEFAULTS.pattern,
   volume: DEFAULTS.volume,
-  customSampleBuffer: null,
+  seed: DEFAULTS.seed,
+  automation: structuredClone(DEFAULTS.automation),
+  sections: structuredClone(DEFAULTS.sections),
+  playback: DEFAULTS.playback,
+  lod: DEFAULTS.lod,
+  vizMode: DEFAULTS.vizMode,
 };
 
-let engine = null;
-let viz = null;
 let initialized = false;
+// Refreshes the playback counts and timing statistics while playing
+let statsTimer = null;
 
 // DOM elements
 const playBtn = document.getElementById('play-btn');
@@ -30,72 +96,413 @@ const bpmSlider = document.getElementById('bpm');
 const bpmVal = document.getElementById('bpm-val');
 const clappersSlider = document.getElementById('clappers');
 const clappersVal = document.getElementById('clappers-val');
+const lodSelect = document.getElementById('lod');
 const spreadSlider = document.getElementById('spread');
 const spreadVal = document.getElementById('spread-val');
+const personBiasSlider = document.getElementById('person-bias');
+const personBiasVal = document.getElementById('person-bias-val');
+const personDriftSlider = document.getElementById('person-drift');
+const personDriftVal = document.getElementById('person-drift-val');
+const timingModeSelect = document.getElementById('timing-mode');
+const couplingSlider = document.getElementById('coupling');
+const couplingVal = document.getElementById('coupling-val');
+const tempoSpreadSlider = document.getElementById('tempo-spread');
+const tempoSpreadVal = document.getElementById('tempo-spread-val');
+const coupledControls = document.querySelectorAll('.coupled-only');
+const seedInput = document.getElementById('seed');
+const tapPad = document.getElementById('tap-pad');
+const tapFollowCheckbox = document.getElementById('tap-follow');
+const reactionSlider = document.getElementById('reaction');
+const reactionVal = document.getElementById('reaction-val');
+const midiEnableBtn = document.getElementById('midi-enable');
+const midiStatus = document.getElementById('midi-status');
+const clockSourceSelect = document.getElementById('clock-source');
+const midiCcList = document.getElementById('midi-cc');
 const distSelect = document.getElementById('distribution');
-const betaAlphaSlider = document.getElementById('beta-alpha');
-const alphaVal = document.getElementById('alpha-val');
-const betaBetaSlider = document.getElementById('beta-beta');
-const betaVal = document.getElementById('beta-val');
-const alphaControl = document.getElementById('alpha-control');
-const betaControl = document.getElementById('beta-control');
+const distParams = document.getElementById('dist-params');
 const sourceRadios = document.querySelectorAll('input[name="source"]');
+const patternEditor = document.getElementById('pattern-editor');
+const patternPresetSelect = document.getElementById('pattern-preset');
+const patternSubdivision = document.getElementById('pattern-subdivision');
+const patternLength = document.getElementById('pattern-length');
+const patternGrid = document.getElementById('pattern-grid');
 const volumeSlider = document.getElementById('volume');
-const customFile = document.getElementById('custom-file');
-const uploadBtn = document.getElementById('upload-btn');
+const playbackSelect = document.getElementById('playback');
+const playbackStats = document.getElementById('playback-stats');
+const statsPanel = document.getElementById('stats-panel');
+const synthControls = document.getElementById('synth-controls');
+const synthParams = document.getElementById('synth-params');
+const synthAuditionBtn = document.getElementById('synth-audition');
+const synthVoice = document.getElementById('synth-voice');
+const spatialLayoutSelect = document.getElementById('spatial-layout');
+const listenerXSlider = document.getElementById('listener-x');
+const listenerXVal = document.getElementById('listener-x-val');
+const listenerYSlider = document.getElementById('listener-y');
+const listenerYVal = document.getElementById('listener-y-val');
+const spatialControls = document.querySelectorAll('.spatial-only');
+const reverbSelect = document.getElementById('reverb');
+const reverbMixSlider = document.getElementById('reverb-mix');
+const reverbMixVal = document.getElementById('reverb-mix-val');
+const reverbPreDelaySlider = document.getElementById('reverb-predelay');
+const reverbPreDelayVal = document.getElementById('reverb-predelay-val');
+const reverbControls = document.querySelectorAll('.reverb-only');
+const sectionsList = document.getElementById('sections-list');
+const sectionAddBtn = document.getElementById('section-add');
+const sectionsInfo = document.getElementById('sections-info');
+const libraryControls = document.getElementById('library-controls');
+const libraryDrop = document.getElementById('library-drop');
+const libraryFiles = document.getElementById('library-files');
+const libraryFolder = document.getElementById('library-folder');
+const libraryAddFilesBtn = document.getElementById('library-add-files');
+const libraryAddFolderBtn = document.getElementById('library-add-folder');
+const instrumentSelect = document.getElementById('instrument');
+const instrumentRemoveBtn = document.getElementById('instrument-remove');
+const instrumentSelection = document.getElementById('instrument-selection');
+const instrumentLayers = document.getElementById('instrument-layers');
+const instrumentInfo = document.getElementById('instrument-info');
+const sampleList = document.getElementById('sample-list');
+const sampleEditorPanel = document.getElementById('sample-editor');
+const sampleCanvas = document.getElementById('sample-canvas');
+const sampleFadeSlider = document.getElementById('sample-fade');
+const sampleFadeVal = document.getElementById('sample-fade-val');
+const sampleNormalize = document.getElementById('sample-normalize');
+const samplePlayBtn = document.getElementById('sample-play');
+const sampleAutoBtn = document.getElementById('sample-auto');
+const sampleSliceBtn = document.getElementById('sample-slice');
+const sampleHint = document.getElementById('sample-hint');
+const automationEnabled = document.getElementById('automation-enabled');
+const automationPreset = document.getElementById('automation-preset');
+const automationBars = document.getElementById('automation-bars');
+const automationLane = document.getElementById('automation-lane');
+const automationClear = document.getElementById('automation-clear');
+const automationCanvas = document.getElementById('automation-canvas');
+const exportBarsInput = document.getElementById('export-bars');
+const exportFormat = document.getElementById('export-format');
+const exportBtn = document.getElementById('export-btn');
 const canvas = document.getElementById('viz-canvas');
+const vizModeSelect = document.getElementById('viz-mode');
+const tightnessCanvas = document.getElementById('tightness-canvas');
+const sweepBtn = document.getElementById('sweep-btn');
+const sweepStatus = document.getElementById('sweep-status');
+const sweepResults = document.getElementById('sweep-results');
+const drawnReset = document.getElementById('drawn-reset');
+const empiricalInput = document.getElementById('empirical-input');
+const empiricalApply = document.getElementById('empirical-apply');
+const empiricalCount = document.getElementById('empirical-count');
+const mixtureList = document.getElementById('mixture-list');
+const mixtureAdd = document.getElementById('mixture-add');
+const controlsPanel = document.querySelector('.controls');
+const presetSelect = document.getElementById('preset');
+const presetSaveBtn = document.getElementById('preset-save');
+const presetDeleteBtn = document.getElementById('preset-delete');
+const copyLinkBtn = document.getElementById('copy-link');
+
+// The engine's audio context is created on the first user gesture (see initOnce);
+// the visualization is live from the start so densities can be drawn before playing.
+const engine = new AudioEngine();
+engine.state = state;
+const viz = new Visualization(canvas, engine, state);
+const tightnessView = new TightnessView(tightnessCanvas);
+
+window.addEventListener('resize', () => {
+  viz.resize();
+  tightnessView.resize();
+  tightnessView.draw(engine.tightness());
+  automationEditor.resize();
+  sampleEditor.resize();
+});
 
 /**
- * Initialize the audio engine and visualization on first user interaction.
+ * Initialize the audio engine on first user interaction.
  */
 async function initOnce() {
   if (initialized) return;
 
   try {
-    if (!engine) engine = new AudioEngine();
     await engine.init();
-    engine.state = state;
-    engine.regeneratePersons(state.clapperCount);
+    engine.regeneratePersons();
+    await engine.voicesReady;
     engine.setVolume(state.volume);
 
-    viz = new Visualization(canvas, engine, state);
-
-    // Handle window resize
-    window.addEventListener('resize', () => {
-      if (viz) viz.resize();
-    });
-
     initialized = true;
+    await samplesRestored;
+    renderLibrary();
   } catch (e) {
     console.error('Audio init failed, will retry on next play:', e);
   }
 }
 
+/**
+ * Reflect the current state in every control.
+ */
+function syncControls() {
+  bpmSlider.value = state.bpm;
+  bpmVal.textContent = state.bpm;
+  clappersSlider.value = state.clapperCount;
+  clappersVal.textContent = state.clapperCount;
+  spreadSlider.value = state.spread;
+  spreadVal.textContent = state.spread + 'ms';
+  personBiasSlider.value = state.personBias;
+  personBiasVal.textContent = Math.round(state.personBias * 100) + '%';
+  personDriftSlider.value = state.personDrift;
+  personDriftVal.textContent = state.personDrift + 'ms';
+  timingModeSelect.value = state.timingMode;
+  coupledControls.forEach(el => el.classList.toggle('hidden', state.timingMode !== 'coupled'));
+  couplingSlider.value = state.coupling;
+  couplingVal.textContent = state.coupling.toFixed(2);
+  tempoSpreadSlider.value = state.tempoSpread;
+  tempoSpreadVal.textContent = state.tempoSpread + 'ms';
+  seedInput.value = state.seed;
+  tapFollowCheckbox.checked = state.tapFollow;
+  reactionSlider.value = state.reactionMs;
+  reactionVal.textContent = state.reactionMs + 'ms';
+  clockSourceSelect.value = state.clockSource;
+  distSelect.value = state.distribution;
+  toggleDistributionControls();
+  syncParamSliders();
+  empiricalCount.textContent = `${state.empiricalOffsets.length} offsets`;
+  renderMixtureEditor();
+  sourceRadios.forEach(radio => {
+    radio.checked = radio.value === state.soundSource;
+  });
+  renderPatternEditor();
+  toggleSynthControls();
+  toggleLibraryControls();
+  volumeSlider.value = state.volume;
+  spatialLayoutSelect.value = state.spatialLayout;
+  spatialControls.forEach(el => el.classList.toggle('hidden', state.spatialLayout === 'off'));
+  listenerXSlider.value = state.listenerX;
+  listenerXVal.textContent = Math.round(state.listenerX * 100) + '%';
+  listenerYSlider.value = state.listenerY;
+  listenerYVal.textContent = Math.round(state.listenerY * 100) + '%';
+  reverbSelect.value = state.reverb;
+  reverbControls.forEach(el => el.classList.toggle('hidden', state.reverb === 'off'));
+  reverbMixSlider.value = state.reverbMix;
+  reverbMixVal.textContent = Math.round(state.reverbMix * 100) + '%';
+  reverbPreDelaySlider.value = state.reverbPreDelay;
+  reverbPreDelayVal.textContent = state.reverbPreDelay + 'ms';
+  renderSections();
+  automationEnabled.checked = state.automation.enabled;
+  automationBars.value = state.automation.bars;
+  automationEditor.draw();
+}
+
+// Short labels for pattern grid cells
+const STEP_LABELS = { clap: 'Cl', stomp: 'St', sample: 'Sa', custom: 'Cu', rest: '\u00B7' };
+
+/**
+ * Rebuild the step grid and pattern controls from state.pattern.
+ */
+function renderPatternEditor() {
+  patternEditor.classList.toggle('hidden', state.soundSource !== 'pattern');
+
+  const pattern = parsePattern(state.pattern);
+  const builtInName = Object.keys(BUILT_IN_PATTERNS).find(name => BUILT_IN_PATTERNS[name] === state.pattern);
+  patternPresetSelect.value = builtInName || '';
+  patternSubdivision.value = pattern.subdivision;
+  patternLength.value = pattern.steps.length;
+
+  patternGrid.innerHTML = '';
+  pattern.steps.forEach((step, i) => {
+    const cell = document.createElement('button');
+    cell.className = 'pattern-step';
+    cell.classList.toggle('beat-start', i % pattern.subdivision === 0);
+    cell.classList.toggle('accent', step.accent);
+    cell.classList.toggle('rest', step.sound === 'rest');
+    cell.textContent = STEP_LABELS[step.sound];
+    cell.title = `Step ${i + 1}: ${step.sound}${step.accent ? ' (accent)' : ''}`;
+
+    // Click cycles the sound
+    cell.addEventListener('click', () => {
+      const next = STEP_SOUNDS[(STEP_SOUNDS.indexOf(step.sound) + 1) % STEP_SOUNDS.length];
+      updatePattern(p => {
+        p.steps[i].sound = next;
+        if (next === 'rest') p.steps[i].accent = false;
+      });
+    });
+
+    // Right-click toggles the accent
+    cell.addEventListener('contextmenu', (e) => {
+      e.preventDefault();
+      if (step.sound === 'rest') return;
+      updatePattern(p => { p.steps[i].accent = !p.steps[i].accent; });
+    });
+
+    patternGrid.appendChild(cell);
+  });
+}
+
+/**
+ * Edit the current pattern and write it back to state.
+ * @param {(pattern: object) => void} edit - Mutates the parsed pattern
+ */
+function updatePattern(edit) {
+  const pattern = parsePattern(state.pattern);
+  edit(pattern);
+  state.pattern = stringifyPattern(pattern);
+  renderPatternEditor();
+  updateHash();
+}
+
+/**
+ * Apply a partial state (from a preset or URL), then update controls and engine.
+ * @param {object} partial - Subset of state keys
+ */
+async function applyState(partial) {
+  const prevSeed = state.seed;
+  for (const key of SHAREABLE_KEYS) {
+    if (!(key in partial)) continue;
+    const value = partial[key];
+    state[key] = typeof value === 'object' ? structuredClone(value) : value;
+  }
+  syncControls();
+  updateHash();
+
+  if (!initialized) return;
+  engine.setVolume(state.volume);
+  if (state.seed !== prevSeed) {
+    await engine.reseed();
+  } else {
+    engine.regeneratePersons();
+    await engine.setReverb();
+  }
+}
+
+/**
+ * Mirror the shareable state into the URL hash without adding history entries.
+ */
+function updateHash() {
+  history.replaceState(null, '', '#' + encodeStateToHash(state));
+}
+
 // Play/Stop toggle
 playBtn.addEventListener('click', async () => {
   // Create AudioContext and resume synchronously in the user gesture
   // (iOS Safari requires this before any await)
-  if (!engine) engine = new AudioEngine();
   engine.createContext();
   engine.audioCtx.resume();
 
   await initOnce();
 
   if (state.playing) {
-    state.playing = false;
-    engine.stop();
-    viz.stop();
-    playBtn.textContent = '\u25B6 Play';
-    playBtn.classList.remove('active');
+    stopPlayback();
   } else {
-    state.playing = true;
-    engine.start();
-    viz.start();
-    playBtn.textContent = '\u25A0 Stop';
-    playBtn.classList.add('active');
+    startPlayback();
   }
 });
 
+/**
+ * Start playback (the engine must be initialized).
+ */
+function startPlayback() {
+  state.playing = true;
+  engine.start();
+  viz.start();
+  automationEditor.start();
+  playBtn.textContent = '\u25A0 Stop';
+  playBtn.classList.add('active');
+  renderPlaybackStats();
+  renderStatistics();
+  tightnessView.draw(engine.tightness());
+  statsTimer = setInterval(() => {
+    renderPlaybackStats();
+    renderStatistics();
+    tightnessView.draw(engine.tightness());
+  }, 500);
+}
+
+/**
+ * Stop playback.
+ */
+function stopPlayback() {
+  state.playing = false;
+  engine.stop();
+  viz.stop();
+  automationEditor.stop();
+  playBtn.textContent = '\u25B6 Play';
+  playBtn.classList.remove('active');
+  clearInterval(statsTimer);
+  statsTimer = null;
+  renderPlaybackStats();
+}
+
+/**
+ * Show how playback is keeping up: scheduler underruns and late or dropped claps.
+ */
+function renderPlaybackStats() {
+  const { worklet, underruns, late, dropped } = engine.playbackStats();
+  const mode = worklet ? 'Audio thread' : engine.worklet ? 'Nodes' : 'Nodes (no AudioWorklet)';
+  playbackStats.textContent = `${mode}: ${underruns} underruns, ${late} late, ${dropped} dropped`;
+}
+
+/**
+ * Compare the heard offsets with the theoretical distribution: moments,
+ * percentiles and goodness of fit.
+ */
+function renderStatistics() {
+  const stats = viz.statistics();
+  if (!stats) {
+    statsPanel.textContent = 'Statistics appear once a few beats have been played.';
+    return;
+  }
+  const { observed, theoretical, ks, chiSquare } = stats;
+  const ms = (v) => `${v.toFixed(1)}ms`;
+  const plain = (v) => v.toFixed(2);
+  const rows = [
+    ['Mean', observed.mean, theoretical.mean, ms],
+    ['Std. deviation', observed.sd, theoretical.sd, ms],
+    ['Skewness', observed.skewness, theoretical.skewness, plain],
+    ['Excess kurtosis', observed.kurtosis, theoretical.kurtosis, plain],
+    ...STAT_PERCENTILES.map((p, i) => [
+      p === 0.5 ? 'Median' : `P${p * 100}`, observed.percentiles[i], theoretical.percentiles[i], ms,
+    ]),
+  ];
+
+  const table = document.createElement('table');
+  const header = table.insertRow();
+  for (const text of ['', 'Observed', 'Theoretical']) {
+    const th = document.createElement('th');
+    th.textContent = text;
+    header.appendChild(th);
+  }
+  for (const [label, value, expected, format] of rows) {
+    const row = table.insertRow();
+    row.insertCell().textContent = label;
+    row.insertCell().textContent = Number.isFinite(value) ? format(value) : '–';
+    row.insertCell().textContent = Number.isFinite(expected) ? format(expected) : '–';
+  }
+
+  const fit = document.createElement('p');
+  fit.className = 'hint';
+  const chi = chiSquare
+    ? ` · χ² = ${chiSquare.statistic.toFixed(1)}, ${chiSquare.dof} dof (p = ${chiSquare.pValue.toFixed(3)})`
+    : '';
+  fit.textContent = `${observed.count} claps · KS D = ${ks.statistic.toFixed(3)} (p = ${ks.pValue.toFixed(3)})${chi}`;
+  const parts = [table, fit];
+
+  // The curve is the distribution alone; these add to it
+  const { personBias, personDrift, timingMode, spatialLayout } = state;
+  if (personBias > 0 || personDrift > 0 || timingMode === 'coupled' || spatialLayout !== 'off') {
+    const note = document.createElement('p');
+    note.className = 'hint';
+    note.textContent = 'Person bias, drift, coupling and room delays also shape the offsets, so expect a looser fit.';
+    parts.push(note);
+  }
+  statsPanel.replaceChildren(...parts);
+}
+
+/**
+ * Set the tempo from a tap or clock estimate, within the slider's range.
+ * @param {number} bpm
+ */
+function setTempo(bpm) {
+  const { min, max } = AUTOMATABLE.bpm;
+  state.bpm = Math.max(min, Math.min(max, Math.round(bpm)));
+  bpmSlider.value = state.bpm;
+  bpmVal.textContent = state.bpm;
+  updateHash();
+}
+
 // BPM
 bpmSlider.addEventListener('input', () => {
   state.bpm = Number(bpmSlider.value);
@@ -106,41 +513,447 @@ bpmSlider.addEventListener('input', () => {
 clappersSlider.addEventListener('input', () => {
   state.clapperCount = Number(clappersSlider.value);
   clappersVal.textContent = state.clapperCount;
-  if (engine) {
-    engine.regeneratePersons(state.clapperCount);
+  if (initialized) {
+    engine.regeneratePersons();
   }
 });
 
+// Level of detail for large crowds
+lodSelect.addEventListener('change', () => {
+  state.lod = lodSelect.value;
+});
+
+// Visualization view
+vizModeSelect.addEventListener('change', () => {
+  state.vizMode = vizModeSelect.value;
+  if (!state.playing) viz.draw();
+});
+
 // Spread
 spreadSlider.addEventListener('input', () => {
   state.spread = Number(spreadSlider.value);
   spreadVal.textContent = state.spread + 'ms';
 });
 
+// Person bias (between- vs within-person variance)
+personBiasSlider.addEventListener('input', () => {
+  state.personBias = Number(personBiasSlider.value);
+  personBiasVal.textContent = Math.round(state.personBias * 100) + '%';
+});
+
+// Per-person drift
+personDriftSlider.addEventListener('input', () => {
+  state.personDrift = Number(personDriftSlider.value);
+  personDriftVal.textContent = state.personDrift + 'ms';
+});
+
+// Timing mode (independent or coupled)
+timingModeSelect.addEventListener('change', () => {
+  state.timingMode = timingModeSelect.value;
+  coupledControls.forEach(el => el.classList.toggle('hidden', state.timingMode !== 'coupled'));
+});
+
+// Coupling strength
+couplingSlider.addEventListener('input', () => {
+  state.coupling = Number(couplingSlider.value);
+  couplingVal.textContent = state.coupling.toFixed(2);
+});
+
+// Natural tempo mismatch
+tempoSpreadSlider.addEventListener('input', () => {
+  state.tempoSpread = Number(tempoSpreadSlider.value);
+  tempoSpreadVal.textContent = state.tempoSpread + 'ms';
+});
+
+// Live tapping: tap tempo, and optionally a crowd that follows the taps
+const tapTempo = new TapTempo();
+
+/**
+ * Handle a tap from any source: set the tempo and, when following, play a beat.
+ * @param {number} timeStamp - Tap time on the performance.now() clock
+ */
+function onTap(timeStamp) {
+  const bpm = tapTempo.tap(timeStamp);
+  if (bpm !== null) setTempo(bpm);
+  if (state.playing && state.tapFollow) {
+    engine.triggerBeat(engine.contextTimeAt(timeStamp));
+  }
+
+  tapPad.classList.add('active');
+  setTimeout(() => tapPad.classList.remove('active'), 80);
+}
+
+tapPad.addEventListener('pointerdown', (e) => onTap(e.timeStamp));
+
+document.addEventListener('keydown', (e) => {
+  if (e.repeat || e.key.toLowerCase() !== 't') return;
+  if (e.target.matches('input[type="text"], input[type="number"], textarea')) return;
+  onTap(e.timeStamp);
+});
+
+tapFollowCheckbox.addEventListener('change', () => {
+  state.tapFollow = tapFollowCheckbox.checked;
+  tapTempo.reset();
+});
+
+// Reaction latency to live taps
+reactionSlider.addEventListener('input', () => {
+  state.reactionMs = Number(reactionSlider.value);
+  reactionVal.textContent = state.reactionMs + 'ms';
+});
+
+// MIDI: note taps, controller mappings and an external clock
+const ccMappings = loadCcMappings();
+let ccSyncPending = false;
+
+const midiClock = new MidiClock({
+  onBeat: (beatIndex, timeMs) => {
+    if (state.clockSource !== 'midi' || !state.playing) return;
+    if (midiClock.bpm) setTempo(midiClock.bpm);
+    engine.clockBeat(engine.contextTimeAt(timeMs), beatIndex);
+  },
+  onStart: () => {
+    if (state.clockSource === 'midi' && initialized && !state.playing) startPlayback();
+  },
+  onStop: () => {
+    if (state.clockSource === 'midi' && state.playing) stopPlayback();
+  },
+});
+
+/**
+ * Route a decoded MIDI message.
+ * @param {object} message - From parseMidiMessage
+ * @param {number} timeStamp - Message time on the performance.now() clock
+ */
+function onMidiMessage(message, timeStamp) {
+  if (message.type === 'noteon') onTap(timeStamp);
+  else if (message.type === 'cc') onControlChange(message.controller, message.value);
+  else midiClock.handle(message, timeStamp);
+}
+
+/**
+ * Apply a controller to every parameter mapped to it.
+ * Controls are refreshed at most once per frame, since controllers send bursts.
+ */
+function onControlChange(controller, value) {
+  const keys = Object.keys(ccMappings).filter(key => ccMappings[key] === controller);
+  if (keys.length === 0) return;
+  for (const key of keys) {
+    state[key] = ccToValue(key, value);
+  }
+  if (initialized) {
+    engine.setVolume(state.volume);
+    if (keys.includes('clapperCount')) engine.regeneratePersons();
+  }
+
+  if (ccSyncPending) return;
+  ccSyncPending = true;
+  requestAnimationFrame(() => {
+    ccSyncPending = false;
+    syncControls();
+    onControlsChanged();
+  });
+}
+
+for (const key of Object.keys(ccMappings)) {
+  const row = document.createElement('label');
+  const text = document.createElement('span');
+  text.className = 'label-text';
+  text.textContent = `${AUTOMATABLE[key].label} CC`;
+
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.min = 0;
+  input.max = 127;
+  input.step = 1;
+  input.value = ccMappings[key];
+  input.addEventListener('change', () => {
+    ccMappings[key] = Math.max(0, Math.min(127, Math.round(Number(input.value) || 0)));
+    input.value = ccMappings[key];
+    saveCcMappings(ccMappings);
+  });
+
+  row.append(text, input);
+  midiCcList.appendChild(row);
+}
+
+midiEnableBtn.addEventListener('click', async () => {
+  // MIDI start messages need a running engine, so set it up in this gesture
+  engine.createContext();
+  engine.audioCtx.resume();
+  await initOnce();
+
+  try {
+    const access = await openMidiInputs(onMidiMessage);
+    midiEnableBtn.disabled = true;
+    const showInputs = () => {
+      midiStatus.textContent = access.inputs.size === 1 ? '1 input' : `${access.inputs.size} inputs`;
+    };
+    showInputs();
+    access.addEventListener('statechange', showInputs);
+  } catch (e) {
+    console.warn('MIDI unavailable:', e);
+    midiStatus.textContent = 'Not available';
+  }
+});
+
+clockSourceSelect.addEventListener('change', () => {
+  state.clockSource = clockSourceSelect.value;
+});
+
+// Seed
+seedInput.addEventListener('change', async () => {
+  state.seed = seedInput.value.trim();
+  if (initialized) {
+    await engine.reseed();
+  }
+});
+
 // Distribution type
 distSelect.addEventListener('change', () => {
   state.distribution = distSelect.value;
-  const isBeta = state.distribution === 'beta';
-  alphaControl.classList.toggle('hidden', !isBeta);
-  betaControl.classList.toggle('hidden', !isBeta);
+  toggleDistributionControls();
+  if (state.distribution === 'drawn' && state.drawnDensity.length === 0) {
+    state.drawnDensity = bellDensity();
+  }
+});
+
+/**
+ * Show only the editors that belong to the selected distribution.
+ */
+function toggleDistributionControls() {
+  controlsPanel.querySelectorAll('[data-distributions]').forEach(el => {
+    const types = el.dataset.distributions.split(' ');
+    el.classList.toggle('hidden', !types.includes(state.distribution));
+  });
+}
+
+/**
+ * A bell-shaped starting point for a drawn density.
+ */
+function bellDensity() {
+  return Array.from({ length: DRAWN_BINS }, (_, i) => {
+    const z = ((i + 0.5) / DRAWN_BINS * 2 - 1) * DRAWN_RANGE;
+    return Math.round(Math.exp(-0.5 * z * z) * 100) / 100;
+  });
+}
+
+// Drawn density: paint on the histogram
+viz.enableDensityDrawing((bins) => {
+  state.drawnDensity = bins;
+  updateHash();
+});
+
+drawnReset.addEventListener('click', () => {
+  state.drawnDensity = bellDensity();
+  onControlsChanged();
 });
 
-// Beta alpha
-betaAlphaSlider.addEventListener('input', () => {
-  state.betaAlpha = Number(betaAlphaSlider.value);
-  alphaVal.textContent = state.betaAlpha.toFixed(1);
+// Empirical: pasted offsets (CSV or JSON, in ms)
+empiricalApply.addEventListener('click', () => {
+  state.empiricalOffsets = parseOffsets(empiricalInput.value);
+  empiricalCount.textContent = `${state.empiricalOffsets.length} offsets`;
+  onControlsChanged();
 });
 
-// Beta beta
-betaBetaSlider.addEventListener('input', () => {
-  state.betaBeta = Number(betaBetaSlider.value);
-  betaVal.textContent = state.betaBeta.toFixed(1);
+/**
+ * Rebuild the mixture component rows from state.mixture.
+ */
+function renderMixtureEditor() {
+  mixtureList.innerHTML = '';
+  state.mixture.forEach((component, i) => {
+    const row = document.createElement('div');
+    row.className = 'mixture-row';
+
+    const type = document.createElement('select');
+    for (const name of Object.keys(distributions)) {
+      type.appendChild(new Option(name[0].toUpperCase() + name.slice(1), name));
+    }
+    type.value = component.type;
+    type.addEventListener('change', () => updateMixture(i, { type: type.value }));
+    row.appendChild(type);
+
+    for (const [key, label, step] of [['weight', 'Weight', 0.05], ['scale', '× spread', 0.1], ['shift', 'Shift ms', 1]]) {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.step = step;
+      input.value = component[key];
+      input.title = label;
+      input.setAttribute('aria-label', label);
+      input.addEventListener('change', () => updateMixture(i, { [key]: Number(input.value) || 0 }));
+      row.appendChild(input);
+    }
+
+    const remove = document.createElement('button');
+    remove.className = 'action-btn';
+    remove.textContent = '\u00D7';
+    remove.setAttribute('aria-label', 'Remove component');
+    remove.addEventListener('click', () => {
+      state.mixture = state.mixture.filter((_, j) => j !== i);
+      renderMixtureEditor();
+      onControlsChanged();
+    });
+    row.appendChild(remove);
+
+    mixtureList.appendChild(row);
+  });
+}
+
+/**
+ * Replace one mixture component (the array is replaced so cached tables rebuild).
+ */
+function updateMixture(index, changes) {
+  state.mixture = state.mixture.map((c, i) => (i === index ? { ...c, ...changes } : c));
+}
+
+mixtureAdd.addEventListener('click', () => {
+  state.mixture = [...state.mixture, { type: 'normal', weight: 0.5, scale: 1, shift: 0 }];
+  renderMixtureEditor();
+  onControlsChanged();
 });
 
+// Sliders generated from parameter metadata ({ key, label, min, max, step, unit })
+const paramSliders = [];
+
+/**
+ * Build a labelled slider bound to state[param.key].
+ * @param {object} param - Parameter metadata
+ * @returns {HTMLLabelElement}
+ */
+function createParamSlider(param) {
+  const { row, slider, value } = sliderRow(param, state);
+  paramSliders.push({ param, slider, value });
+  return row;
+}
+
+/**
+ * Build a labelled slider bound to target[param.key].
+ * @param {object} param - Parameter metadata
+ * @param {object} target - Object holding the value
+ * @param {() => void} [onInput] - Called after the value changes
+ * @returns {{ row: HTMLLabelElement, slider: HTMLInputElement, value: HTMLSpanElement }}
+ */
+function sliderRow(param, target, onInput) {
+  const row = document.createElement('label');
+
+  const text = document.createElement('span');
+  text.className = 'label-text';
+  text.textContent = param.label;
+
+  const slider = document.createElement('input');
+  slider.type = 'range';
+  slider.min = param.min;
+  slider.max = param.max;
+  slider.step = param.step;
+
+  const value = document.createElement('span');
+  value.className = 'value';
+
+  slider.value = target[param.key];
+  value.textContent = formatParam(param, target);
+
+  slider.addEventListener('input', () => {
+    target[param.key] = Number(slider.value);
+    value.textContent = formatParam(param, target);
+    onInput?.();
+  });
+
+  row.append(text, slider, value);
+  return { row, slider, value };
+}
+
+/**
+ * Reflect the state in every generated slider.
+ */
+function syncParamSliders() {
+  for (const { param, slider, value } of paramSliders) {
+    slider.value = state[param.key];
+    value.textContent = formatParam(param);
+  }
+}
+
+/**
+ * Display a parameter with as many decimals as its slider step.
+ * @param {object} param - Parameter metadata
+ * @param {object} [target] - Object holding the value
+ */
+function formatParam({ key, step, unit = '' }, target = state) {
+  const decimals = step < 0.1 ? 2 : step < 1 ? 1 : 0;
+  return target[key].toFixed(decimals) + unit;
+}
+
+// Distribution shape parameters, tagged so toggleDistributionControls shows the right ones
+for (const [type, params] of Object.entries(DISTRIBUTION_PARAMS)) {
+  for (const param of params) {
+    const row = createParamSlider(param);
+    row.dataset.distributions = type;
+    distParams.appendChild(row);
+  }
+}
+
 // Sound source
 sourceRadios.forEach(radio => {
   radio.addEventListener('change', () => {
     state.soundSource = radio.value;
+    renderPatternEditor();
+    toggleSynthControls();
+    toggleLibraryControls();
+  });
+});
+
+// Clap synthesis
+for (const param of SYNTH_PARAMS) {
+  synthParams.appendChild(createParamSlider(param));
+}
+
+/**
+ * Synth settings apply to the synthesized source and to clap steps in patterns.
+ */
+function toggleSynthControls() {
+  synthControls.classList.toggle('hidden', !['synthesized', 'pattern'].includes(state.soundSource));
+}
+
+// Voices are re-rendered once a slider is released
+synthParams.addEventListener('change', () => {
+  if (initialized) engine.updateVoices();
+});
+
+synthAuditionBtn.addEventListener('click', async () => {
+  engine.createContext();
+  engine.audioCtx.resume();
+  await initOnce();
+  if (!initialized) return;
+
+  await engine.voicesReady;
+  const index = Math.floor(random() * Math.min(engine.activeCount(), engine.persons.length));
+  const person = engine.audition(index);
+  if (!person) return;
+  const { shape, freq, q, bursts, decayMs } = person.synth;
+  synthVoice.textContent =
+    `#${index + 1}: ${HAND_SHAPES[shape].label.toLowerCase()}, ${freq} Hz, Q ${q}, ${bursts}×, ${decayMs}ms`;
+});
+
+// Pattern sequencer
+patternPresetSelect.appendChild(new Option('Custom', ''));
+for (const name of Object.keys(BUILT_IN_PATTERNS)) {
+  patternPresetSelect.appendChild(new Option(name, name));
+}
+
+patternPresetSelect.addEventListener('change', () => {
+  if (!patternPresetSelect.value) return;
+  state.pattern = BUILT_IN_PATTERNS[patternPresetSelect.value];
+  renderPatternEditor();
+});
+
+patternSubdivision.addEventListener('change', () => {
+  updatePattern(p => { p.subdivision = Number(patternSubdivision.value); });
+});
+
+patternLength.addEventListener('change', () => {
+  const length = Math.max(1, Math.min(MAX_PATTERN_STEPS, Math.round(Number(patternLength.value) || 1)));
+  updatePattern(p => {
+    p.steps.length = Math.min(p.steps.length, length);
+    while (p.steps.length < length) p.steps.push({ sound: 'rest', accent: false });
   });
 });
 
@@ -152,24 +965,727 @@ volumeSlider.addEventListener('input', () => {
   }
 });
 
-// Custom file upload
-uploadBtn.addEventListener('click', () => {
-  customFile.click();
+// Playback path: audio-thread worklet or one node chain per clap
+playbackSelect.addEventListener('change', () => {
+  state.playback = playbackSelect.value;
+  if (initialized) renderPlaybackStats();
+});
+
+// Spatial layout
+for (const [key, { label }] of Object.entries(LAYOUTS)) {
+  spatialLayoutSelect.appendChild(new Option(label, key));
+}
+
+spatialLayoutSelect.addEventListener('change', () => {
+  state.spatialLayout = spatialLayoutSelect.value;
+  spatialControls.forEach(el => el.classList.toggle('hidden', state.spatialLayout === 'off'));
+  if (initialized) {
+    engine.regeneratePersons();
+  }
+});
+
+// Listener position
+listenerXSlider.addEventListener('input', () => {
+  state.listenerX = Number(listenerXSlider.value);
+  listenerXVal.textContent = Math.round(state.listenerX * 100) + '%';
+  if (initialized) engine.updateListener();
+});
+
+listenerYSlider.addEventListener('input', () => {
+  state.listenerY = Number(listenerYSlider.value);
+  listenerYVal.textContent = Math.round(state.listenerY * 100) + '%';
+  if (initialized) engine.updateListener();
 });
 
-customFile.addEventListener('change', async () => {
-  const file = customFile.files[0];
-  if (!file) return;
+// Room reverb
+for (const [key, { label }] of Object.entries(REVERB_PRESETS)) {
+  reverbSelect.appendChild(new Option(label, key));
+}
+
+reverbSelect.addEventListener('change', async () => {
+  state.reverb = reverbSelect.value;
+  reverbControls.forEach(el => el.classList.toggle('hidden', state.reverb === 'off'));
+  if (initialized) {
+    await engine.setReverb();
+  }
+});
+
+reverbMixSlider.addEventListener('input', () => {
+  state.reverbMix = Number(reverbMixSlider.value);
+  reverbMixVal.textContent = Math.round(state.reverbMix * 100) + '%';
+  if (initialized) engine.setReverb();
+});
+
+reverbPreDelaySlider.addEventListener('input', () => {
+  state.reverbPreDelay = Number(reverbPreDelaySlider.value);
+  reverbPreDelayVal.textContent = state.reverbPreDelay + 'ms';
+  if (initialized) engine.setReverb();
+});
+
+// Sample library
+for (const [key, label] of Object.entries(SELECTION_MODES)) {
+  instrumentSelection.appendChild(new Option(label, key));
+}
+for (let layers = 1; layers <= MAX_LAYERS; layers++) {
+  instrumentLayers.appendChild(new Option(layers === 1 ? 'No layers' : `${layers} layers`, layers));
+}
+
+/**
+ * The library feeds the custom source and sample steps in patterns.
+ */
+function toggleLibraryControls() {
+  libraryControls.classList.toggle('hidden', !['custom', 'pattern'].includes(state.soundSource));
+}
+
+/**
+ * Fill the instrument select and the selected instrument's options.
+ * Built-in instruments are listed too, so their picking can be changed.
+ */
+function renderLibrary() {
+  const { library } = engine;
+  const names = library.names();
+  instrumentSelect.replaceChildren(...names.map(name => new Option(name, name)));
+  // Once the whole library is loaded, the custom source plays whichever instrument is shown
+  if (initialized && !library.get(state.instrument)) {
+    state.instrument = names[0] ?? '';
+  }
+  instrumentSelect.value = state.instrument;
+
+  const entry = library.get(state.instrument);
+  instrumentRemoveBtn.disabled = !entry || entry.builtIn;
+  instrumentSelection.disabled = !entry;
+  instrumentLayers.disabled = !entry;
+  sampleList.replaceChildren();
+  if (editing && (!entry || !entry.samples.includes(editing.sample))) closeSampleEditor();
+  if (!entry) {
+    instrumentInfo.textContent = '';
+    return;
+  }
+  instrumentSelection.value = entry.selection;
+  instrumentLayers.value = entry.layers;
+  const count = entry.samples.length;
+  instrumentInfo.textContent = `${count} sample${count === 1 ? '' : 's'}`;
+
+  // Sample manager: the instrument's samples, each editable and removable from the library and the store
+  if (entry.builtIn) return;
+  for (const sample of entry.samples) {
+    const item = document.createElement('li');
+    item.classList.toggle('selected', editing?.sample === sample);
+    const name = document.createElement('span');
+    name.textContent = sample.name;
+    name.title = 'Edit trim';
+    name.addEventListener('click', () => {
+      editSample(entry.name, sample);
+      renderLibrary();
+    });
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'upload-btn';
+    removeBtn.textContent = '×';
+    removeBtn.title = `Remove ${sample.name}`;
+    removeBtn.addEventListener('click', () => {
+      library.removeSample(entry.name, sample);
+      persistSamples(sample.id);
+      renderLibrary();
+    });
+    item.append(name, removeBtn);
+    sampleList.appendChild(item);
+  }
+}
+
+/**
+ * Write the trims of every library sample cut from one stored file back to the store,
+ * or delete the file once none are left.
+ * @param {number|null} id - Store id
+ */
+function persistSamples(id) {
+  if (id === null) return;
+  const samples = [...engine.library.instruments.values()]
+    .flatMap(entry => entry.samples)
+    .filter(sample => sample.id === id);
+  if (samples.length === 0) {
+    deleteSamples([id]);
+  } else {
+    updateSample(id, { trims: samples.map(sample => sample.trim) });
+  }
+}
+
+/**
+ * Decode the samples stored in earlier sessions into the library.
+ */
+async function restoreSamples() {
+  const stored = await loadSamples();
+  if (stored.length === 0) return;
+  // Decoding needs a context; it stays suspended until the first play
+  engine.createContext();
+  for (const { id, instrument, name, bytes, trims, trim = null } of stored) {
+    try {
+      await engine.addSample(instrument, name, bytes, { id, trims: trims ?? [trim] });
+    } catch (e) {
+      console.warn(`Failed to decode stored sample ${name}:`, e);
+    }
+  }
+  renderLibrary();
+}
 
+/**
+ * Decode files into the library, grouped into instruments, and play the first new one.
+ * @param {Array<{ file: File, path: string }>} entries - Files with their relative paths
+ */
+async function addSamples(entries) {
+  if (entries.length === 0) return;
+  engine.createContext();
   await initOnce();
+  if (!initialized) return;
 
-  const arrayBuffer = await file.arrayBuffer();
-  try {
-    await engine.loadCustomSample(arrayBuffer);
-    // Auto-select custom source
+  let first = null;
+  for (const { file, path } of entries) {
+    const instrument = instrumentNameFor(path);
+    const bytes = await file.arrayBuffer();
+    let sample;
+    try {
+      // Decoding detaches its buffer, so the stored bytes are a copy.
+      // The onset is detected and leading silence trimmed on the way in.
+      [sample] = await engine.addSample(instrument, file.name, bytes.slice(0));
+    } catch (e) {
+      console.warn(`Skipping ${path}, not decodable audio:`, e);
+      continue;
+    }
+    sample.id = await storeSample({ instrument, name: file.name, bytes, trims: [sample.trim] });
+    first ??= instrument;
+  }
+  if (!first) return;
+
+  state.instrument = first;
+  saveSelectedInstrument(first);
+  // Auto-select custom source, unless a pattern is playing the library
+  if (state.soundSource !== 'pattern') {
     state.soundSource = 'custom';
     document.querySelector('input[name="source"][value="custom"]').checked = true;
+    renderPatternEditor();
+    toggleSynthControls();
+    toggleLibraryControls();
+  }
+  renderLibrary();
+}
+
+/**
+ * Collect the files of a drop, walking into dropped folders.
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<Array<{ file: File, path: string }>>}
+ */
+async function droppedFiles(dataTransfer) {
+  const entries = [...dataTransfer.items]
+    .map(item => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+  // Without the entries API, only loose files come through
+  if (entries.length === 0) {
+    return [...dataTransfer.files].map(file => ({ file, path: file.name }));
+  }
+
+  const files = [];
+  const walk = async (entry) => {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      files.push({ file, path: entry.fullPath });
+    } else if (entry.isDirectory) {
+      const reader = entry.createReader();
+      // readEntries returns directory contents in batches until an empty one
+      for (;;) {
+        const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        if (batch.length === 0) break;
+        for (const child of batch) await walk(child);
+      }
+    }
+  };
+  for (const entry of entries) await walk(entry);
+  return files;
+}
+
+libraryAddFilesBtn.addEventListener('click', () => libraryFiles.click());
+libraryAddFolderBtn.addEventListener('click', () => libraryFolder.click());
+
+libraryFiles.addEventListener('change', async () => {
+  await addSamples([...libraryFiles.files].map(file => ({ file, path: file.name })));
+  libraryFiles.value = '';
+});
+
+libraryFolder.addEventListener('change', async () => {
+  const files = [...libraryFolder.files].filter(file => file.type.startsWith('audio/'));
+  await addSamples(files.map(file => ({ file, path: file.webkitRelativePath })));
+  libraryFolder.value = '';
+});
+
+libraryDrop.addEventListener('dragover', (e) => {
+  e.preventDefault();
+  libraryDrop.classList.add('drag-over');
+});
+
+libraryDrop.addEventListener('dragleave', () => {
+  libraryDrop.classList.remove('drag-over');
+});
+
+libraryDrop.addEventListener('drop', async (e) => {
+  e.preventDefault();
+  libraryDrop.classList.remove('drag-over');
+  // Read the drop before awaiting anything else: the DataTransfer is only valid during the event
+  const files = droppedFiles(e.dataTransfer);
+  await addSamples(await files);
+});
+
+instrumentSelect.addEventListener('change', () => {
+  state.instrument = instrumentSelect.value;
+  saveSelectedInstrument(state.instrument);
+  renderLibrary();
+});
+
+instrumentSelection.addEventListener('change', () => {
+  engine.library.setOptions(state.instrument, { selection: instrumentSelection.value });
+});
+
+instrumentLayers.addEventListener('change', () => {
+  engine.library.setOptions(state.instrument, { layers: Number(instrumentLayers.value) });
+});
+
+instrumentRemoveBtn.addEventListener('click', () => {
+  const entry = engine.library.get(state.instrument);
+  if (!entry || entry.builtIn) return;
+  engine.library.remove(entry.name);
+  deleteSamples(entry.samples.map(sample => sample.id).filter(id => id !== null));
+  state.instrument = '';
+  renderLibrary();
+});
+
+// Sample editor: the library sample being edited, { instrument, sample } or null
+let editing = null;
+const sampleEditor = new SampleEditor(sampleCanvas, { onChange: retrimSample });
+
+/**
+ * Open the editor on a sample.
+ * @param {string} instrument
+ * @param {object} sample - Library record
+ */
+function editSample(instrument, sample) {
+  editing = { instrument, sample };
+  sampleEditorPanel.classList.remove('hidden');
+  sampleEditor.setSample(sample.original, sample.trim);
+  sampleFadeSlider.value = sample.trim.fade;
+  sampleFadeVal.textContent = sample.trim.fade + 'ms';
+  sampleNormalize.checked = sample.trim.normalize;
+  sampleHint.textContent = `${sampleEditor.onsets.length} hit${sampleEditor.onsets.length === 1 ? '' : 's'} detected.`
+    + ' Drag the start and end markers. Slicing cuts a recording of many claps at every hit'
+    + ' and gives each clapper their own.';
+}
+
+function closeSampleEditor() {
+  editing = null;
+  sampleEditorPanel.classList.add('hidden');
+}
+
+/**
+ * Re-cut the edited sample and keep the change.
+ * @param {object} trim
+ */
+function retrimSample(trim) {
+  if (!editing) return;
+  const { instrument, sample } = editing;
+  engine.library.update(instrument, sample, engine.trimBuffer(sample.original, trim), trim);
+  sampleEditor.setTrim(trim);
+  persistSamples(sample.id);
+}
+
+sampleFadeSlider.addEventListener('input', () => {
+  sampleFadeVal.textContent = sampleFadeSlider.value + 'ms';
+  if (editing) sampleEditor.setTrim({ ...editing.sample.trim, fade: Number(sampleFadeSlider.value) });
+});
+
+sampleFadeSlider.addEventListener('change', () => {
+  if (editing) retrimSample({ ...editing.sample.trim, fade: Number(sampleFadeSlider.value) });
+});
+
+sampleNormalize.addEventListener('change', () => {
+  if (editing) retrimSample({ ...editing.sample.trim, normalize: sampleNormalize.checked });
+});
+
+sampleAutoBtn.addEventListener('click', () => {
+  if (!editing) return;
+  const { original } = editing.sample;
+  const trim = autoTrim(channelsOf(original), original.sampleRate);
+  retrimSample(trim);
+  sampleFadeSlider.value = trim.fade;
+  sampleFadeVal.textContent = trim.fade + 'ms';
+  sampleNormalize.checked = trim.normalize;
+});
+
+samplePlayBtn.addEventListener('click', () => {
+  if (!editing) return;
+  engine.audioCtx.resume();
+  const clap = { buffer: editing.sample.buffer, rate: 1, gain: 1, position: null };
+  engine.playClap(engine.output, clap, engine.audioCtx.currentTime);
+});
+
+// Replace every cut of the edited file by one sample per detected hit
+sampleSliceBtn.addEventListener('click', () => {
+  if (!editing) return;
+  const { instrument, sample } = editing;
+  const { original, id } = sample;
+  const trims = sliceHits(channelsOf(original), original.sampleRate);
+  if (trims.length < 2) {
+    sampleHint.textContent = 'Only one hit detected, nothing to slice.';
+    return;
+  }
+
+  const entry = engine.library.get(instrument);
+  const previous = entry.samples.filter(s => s === sample || (id !== null && s.id === id));
+  const fileName = sample.name.replace(/ #\d+$/, '');
+  trims.forEach((trim, i) => engine.addSlice(instrument, `${fileName} #${i + 1}`, original, { id, trim }));
+  for (const s of previous) engine.library.removeSample(instrument, s);
+  engine.library.setOptions(instrument, { selection: 'per-person' });
+  persistSamples(id);
+  closeSampleEditor();
+  renderLibrary();
+});
+
+// Samples from earlier sessions; initOnce waits for these before showing the library
+const samplesRestored = restoreSamples();
+
+// Crowd sections
+/**
+ * Rebuild the section editors. With sections, they set the clapper count and
+ * spread, so the global sliders are disabled.
+ */
+function renderSections() {
+  const { sections } = state;
+  clappersSlider.disabled = sections.length > 0;
+  spreadSlider.disabled = sections.length > 0;
+  updateSectionsInfo();
+
+  sectionsList.replaceChildren(...sections.map((section, index) => {
+    const card = document.createElement('div');
+    card.className = 'section-card';
+
+    const header = document.createElement('label');
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.value = section.name;
+    name.setAttribute('aria-label', 'Section name');
+    name.addEventListener('input', () => { section.name = name.value; });
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'upload-btn';
+    removeBtn.textContent = '×';
+    removeBtn.title = 'Remove section';
+    removeBtn.addEventListener('click', () => {
+      sections.splice(index, 1);
+      onSectionsResized();
+      renderSections();
+      updateHash();
+    });
+    header.append(name, removeBtn);
+
+    const sound = document.createElement('label');
+    const soundText = document.createElement('span');
+    soundText.className = 'label-text';
+    soundText.textContent = 'Timing';
+    const distribution = document.createElement('select');
+    distribution.setAttribute('aria-label', 'Distribution');
+    for (const option of distSelect.options) {
+      if (option.value in distributions) distribution.appendChild(new Option(option.text, option.value));
+    }
+    distribution.value = section.distribution;
+    distribution.addEventListener('change', () => { section.distribution = distribution.value; });
+    const soundSelect = document.createElement('select');
+    soundSelect.setAttribute('aria-label', 'Sound');
+    for (const [key, label] of Object.entries(SECTION_SOUNDS)) {
+      soundSelect.appendChild(new Option(label, key));
+    }
+    soundSelect.value = section.sound;
+    soundSelect.addEventListener('change', () => { section.sound = soundSelect.value; });
+    sound.append(soundText, distribution, soundSelect);
+
+    card.append(header, sound);
+    for (const [key, field] of Object.entries(SECTION_FIELDS)) {
+      const onInput = key === 'clapperCount' ? onSectionsResized : undefined;
+      card.appendChild(sliderRow({ key, ...field }, section, onInput).row);
+    }
+    return card;
+  }));
+}
+
+function updateSectionsInfo() {
+  const { sections } = state;
+  sectionsInfo.textContent = sections.length > 0
+    ? `${sectionsSize(sections)} clappers in ${sections.length} section${sections.length === 1 ? '' : 's'}`
+    : 'One crowd, following the timing and sound settings';
+}
+
+/**
+ * The crowd changed size: rebuild persons and refresh the total.
+ */
+function onSectionsResized() {
+  if (initialized) engine.regeneratePersons();
+  updateSectionsInfo();
+}
+
+sectionAddBtn.addEventListener('click', () => {
+  state.sections.push(createSection(state));
+  onSectionsResized();
+  renderSections();
+  updateHash();
+});
+
+// Parameter automation
+const automationEditor = new AutomationEditor(automationCanvas, state, {
+  onChange: onAutomationChange,
+  getPosition: () => (state.playing && engine
+    ? engine.currentBeat / engine.stepsPerBeat() / BEATS_PER_BAR
+    : null),
+});
+
+/**
+ * Keep the crowd large enough for clapper automation and the URL in sync.
+ */
+function onAutomationChange() {
+  if (initialized) engine.regeneratePersons();
+  updateHash();
+}
+
+for (const [key, { label }] of Object.entries(AUTOMATABLE)) {
+  automationLane.appendChild(new Option(label, key));
+}
+automationPreset.appendChild(new Option('Envelopes...', ''));
+for (const name of Object.keys(AUTOMATION_PRESETS)) {
+  automationPreset.appendChild(new Option(name, name));
+}
+
+automationEnabled.addEventListener('change', () => {
+  state.automation.enabled = automationEnabled.checked;
+  onAutomationChange();
+});
+
+automationBars.addEventListener('change', () => {
+  state.automation.bars = Math.max(1, Math.round(Number(automationBars.value) || 1));
+  automationEditor.draw();
+  onAutomationChange();
+});
+
+automationLane.addEventListener('change', () => {
+  automationEditor.setLane(automationLane.value);
+});
+
+automationPreset.addEventListener('change', () => {
+  const preset = AUTOMATION_PRESETS[automationPreset.value];
+  if (!preset) return;
+  state.automation = { enabled: true, ...structuredClone(preset) };
+  automationPreset.value = '';
+  syncControls();
+  onAutomationChange();
+});
+
+automationClear.addEventListener('click', () => {
+  delete state.automation.lanes[automationEditor.lane];
+  automationEditor.draw();
+  onAutomationChange();
+});
+
+// Offline export: rendered WAV, or the planned clap times as MIDI, CSV or JSON
+exportBtn.addEventListener('click', async () => {
+  engine.createContext();
+
+  await initOnce();
+  if (!initialized) return;
+
+  const bars = Math.max(1, Math.round(Number(exportBarsInput.value) || 1));
+  const format = exportFormat.value;
+  const basename = `clapmaker-${state.bpm}bpm-${bars}bars`;
+
+  exportBtn.disabled = true;
+  exportBtn.textContent = 'Rendering...';
+  try {
+    await engine.voicesReady;
+    if (format === '16' || format === '24') {
+      const rendered = await engine.renderOffline(bars);
+      const blob = new Blob([encodeWAV(rendered, Number(format))], { type: 'audio/wav' });
+      downloadBlob(blob, `${basename}.wav`);
+    } else {
+      const schedule = engine.planSchedule(bars);
+      if (format === 'csv') {
+        downloadBlob(new Blob([scheduleToCSV(schedule)], { type: 'text/csv' }), `${basename}.csv`);
+      } else if (format === 'json') {
+        const json = scheduleToJSON(schedule, snapshotState(state));
+        downloadBlob(new Blob([json], { type: 'application/json' }), `${basename}.json`);
+      } else {
+        const layout = format === 'midi-clappers' ? 'clappers' : 'drum';
+        const blob = new Blob([scheduleToMidi(schedule, layout)], { type: 'audio/midi' });
+        downloadBlob(blob, `${basename}.mid`);
+      }
+    }
   } catch (e) {
-    console.error('Failed to decode audio file:', e);
+    console.error('Export failed:', e);
+  } finally {
+    exportBtn.disabled = false;
+    exportBtn.textContent = 'Export';
   }
 });
+
+sweepBtn.addEventListener('click', async () => {
+  engine.createContext();
+
+  await initOnce();
+  if (!initialized) return;
+  if (state.sections.length > 0) {
+    sweepStatus.textContent = 'Sections keep their own spreads: remove them to sweep the crowd spread.';
+    return;
+  }
+  sweepBtn.disabled = true;
+  sweepStatus.textContent = 'Rendering...';
+  try {
+    await engine.voicesReady;
+    const results = await engine.sweepSpread(SWEEP_SPREADS_MS, SWEEP_BARS, (done) => {
+      sweepStatus.textContent = `Rendering... ${done} of ${SWEEP_SPREADS_MS.length}`;
+    });
+    renderSweep(results);
+  } catch (e) {
+    console.error('Tightness sweep failed:', e);
+    sweepStatus.textContent = 'Sweep failed.';
+  } finally {
+    sweepBtn.disabled = false;
+  }
+});
+
+/**
+ * Show how tight the crowd sounded at each swept spread, and the first spread
+ * at which it stopped sounding together.
+ * @param {object[]} results - From AudioEngine.sweepSpread
+ */
+function renderSweep(results) {
+  const table = document.createElement('table');
+  const header = table.insertRow();
+  for (const text of ['Spread', 'Heard', 'Width', 'Fused', 'Flams']) {
+    const th = document.createElement('th');
+    th.textContent = text;
+    header.appendChild(th);
+  }
+  for (const { spread, onsetMs, widthMs, fusion, flams } of results) {
+    const row = table.insertRow();
+    row.insertCell().textContent = `${spread}ms`;
+    if (!Number.isFinite(fusion)) {
+      row.insertCell().textContent = 'silent';
+      continue;
+    }
+    row.insertCell().textContent = `${onsetMs >= 0 ? '+' : ''}${onsetMs.toFixed(1)}ms`;
+    row.insertCell().textContent = `${widthMs.toFixed(0)}ms`;
+    row.insertCell().textContent = `${Math.round(fusion * 100)}%`;
+    row.insertCell().textContent = flams.toFixed(1);
+  }
+  sweepResults.replaceChildren(table);
+
+  const apart = results.find(result => result.fusion < FUSED_LEVEL);
+  const crowd = `${state.clapperCount} clappers at ${state.bpm} BPM`;
+  sweepStatus.textContent = apart
+    ? `${crowd} stop sounding together at about ${apart.spread}ms spread (under ${FUSED_LEVEL * 100}% fused).`
+    : `${crowd} still sound together at ${results[results.length - 1].spread}ms spread.`;
+}
+
+/**
+ * Trigger a browser download for a generated file.
+ */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * After any control change: mirror state into the URL and refresh the idle visualization.
+ */
+function onControlsChanged() {
+  updateHash();
+  if (!state.playing) viz.draw();
+}
+
+// Target listeners run first, so state is already updated here
+controlsPanel.addEventListener('input', onControlsChanged);
+controlsPanel.addEventListener('change', onControlsChanged);
+
+window.addEventListener('hashchange', () => {
+  applyState(decodeStateFromHash(location.hash));
+});
+
+/**
+ * Rebuild the preset dropdown from built-in and saved presets.
+ * @param {string} [selected] - Preset value to select, e.g. 'user:My preset'
+ */
+function renderPresetOptions(selected = '') {
+  presetSelect.innerHTML = '';
+  presetSelect.appendChild(new Option('Presets...', ''));
+
+  const builtIn = document.createElement('optgroup');
+  builtIn.label = 'Built-in';
+  for (const name of Object.keys(BUILT_IN_PRESETS)) {
+    builtIn.appendChild(new Option(name, 'builtin:' + name));
+  }
+  presetSelect.appendChild(builtIn);
+
+  const userNames = Object.keys(loadUserPresets());
+  if (userNames.length > 0) {
+    const saved = document.createElement('optgroup');
+    saved.label = 'Saved';
+    for (const name of userNames) {
+      saved.appendChild(new Option(name, 'user:' + name));
+    }
+    presetSelect.appendChild(saved);
+  }
+
+  presetSelect.value = selected;
+  presetDeleteBtn.disabled = !presetSelect.value.startsWith('user:');
+}
+
+presetSelect.addEventListener('change', () => {
+  const value = presetSelect.value;
+  presetDeleteBtn.disabled = !value.startsWith('user:');
+  if (value.startsWith('builtin:')) {
+    const preset = BUILT_IN_PRESETS[value.slice('builtin:'.length)];
+    // Built-ins start from DEFAULTS but keep the current seed
+    const { seed, ...defaults } = DEFAULTS;
+    applyState({ ...defaults, ...preset });
+  } else if (value.startsWith('user:')) {
+    // Saved presets may be stale or hand-edited, so they are checked like links
+    const preset = loadUserPresets()[value.slice('user:'.length)];
+    if (preset && typeof preset === 'object') applyState(validateState(preset));
+  }
+});
+
+presetSaveBtn.addEventListener('click', () => {
+  const name = prompt('Preset name:');
+  if (!name || !name.trim()) return;
+  saveUserPreset(name.trim(), state);
+  renderPresetOptions('user:' + name.trim());
+});
+
+presetDeleteBtn.addEventListener('click', () => {
+  const value = presetSelect.value;
+  if (!value.startsWith('user:')) return;
+  deleteUserPreset(value.slice('user:'.length));
+  renderPresetOptions();
+});
+
+copyLinkBtn.addEventListener('click', async () => {
+  updateHash();
+  try {
+    await navigator.clipboard.writeText(location.href);
+    copyLinkBtn.textContent = 'Copied!';
+    setTimeout(() => { copyLinkBtn.textContent = 'Copy link'; }, 1500);
+  } catch (e) {
+    console.warn('Clipboard unavailable:', e);
+  }
+});
+
+// Restore state from the URL on load
+renderPresetOptions();
+applyState(decodeStateFromHash(location.hash));
+viz.draw();
+tightnessView.draw(engine.tightness());
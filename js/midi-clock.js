@@ -0,0 +1,94 @@
+/**
+ * MIDI clock follower.
+ * Counts clock ticks (24 per quarter note) after a start or continue message and
+ * announces each beat slightly ahead of time, so claps that land before the beat
+ * can still be scheduled. The tempo is estimated from the smoothed tick interval.
+ */
+
+export const PPQN = 24;
+
+// Beats are announced this many ticks early (a 16th note)
+const LEAD_TICKS = 6;
+// Smoothing of the tick interval estimate (share of the newest interval)
+const SMOOTHING = 0.1;
+// Tick gaps longer than this mean the clock stopped; the estimate starts over
+const MAX_TICK_MS = 250;
+
+export class MidiClock {
+  /**
+   * @param {object} handlers
+   * @param {(beatIndex: number, timeMs: number) => void} handlers.onBeat - A beat
+   *   is coming up at timeMs (performance.now() clock); beatIndex counts from the start message
+   * @param {() => void} handlers.onStart - Start or continue; continue keeps the beat count
+   * @param {() => void} handlers.onStop
+   */
+  constructor({ onBeat, onStart, onStop }) {
+    this.onBeat = onBeat;
+    this.onStart = onStart;
+    this.onStop = onStop;
+    this.running = false;
+    // Ticks since the start message
+    this.tick = 0;
+    // Last beat passed to onBeat
+    this.announced = -1;
+    this.lastTickMs = null;
+    this.tickMs = null;
+  }
+
+  /**
+   * Tempo estimated from the clock.
+   * @returns {number|null} BPM, or null before enough ticks have arrived
+   */
+  get bpm() {
+    return this.tickMs ? 60000 / (this.tickMs * PPQN) : null;
+  }
+
+  /**
+   * Feed a decoded real-time message (see parseMidiMessage).
+   * @param {{ type: string }} message
+   * @param {number} timeMs - Message time on the performance.now() clock
+   */
+  handle(message, timeMs) {
+    switch (message.type) {
+      case 'clock': this.onTick(timeMs); break;
+      case 'start':
+        this.tick = 0;
+        this.announced = -1;
+        this.running = true;
+        this.onStart();
+        break;
+      case 'continue':
+        this.running = true;
+        this.onStart();
+        break;
+      case 'stop':
+        this.running = false;
+        this.onStop();
+        break;
+    }
+  }
+
+  onTick(timeMs) {
+    // Clocks keep ticking while stopped, so the tempo is known before playback starts
+    if (this.lastTickMs !== null) {
+      const interval = timeMs - this.lastTickMs;
+      if (interval > MAX_TICK_MS) this.tickMs = null;
+      else this.tickMs = this.tickMs ? this.tickMs + (interval - this.tickMs) * SMOOTHING : interval;
+    }
+    this.lastTickMs = timeMs;
+    if (!this.running) return;
+
+    // This tick is a beat that could not be announced early (e.g. right after start)
+    if (this.tick % PPQN === 0 && this.tick / PPQN > this.announced) {
+      this.announced = this.tick / PPQN;
+      this.onBeat(this.announced, timeMs);
+    }
+    // The beat LEAD_TICKS from now
+    const ahead = this.tick + LEAD_TICKS;
+    if (this.tickMs && ahead % PPQN === 0 && ahead / PPQN > this.announced) {
+      this.announced = ahead / PPQN;
+      this.onBeat(this.announced, timeMs + LEAD_TICKS * this.tickMs);
+    }
+    this.tick++;
+  }
+}
@@ -0,0 +1,103 @@
+/**
+ * Standard MIDI File (format 1) encoding.
+ */
+
+/**
+ * Encode tracks of absolute-time events as a format 1 MIDI file.
+ * Events are sorted by tick; at equal ticks meta events come first, then note offs.
+ * @param {Array<Array<{ tick: number, data: number[] }>>} tracks - Events per track
+ * @param {number} ppq - Ticks per quarter note
+ * @returns {ArrayBuffer} MIDI file bytes
+ */
+export function encodeMidiFile(tracks, ppq) {
+  const chunks = tracks.map(encodeTrack);
+  const size = 14 + chunks.reduce((sum, chunk) => sum + 8 + chunk.length, 0);
+
+  const out = new ArrayBuffer(size);
+  const view = new DataView(out);
+  const bytes = new Uint8Array(out);
+
+  // Header chunk
+  writeString(view, 0, 'MThd');
+  view.setUint32(4, 6);
+  view.setUint16(8, 1); // format 1: simultaneous tracks
+  view.setUint16(10, tracks.length);
+  view.setUint16(12, ppq);
+
+  let pos = 14;
+  for (const chunk of chunks) {
+    writeString(view, pos, 'MTrk');
+    view.setUint32(pos + 4, chunk.length);
+    bytes.set(chunk, pos + 8);
+    pos += 8 + chunk.length;
+  }
+  return out;
+}
+
+/**
+ * Meta event setting the tempo.
+ * @param {number} bpm
+ * @returns {number[]}
+ */
+export function tempoEvent(bpm) {
+  const usPerQuarter = Math.round(60000000 / bpm);
+  return [0xff, 0x51, 0x03, (usPerQuarter >> 16) & 0xff, (usPerQuarter >> 8) & 0xff, usPerQuarter & 0xff];
+}
+
+/**
+ * Meta event setting the time signature.
+ * @param {number} numerator - Beats per bar
+ * @param {number} [denominator] - Beat unit (power of two)
+ * @returns {number[]}
+ */
+export function timeSignatureEvent(numerator, denominator = 4) {
+  return [0xff, 0x58, 0x04, numerator, Math.log2(denominator), 24, 8];
+}
+
+/**
+ * Meta event naming a track.
+ * @param {string} name
+ * @returns {number[]}
+ */
+export function trackNameEvent(name) {
+  const text = [...new TextEncoder().encode(name)];
+  return [0xff, 0x03, ...varLen(text.length), ...text];
+}
+
+function encodeTrack(events) {
+  const sorted = events
+    .map((event, i) => ({ ...event, i }))
+    .sort((a, b) => a.tick - b.tick || eventRank(a.data) - eventRank(b.data) || a.i - b.i);
+
+  const out = [];
+  let lastTick = 0;
+  for (const { tick, data } of sorted) {
+    out.push(...varLen(tick - lastTick), ...data);
+    lastTick = tick;
+  }
+  out.push(0x00, 0xff, 0x2f, 0x00); // end of track
+  return Uint8Array.from(out);
+}
+
+function eventRank(data) {
+  if (data[0] === 0xff) return 0;
+  if ((data[0] & 0xf0) === 0x80) return 1;
+  return 2;
+}
+
+// Variable-length quantity: 7 bits per byte, high bit set on all but the last
+function varLen(value) {
+  const out = [value & 0x7f];
+  value >>= 7;
+  while (value > 0) {
+    out.unshift((value & 0x7f) | 0x80);
+    value >>= 7;
+  }
+  return out;
+}
+
+function writeString(view, offset, str) {
+  for (let i = 0; i < str.length; i++) {
+    view.setUint8(offset + i, str.charCodeAt(i));
+  }
+}
@@ -0,0 +1,115 @@
+/**
+ * Web MIDI input.
+ * Listens on every connected input (and any plugged in later) and decodes
+ * the raw messages the app reacts to: notes (taps), control changes (parameter
+ * mappings) and the real-time clock, start, continue and stop messages.
+ */
+
+import { AUTOMATABLE } from './automation.js';
+
+const STORAGE_KEY = 'clapmaker.midi';
+
+/** Default controller number for each mappable parameter. */
+export const DEFAULT_CC_MAPPINGS = {
+  bpm: 20,
+  spread: 21,
+  clapperCount: 22,
+  volume: 7,
+};
+
+// System real-time status bytes
+const REALTIME_TYPES = {
+  0xf8: 'clock',
+  0xfa: 'start',
+  0xfb: 'continue',
+  0xfc: 'stop',
+};
+
+/**
+ * Request MIDI access and route every input's messages to a handler.
+ * Must be called from a user gesture in some browsers.
+ * @param {(message: object, timeStamp: number) => void} onMessage - Receives
+ *   decoded messages (see parseMidiMessage) and the event timeStamp in ms
+ * @returns {Promise<MIDIAccess>}
+ */
+export async function openMidiInputs(onMessage) {
+  if (!navigator.requestMIDIAccess) {
+    throw new Error('Web MIDI is not supported in this browser');
+  }
+  const access = await navigator.requestMIDIAccess();
+  const connect = () => {
+    access.inputs.forEach(input => {
+      input.onmidimessage = (e) => {
+        const message = parseMidiMessage(e.data);
+        if (message) onMessage(message, e.timeStamp);
+      };
+    });
+  };
+  connect();
+  access.onstatechange = connect;
+  return access;
+}
+
+/**
+ * Decode a raw MIDI message.
+ * @param {Uint8Array|number[]} data - Status byte followed by data bytes
+ * @returns {object|null} One of
+ *   { type: 'noteon'|'noteoff', channel, note, velocity } (a note on with velocity 0 is a note off),
+ *   { type: 'cc', channel, controller, value },
+ *   { type: 'clock'|'start'|'continue'|'stop' },
+ *   or null for anything else
+ */
+export function parseMidiMessage(data) {
+  const [status, data1, data2] = data;
+  if (REALTIME_TYPES[status]) return { type: REALTIME_TYPES[status] };
+  const kind = status & 0xf0;
+  const channel = status & 0x0f;
+  if (kind === 0x90 && data2 > 0) {
+    return { type: 'noteon', channel, note: data1, velocity: data2 };
+  }
+  if (kind === 0x80 || kind === 0x90) {
+    return { type: 'noteoff', channel, note: data1, velocity: data2 };
+  }
+  if (kind === 0xb0) {
+    return { type: 'cc', channel, controller: data1, value: data2 };
+  }
+  return null;
+}
+
+/**
+ * Scale a 7-bit controller value onto a parameter's range.
+ * @param {string} key - Mappable parameter (see AUTOMATABLE)
+ * @param {number} value - Controller value 0-127
+ * @returns {number}
+ */
+export function ccToValue(key, value) {
+  const { min, max, integer } = AUTOMATABLE[key];
+  const scaled = min + (value / 127) * (max - min);
+  return integer ? Math.round(scaled) : Math.round(scaled * 100) / 100;
+}
+
+/**
+ * Read the controller mappings from localStorage, falling back to the defaults.
+ * @returns {Object<string, number>} Parameter to controller number
+ */
+export function loadCcMappings() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return { ...DEFAULT_CC_MAPPINGS, ...(parsed && parsed.cc) };
+  } catch (e) {
+    console.warn('Failed to read MIDI mappings:', e);
+    return { ...DEFAULT_CC_MAPPINGS };
+  }
+}
+
+/**
+ * Save the controller mappings.
+ * @param {Object<string, number>} mappings - Parameter to controller number
+ */
+export function saveCcMappings(mappings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ cc: mappings }));
+  } catch (e) {
+    console.warn('Failed to save MIDI mappings:', e);
+  }
+}
@@ -0,0 +1,173 @@
+/**
+ * How tight a crowd sounds, measured from its audio rather than its planned offsets:
+ * when a beat is heard, how far its attacks are smeared, and whether it fuses
+ * into one hit or flams. Works on plain mono sample data, like sample-editing.js,
+ * so the live meter and offline spread sweeps measure the same way.
+ *
+ * The attack curve is the rise of a short RMS envelope (positive differences
+ * only): every clap adds a burst of rise at its onset, while decays and reverb
+ * tails add almost none.
+ */
+
+const FRAME_MS = 1;         // envelope resolution
+const RMS_MS = 4;           // envelope integration
+const LOUDNESS_MS = 10;     // integration of the loudness the perceived onset is read from
+const ONSET_LEVEL = 0.5;    // share of a beat's loudest moment at which the beat is heard
+const ATTACK_FLOOR = 0.05;  // rises below this share of the largest are envelope ripple
+const FLAM_PEAK = 0.3;      // attack peaks this strong (against the largest) outside the hit are flams
+const SILENCE = 1e-4;       // RMS below this is no beat at all
+
+/** Attacks within this span are heard as one hit (ms). */
+export const FUSION_MS = 20;
+
+/** Below this fusion a beat no longer sounds together. */
+export const FUSED_LEVEL = 0.6;
+
+/**
+ * Tightness of one beat.
+ * @param {Float32Array} samples - Mono audio around the beat
+ * @param {number} sampleRate
+ * @param {number} beatIndex - Sample index of the beat within `samples`
+ * @returns {{ onsetMs: number, widthMs: number, fusion: number, flams: number }|null} Null for
+ *   silence. `onsetMs`: where the beat is heard, from the beat; `widthMs`: span of the middle
+ *   80% of the attack; `fusion`: share of the attack within the best FUSION_MS; `flams`:
+ *   separate attack peaks outside that
+ */
+export function analyzeBeat(samples, sampleRate, beatIndex) {
+  const frame = Math.max(1, Math.round((FRAME_MS / 1000) * sampleRate));
+  const frames = Math.floor(samples.length / frame);
+  if (frames < 2) return null;
+
+  const energy = new Float64Array(frames);
+  for (let f = 0; f < frames; f++) {
+    let sum = 0;
+    for (let i = f * frame; i < (f + 1) * frame; i++) sum += samples[i] * samples[i];
+    energy[f] = sum / frame;
+  }
+  const rms = movingAverage(energy, Math.round(RMS_MS / FRAME_MS)).map(Math.sqrt);
+  if (Math.max(...rms) < SILENCE) return null;
+
+  // Attack curve, with envelope ripple removed
+  const attack = new Float64Array(frames);
+  for (let f = 1; f < frames; f++) attack[f] = Math.max(0, rms[f] - rms[f - 1]);
+  const floor = Math.max(...attack) * ATTACK_FLOOR;
+  let total = 0;
+  for (let f = 0; f < frames; f++) {
+    if (attack[f] < floor) attack[f] = 0;
+    total += attack[f];
+  }
+  if (total === 0) return null;
+
+  // Perceived onset: where the loudness first reaches its threshold. The ear
+  // integrates what it has heard, so read the centered average half its length later.
+  const loudnessFrames = Math.round(LOUDNESS_MS / FRAME_MS);
+  const loudness = movingAverage(energy, loudnessFrames);
+  const threshold = Math.max(...loudness) * ONSET_LEVEL;
+  const onsetFrame = loudness.findIndex(level => level >= threshold) + Math.floor(loudnessFrames / 2);
+  const onsetMs = (((onsetFrame + 0.5) * frame - beatIndex) / sampleRate) * 1000;
+
+  // Width: middle 80% of the attack
+  let cumulative = 0;
+  let from = -1;
+  let to = frames - 1;
+  for (let f = 0; f < frames; f++) {
+    cumulative += attack[f];
+    if (from < 0 && cumulative >= 0.1 * total) from = f;
+    if (cumulative >= 0.9 * total) {
+      to = f;
+      break;
+    }
+  }
+  const widthMs = (to - from) * FRAME_MS;
+
+  // Fusion: the most attack any FUSION_MS window catches
+  const span = Math.round(FUSION_MS / FRAME_MS);
+  let windowSum = 0;
+  let best = 0;
+  let bestStart = 0;
+  for (let f = 0; f < frames; f++) {
+    windowSum += attack[f] - (f >= span ? attack[f - span] : 0);
+    if (windowSum > best) {
+      best = windowSum;
+      bestStart = Math.max(0, f - span + 1);
+    }
+  }
+
+  // Flams: clear attack peaks away from the main hit and from each other
+  const smooth = movingAverage(attack, 5);
+  const minPeak = Math.max(...smooth) * FLAM_PEAK;
+  let flams = 0;
+  let lastPeak = -Infinity;
+  for (let f = 1; f < frames - 1; f++) {
+    const isPeak = smooth[f] >= minPeak && smooth[f] > smooth[f - 1] && smooth[f] >= smooth[f + 1];
+    const inHit = f >= bestStart - span / 2 && f < bestStart + span * 1.5;
+    if (isPeak && !inHit && f - lastPeak >= span) {
+      flams++;
+      lastPeak = f;
+    }
+  }
+
+  return { onsetMs, widthMs, fusion: best / total, flams };
+}
+
+/**
+ * Analyze one scheduled step within a longer recording: the audio from half a
+ * step before the step to half a step after it.
+ * @param {Float32Array} samples - Mono audio
+ * @param {number} sampleRate
+ * @param {number} time - Step time in seconds from the start of `samples`
+ * @param {number} period - Step length in seconds
+ * @returns {object|null} See analyzeBeat
+ */
+export function analyzeStep(samples, sampleRate, time, period) {
+  const start = Math.max(0, Math.round((time - period / 2) * sampleRate));
+  const end = Math.min(samples.length, Math.round((time + period / 2) * sampleRate));
+  if (end - start < 2) return null;
+  return analyzeBeat(samples.subarray(start, end), sampleRate, Math.round(time * sampleRate) - start);
+}
+
+/**
+ * Average the metrics of many beats, skipping silent ones.
+ * @param {Array<object|null>} beats - From analyzeBeat
+ * @returns {{ beats: number, onsetMs: number, widthMs: number, fusion: number, flams: number }}
+ *   NaN averages when every beat was silent
+ */
+export function summarize(beats) {
+  const heard = beats.filter(Boolean);
+  const mean = (key) => heard.reduce((sum, beat) => sum + beat[key], 0) / heard.length;
+  return {
+    beats: heard.length,
+    onsetMs: mean('onsetMs'),
+    widthMs: mean('widthMs'),
+    fusion: mean('fusion'),
+    flams: mean('flams'),
+  };
+}
+
+// Centered moving average over `size` values
+function movingAverage(values, size) {
+  const half = Math.floor(size / 2);
+  const out = new Float64Array(values.length);
+  let sum = 0;
+  let count = 0;
+  // Running window [f - half, f + half]
+  for (let i = 0; i < Math.min(half, values.length); i++) {
+    sum += values[i];
+    count++;
+  }
+  for (let f = 0; f < values.length; f++) {
+    const enter = f + half;
+    const leave = f - half - 1;
+    if (enter < values.length) {
+      sum += values[enter];
+      count++;
+    }
+    if (leave >= 0) {
+      sum -= values[leave];
+      count--;
+    }
+    // Running sums can dip just below zero on silence
+    out[f] = Math.max(0, sum / count);
+  }
+  return out;
+}
@@ -0,0 +1,76 @@
+/**
+ * Rhythm patterns for the step sequencer.
+ * A pattern is a loop of steps at a fixed subdivision of the beat; each step
+ * plays one sound (or rests) and may be accented.
+ *
+ * Patterns are stored in state as a compact string so they travel in URLs and
+ * presets: "<subdivision>:<steps>", one character per step, uppercase = accent.
+ * e.g. "1:ssC-" is stomp-stomp-CLAP-rest in quarter notes with the clap accented.
+ */
+
+// Step sounds and their single-character codes
+export const STEP_SOUNDS = ['clap', 'stomp', 'sample', 'custom', 'rest'];
+const SOUND_CODES = { clap: 'c', stomp: 's', sample: 'm', custom: 'u', rest: '-' };
+const CODE_SOUNDS = Object.fromEntries(Object.entries(SOUND_CODES).map(([s, c]) => [c, s]));
+
+/** Steps per beat for each supported subdivision. */
+export const SUBDIVISIONS = {
+  quarter: 1,
+  eighth: 2,
+  triplet: 3,
+  sixteenth: 4,
+};
+
+export const MAX_PATTERN_STEPS = 32;
+
+// Gain of unaccented steps relative to accented ones
+export const UNACCENTED_GAIN = 0.6;
+
+/** Built-in patterns by name. */
+export const BUILT_IN_PATTERNS = {
+  'Queen': '1:SSC-',
+  'Backbeat': '2:s-C-s-C-',
+  'Shuffle': '3:C-cs-cC-cs-c',
+  'Flamenco 12': '1:ccCccCcCcCcC',
+  'Sixteenths': '4:CcccCcccCcccCccc',
+};
+
+/**
+ * Parse a pattern string. Unknown characters become rests.
+ * @param {string} str - Pattern string
+ * @returns {{ subdivision: number, steps: Array<{ sound: string, accent: boolean }> }}
+ */
+export function parsePattern(str) {
+  const [subPart, stepPart = ''] = String(str).split(':');
+  const subdivision = Object.values(SUBDIVISIONS).includes(Number(subPart)) ? Number(subPart) : 1;
+  const steps = [];
+  for (const ch of stepPart.slice(0, MAX_PATTERN_STEPS)) {
+    const sound = CODE_SOUNDS[ch.toLowerCase()] || 'rest';
+    steps.push({ sound, accent: sound !== 'rest' && ch !== ch.toLowerCase() });
+  }
+  if (steps.length === 0) steps.push({ sound: 'rest', accent: false });
+  return { subdivision, steps };
+}
+
+/**
+ * Serialize a pattern back to its string form.
+ * @param {{ subdivision: number, steps: Array<{ sound: string, accent: boolean }> }} pattern
+ * @returns {string}
+ */
+export function stringifyPattern(pattern) {
+  const steps = pattern.steps.map(({ sound, accent }) => {
+    const code = SOUND_CODES[sound] || '-';
+    return accent ? code.toUpperCase() : code;
+  });
+  return `${pattern.subdivision}:${steps.join('')}`;
+}
+
+/**
+ * The step a sequential step counter lands on.
+ * @param {{ steps: Array }} pattern - Parsed pattern
+ * @param {number} stepNumber - Sequential step counter
+ * @returns {{ sound: string, accent: boolean }}
+ */
+export function stepAt(pattern, stepNumber) {
+  return pattern.steps[stepNumber % pattern.steps.length];
+}
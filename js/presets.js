@@ -0,0 +1,334 @@
+/**
+ * Shareable URL state and named presets.
+ * The URL hash carries the sound-affecting part of the app state;
+ * user presets live in localStorage next to a few built-in ones.
+ */
+
+import { DEFAULTS } from './constants.js';
+import { BUILT_IN_PATTERNS, parsePattern, stringifyPattern } from './patterns.js';
+import { distributions, DISTRIBUTION_PARAMS, TABULATED } from './distributions.js';
+import { AUTOMATABLE } from './automation.js';
+import { LAYOUTS } from './spatial.js';
+import { REVERB_PRESETS } from './reverb.js';
+import { SYNTH_PARAMS } from './synthesizer.js';
+import { DRAWN_BINS } from './empirical.js';
+import { parseSections } from './sections.js';
+
+// State keys that are encoded into URLs and presets
+export const SHAREABLE_KEYS = [
+  'bpm',
+  'clapperCount',
+  'spread',
+  'distribution',
+  'betaAlpha',
+  'betaBeta',
+  'skewShape',
+  'lognormalSigma',
+  'tDegrees',
+  'cauchyClamp',
+  'triangleMode',
+  'bimodalSeparation',
+  'bimodalWeight',
+  'drawnDensity',
+  'empiricalOffsets',
+  'mixture',
+  'personBias',
+  'personDrift',
+  'timingMode',
+  'coupling',
+  'tempoSpread',
+  'reactionMs',
+  'spatialLayout',
+  'listenerX',
+  'listenerY',
+  'reverb',
+  'reverbMix',
+  'reverbPreDelay',
+  'soundSource',
+  'synthBursts',
+  'synthBurstSpacing',
+  'synthCupped',
+  'synthResonance',
+  'synthDecay',
+  'synthVariation',
+  'pattern',
+  'volume',
+  'seed',
+  'automation',
+  'sections',
+];
+
+const STORAGE_KEY = 'clapmaker.presets';
+// Longest automation a link may ask for, as in the automation length input
+const MAX_AUTOMATION_BARS = 256;
+
+// Shape parameters and definitions only travel with the distribution that uses them
+const DISTRIBUTION_KEYS = {
+  drawnDensity: 'drawn',
+  empiricalOffsets: 'empirical',
+  mixture: 'mixture',
+};
+for (const [type, params] of Object.entries(DISTRIBUTION_PARAMS)) {
+  for (const { key } of params) DISTRIBUTION_KEYS[key] = type;
+}
+
+// Ranges of the numeric keys, matching their sliders; values from links are clamped to them
+const NUMBER_RANGES = {
+  personBias: { min: 0, max: 1 },
+  personDrift: { min: 0, max: 10 },
+  coupling: { min: 0, max: 1 },
+  tempoSpread: { min: 0, max: 10 },
+  reactionMs: { min: 0, max: 400 },
+  listenerX: { min: 0, max: 1 },
+  listenerY: { min: 0, max: 1 },
+  reverbMix: { min: 0, max: 1 },
+  reverbPreDelay: { min: 0, max: 200 },
+};
+for (const [key, { min, max, integer }] of Object.entries(AUTOMATABLE)) {
+  NUMBER_RANGES[key] = { min, max, integer };
+}
+for (const { key, min, max, step } of [...Object.values(DISTRIBUTION_PARAMS).flat(), ...SYNTH_PARAMS]) {
+  NUMBER_RANGES[key] = { min, max, integer: step >= 1 };
+}
+
+// Known values of the choice keys; anything else in a link is dropped
+const CHOICES = {
+  distribution: [...Object.keys(distributions), ...TABULATED],
+  timingMode: ['independent', 'coupled'],
+  spatialLayout: ['off', ...Object.keys(LAYOUTS)],
+  reverb: ['off', ...Object.keys(REVERB_PRESETS)],
+  // 'queen' is from before the step sequencer, see decodeStateFromHash
+  soundSource: ['synthesized', 'sample', 'footstomp', 'pattern', 'custom', 'queen'],
+};
+
+// Decoders for keys whose values are JSON rather than plain strings or numbers
+const JSON_PARSERS = {
+  automation: parseAutomation,
+  drawnDensity: parseDensity,
+  empiricalOffsets: parseNumberArray,
+  mixture: parseMixture,
+  sections: parseSections,
+};
+
+/** Built-in presets, applied on top of DEFAULTS. */
+export const BUILT_IN_PRESETS = {
+  'Tight choir': {
+    bpm: 96,
+    clapperCount: 24,
+    spread: 8,
+    distribution: 'normal',
+    soundSource: 'synthesized',
+  },
+  'Sloppy stadium': {
+    bpm: 132,
+    clapperCount: 2000,
+    spread: 70,
+    distribution: 'laplace',
+    soundSource: 'synthesized',
+  },
+  'Queen': {
+    bpm: 81,
+    clapperCount: 60,
+    spread: 25,
+    distribution: 'normal',
+    soundSource: 'pattern',
+    pattern: BUILT_IN_PATTERNS['Queen'],
+  },
+};
+
+/**
+ * Pick the shareable keys out of a state object.
+ * @param {object} state - App state
+ * @returns {object} Plain object with only shareable keys
+ */
+export function snapshotState(state) {
+  const snapshot = {};
+  const sections = state.sections || [];
+  // Sections use the global shape parameters of their distributions
+  const used = new Set([state.distribution, ...sections.map(section => section.distribution)]);
+  for (const key of SHAREABLE_KEYS) {
+    if (key === 'seed' && !state.seed) continue;
+    if (key === 'automation' && !hasAutomation(state.automation)) continue;
+    if (key === 'sections' && sections.length === 0) continue;
+    if (DISTRIBUTION_KEYS[key] && !used.has(DISTRIBUTION_KEYS[key])) continue;
+    snapshot[key] = state[key];
+  }
+  return snapshot;
+}
+
+/**
+ * Encode the shareable part of the state as a URL hash (without the leading '#').
+ * @param {object} state - App state
+ * @returns {string}
+ */
+export function encodeStateToHash(state) {
+  const params = new URLSearchParams();
+  const snapshot = snapshotState(state);
+  for (const key of Object.keys(snapshot)) {
+    const value = snapshot[key];
+    params.set(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+  }
+  return params.toString();
+}
+
+/**
+ * Decode a URL hash into a partial state, ignoring unknown or malformed values.
+ * @param {string} hash - location.hash, with or without the leading '#'
+ * @returns {object} Partial state (see validateState)
+ */
+export function decodeStateFromHash(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const partial = {};
+  for (const key of SHAREABLE_KEYS) {
+    if (!params.has(key)) continue;
+    const raw = params.get(key);
+    if (typeof DEFAULTS[key] === 'number') {
+      if (raw !== '') partial[key] = Number(raw);
+    } else if (JSON_PARSERS[key]) {
+      try {
+        partial[key] = JSON.parse(raw);
+      } catch (e) {
+        // Malformed: left out
+      }
+    } else {
+      partial[key] = raw;
+    }
+  }
+  return validateState(partial);
+}
+
+/**
+ * Clean up a partial state from outside the app (a link or a saved preset):
+ * numbers are clamped to their ranges, unknown choices and malformed values
+ * are dropped, and keys that are not shareable are ignored.
+ * @param {object} partial - Partial state with decoded values
+ * @returns {object} Partial state that is safe to apply
+ */
+export function validateState(partial) {
+  const valid = {};
+  for (const key of SHAREABLE_KEYS) {
+    if (!Object.hasOwn(partial, key)) continue;
+    const value = validateValue(key, partial[key]);
+    if (value !== null) valid[key] = value;
+  }
+  // Links from before the step sequencer used a dedicated Queen source
+  if (valid.soundSource === 'queen') {
+    valid.soundSource = 'pattern';
+    valid.pattern = BUILT_IN_PATTERNS['Queen'];
+  }
+  return valid;
+}
+
+// The cleaned value of one shareable key, or null if it is invalid
+function validateValue(key, value) {
+  if (typeof DEFAULTS[key] === 'number') {
+    return Number.isFinite(value) ? clampToRange(value, NUMBER_RANGES[key]) : null;
+  }
+  if (JSON_PARSERS[key]) {
+    try {
+      return JSON_PARSERS[key](value) || null;
+    } catch (e) {
+      return null;
+    }
+  }
+  if (typeof value !== 'string') return null;
+  if (CHOICES[key]) return CHOICES[key].includes(value) ? value : null;
+  // Unknown pattern steps become rests
+  if (key === 'pattern') return stringifyPattern(parsePattern(value));
+  return value;
+}
+
+/**
+ * Clamp a number into a range, rounding it for integer ranges.
+ * @param {number} value
+ * @param {{ min: number, max: number, integer?: boolean }} range
+ * @returns {number}
+ */
+function clampToRange(value, { min, max, integer = false }) {
+  const clamped = Math.max(min, Math.min(max, value));
+  return integer ? Math.round(clamped) : clamped;
+}
+
+function hasAutomation(automation) {
+  return Boolean(automation && (automation.enabled || Object.values(automation.lanes).some(l => l.length > 0)));
+}
+
+function parseAutomation(parsed) {
+  if (!parsed || typeof parsed.lanes !== 'object' || !Number.isFinite(parsed.bars)) return null;
+  const bars = clampToRange(parsed.bars, { min: 1, max: MAX_AUTOMATION_BARS, integer: true });
+  const lanes = {};
+  for (const [key, points] of Object.entries(parsed.lanes)) {
+    if (!Object.hasOwn(AUTOMATABLE, key) || !Array.isArray(points)) continue;
+    // evaluateLane expects breakpoints in bar order
+    lanes[key] = points
+      .filter(p => Array.isArray(p) && p.length === 2 && p.every(Number.isFinite))
+      .map(([bar, value]) => [clampToRange(bar, { min: 0, max: bars }), clampToRange(value, AUTOMATABLE[key])])
+      .sort((a, b) => a[0] - b[0]);
+  }
+  return { enabled: Boolean(parsed.enabled), bars, lanes };
+}
+
+function parseNumberArray(parsed) {
+  return Array.isArray(parsed) ? parsed.filter(Number.isFinite) : null;
+}
+
+// Drawn densities have one non-negative value per bin, or none yet
+function parseDensity(parsed) {
+  if (!Array.isArray(parsed) || (parsed.length !== 0 && parsed.length !== DRAWN_BINS)) return null;
+  return parsed.every(v => Number.isFinite(v) && v >= 0) ? parsed : null;
+}
+
+function parseMixture(parsed) {
+  if (!Array.isArray(parsed)) return null;
+  return parsed
+    .filter(c => c && typeof c.type === 'string' && Object.hasOwn(distributions, c.type))
+    .map(c => ({
+      type: c.type,
+      weight: Math.max(0, Number(c.weight) || 0),
+      scale: Math.max(0, Number(c.scale) || 0),
+      shift: Number(c.shift) || 0,
+    }));
+}
+
+/**
+ * Read user presets from localStorage.
+ * @returns {Object<string, object>} Preset name to partial state
+ */
+export function loadUserPresets() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (e) {
+    console.warn('Failed to read saved presets:', e);
+    return {};
+  }
+}
+
+/**
+ * Save the shareable part of the state as a named user preset.
+ * @param {string} name - Preset name
+ * @param {object} state - App state
+ */
+export function saveUserPreset(name, state) {
+  const presets = loadUserPresets();
+  presets[name] = snapshotState(state);
+  writeUserPresets(presets);
+}
+
+/**
+ * Delete a named user preset.
+ * @param {string} name - Preset name
+ */
+export function deleteUserPreset(name) {
+  const presets = loadUserPresets();
+  delete presets[name];
+  writeUserPresets(presets);
+}
+
+function writeUserPresets(presets) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+  } catch (e) {
+    console.warn('Failed to save presets:', e);
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * Random number sources.
+ * Every random draw in the app goes through a function returning a float in [0, 1),
+ * so a seeded generator makes whole performances reproducible.
+ */
+
+/**
+ * Draw from the global (unseeded) random source.
+ * @returns {number} Float in [0, 1)
+ */
+export function random() {
+  return Math.random();
+}
+
+/**
+ * Create a seeded generator (mulberry32).
+ * @param {number} seed - 32-bit integer seed
+ * @returns {() => number} Generator returning floats in [0, 1)
+ */
+export function createSeededRandom(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Hash a seed string (or number) into a 32-bit integer (FNV-1a).
+ * An optional stream name derives independent generators from one seed,
+ * so e.g. the crowd does not change when more offsets are drawn.
+ * @param {string|number} seed - User-facing seed
+ * @param {string} [stream] - Stream name
+ * @returns {number} 32-bit unsigned integer
+ */
+export function hashSeed(seed, stream = '') {
+  const str = `${seed}:${stream}`;
+  let h = 0x811C9DC5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Random source for a named stream of a seed.
+ * @param {string} seed - User-facing seed; empty means unseeded (global source)
+ * @param {string} stream - Stream name
+ * @returns {() => number}
+ */
+export function streamFor(seed, stream) {
+  if (seed === '' || seed === null || seed === undefined) return random;
+  return createSeededRandom(hashSeed(seed, stream));
+}
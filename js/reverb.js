@@ -0,0 +1,67 @@
+/**
+ * Synthesized room impulse responses for the convolution reverb.
+ * Like the claps, impulse responses are rendered offline: decorrelated stereo
+ * noise under an exponential decay, through a lowpass that closes over time
+ * (air and walls absorb high frequencies faster than low ones).
+ */
+
+import { random } from './random.js';
+
+/**
+ * Acoustic environments. `decay` is the RT60 in seconds; the lowpass
+ * sweeps from `brightness` down to `damping` Hz over the tail.
+ */
+export const REVERB_PRESETS = {
+  studio: { label: 'Studio', decay: 0.5, brightness: 9000, damping: 3000 },
+  hall: { label: 'Hall', decay: 2.2, brightness: 8000, damping: 2000 },
+  stadium: { label: 'Stadium', decay: 4, brightness: 6000, damping: 1500 },
+  cathedral: { label: 'Cathedral', decay: 6.5, brightness: 5000, damping: 1200 },
+};
+
+/**
+ * Render a stereo impulse response for a preset.
+ * @param {string} name - Key of REVERB_PRESETS
+ * @param {number} sampleRate - Must match the context the convolver runs in
+ * @param {() => number} [rng] - Random source for the noise
+ * @returns {Promise<AudioBuffer>}
+ */
+export function synthesizeImpulseResponse(name, sampleRate, rng = random) {
+  const { decay, brightness, damping } = REVERB_PRESETS[name];
+  const length = Math.ceil(decay * sampleRate);
+  const OfflineCtx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  const offline = new OfflineCtx(2, length, sampleRate);
+
+  // Independent noise per channel for a wide, decorrelated tail
+  const noiseBuffer = offline.createBuffer(2, length, sampleRate);
+  for (let c = 0; c < 2; c++) {
+    const data = noiseBuffer.getChannelData(c);
+    for (let i = 0; i < length; i++) {
+      data[i] = rng() * 2 - 1;
+    }
+  }
+
+  const source = offline.createBufferSource();
+  source.buffer = noiseBuffer;
+
+  // Darkening tail
+  const lowpass = offline.createBiquadFilter();
+  lowpass.type = 'lowpass';
+  lowpass.frequency.setValueAtTime(brightness, 0);
+  lowpass.frequency.exponentialRampToValueAtTime(damping, decay);
+
+  // Exponential decay reaching -60 dB at the RT60
+  const envelope = offline.createGain();
+  envelope.gain.setValueAtTime(1, 0);
+  envelope.gain.exponentialRampToValueAtTime(0.001, decay);
+
+  source.connect(lowpass);
+  lowpass.connect(envelope);
+  envelope.connect(offline.destination);
+  source.start(0);
+
+  // Use oncomplete callback (Safari doesn't support promise-based startRendering)
+  return new Promise((resolve) => {
+    offline.oncomplete = (e) => resolve(e.renderedBuffer);
+    offline.startRendering();
+  });
+}
@@ -0,0 +1,177 @@
+/**
+ * Onset detection, trimming and slicing of loaded samples.
+ * Works on plain channel data (Float32Array per channel), so nothing here needs
+ * an audio context. A trim describes the part of a file that is played:
+ * { start, end } in seconds, a fade-out in ms and whether to normalize the peak.
+ *
+ * Onsets are found on a peak envelope with hysteresis: a hit starts where the
+ * envelope rises above a share of the file's peak, and the next hit can only
+ * start once the envelope has fallen back below half of that.
+ */
+
+const HOP_SEC = 0.001;        // envelope resolution
+const ONSET_THRESHOLD = 0.2;  // share of the file's peak that counts as a hit
+const MIN_GAP_SEC = 0.05;     // closer onsets are one hit (e.g. a flam)
+const PREROLL_SEC = 0.001;    // kept before an onset so the attack is not cut
+const SILENCE_RATIO = 0.003;  // about -50 dB below the peak ends a hit's tail
+const TAIL_SEC = 0.01;        // kept after the tail falls silent
+const NOISE_PERCENTILE = 0.1; // envelope level taken as the recording's noise floor
+
+/** Fade-out applied to new trims, in ms. */
+export const DEFAULT_FADE_MS = 5;
+
+/** Peak level samples are normalized to (about -1 dBFS). */
+export const NORMALIZE_PEAK = 0.9;
+
+/**
+ * The channel data of an AudioBuffer, in the form the functions here take.
+ * @param {AudioBuffer} buffer
+ * @returns {Float32Array[]}
+ */
+export function channelsOf(buffer) {
+  return Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c));
+}
+
+/**
+ * Peak envelope: the loudest absolute value across channels per hop.
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate
+ * @returns {{ env: Float32Array, hop: number }} Envelope and hop size in samples
+ */
+export function peakEnvelope(channels, sampleRate) {
+  const hop = Math.max(1, Math.round(HOP_SEC * sampleRate));
+  const length = channels[0].length;
+  const env = new Float32Array(Math.ceil(length / hop));
+  for (const data of channels) {
+    for (let i = 0; i < length; i++) {
+      const frame = Math.floor(i / hop);
+      const level = Math.abs(data[i]);
+      if (level > env[frame]) env[frame] = level;
+    }
+  }
+  return { env, hop };
+}
+
+/**
+ * Times of the hits in a recording.
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate
+ * @returns {number[]} Onset times in seconds, ascending
+ */
+export function detectOnsets(channels, sampleRate) {
+  const { env, hop } = peakEnvelope(channels, sampleRate);
+  const peak = env.reduce((max, level) => Math.max(max, level), 0);
+  if (peak === 0) return [];
+
+  const high = peak * ONSET_THRESHOLD;
+  const low = high / 2;
+  const minGap = Math.round(MIN_GAP_SEC / HOP_SEC);
+  const onsets = [];
+  let armed = true;
+  let lastFrame = -Infinity;
+  for (let frame = 0; frame < env.length; frame++) {
+    if (armed && env[frame] >= high && frame - lastFrame >= minGap) {
+      // Walk back to where the attack leaves the noise floor
+      let start = frame;
+      while (start > 0 && start > lastFrame && env[start - 1] > low / 2 && env[start - 1] < env[start]) start--;
+      onsets.push((start * hop) / sampleRate);
+      lastFrame = frame;
+      armed = false;
+    } else if (env[frame] < low) {
+      armed = true;
+    }
+  }
+  return onsets;
+}
+
+/**
+ * Trim for a single hit: from just before its onset to where it falls silent.
+ * Leading silence is what makes an untrimmed sample late on every clap.
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate
+ * @returns {{ start: number, end: number, fade: number, normalize: boolean }}
+ */
+export function autoTrim(channels, sampleRate) {
+  const duration = channels[0].length / sampleRate;
+  const [onset = 0] = detectOnsets(channels, sampleRate);
+  const start = Math.max(0, onset - PREROLL_SEC);
+  const end = tailEnd(channels, sampleRate, start, duration, noiseFloor(channels, sampleRate));
+  return { start, end, fade: DEFAULT_FADE_MS, normalize: true };
+}
+
+/**
+ * Trims for every hit in a long recording of many claps.
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate
+ * @returns {Array<{ start: number, end: number, fade: number, normalize: boolean }>}
+ */
+export function sliceHits(channels, sampleRate) {
+  const duration = channels[0].length / sampleRate;
+  const onsets = detectOnsets(channels, sampleRate);
+  const noise = noiseFloor(channels, sampleRate);
+  return onsets.map((onset, i) => {
+    const start = Math.max(0, onset - PREROLL_SEC);
+    const next = i + 1 < onsets.length ? onsets[i + 1] - PREROLL_SEC : duration;
+    const end = tailEnd(channels, sampleRate, start, next, noise);
+    return { start, end, fade: DEFAULT_FADE_MS, normalize: true };
+  });
+}
+
+/**
+ * Apply a trim to channel data: cut, fade out and optionally normalize.
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate
+ * @param {{ start: number, end: number, fade: number, normalize: boolean }} trim
+ * @returns {Float32Array[]} New channel data
+ */
+export function applyTrim(channels, sampleRate, { start, end, fade, normalize }) {
+  const length = channels[0].length;
+  const from = Math.max(0, Math.min(length - 1, Math.round(start * sampleRate)));
+  const to = Math.max(from + 1, Math.min(length, Math.round(end * sampleRate)));
+  const out = channels.map(data => data.slice(from, to));
+
+  const fadeLength = Math.min(to - from, Math.round((fade / 1000) * sampleRate));
+  let peak = 0;
+  for (const data of out) {
+    for (let i = 0; i < fadeLength; i++) {
+      data[data.length - fadeLength + i] *= 1 - (i + 1) / fadeLength;
+    }
+    for (let i = 0; i < data.length; i++) peak = Math.max(peak, Math.abs(data[i]));
+  }
+  if (normalize && peak > 0) {
+    const gain = NORMALIZE_PEAK / peak;
+    for (const data of out) {
+      for (let i = 0; i < data.length; i++) data[i] *= gain;
+    }
+  }
+  return out;
+}
+
+// Level of the quiet parts of a recording (room noise, hiss)
+function noiseFloor(channels, sampleRate) {
+  const { env } = peakEnvelope(channels, sampleRate);
+  const sorted = Float32Array.from(env).sort();
+  return sorted[Math.floor(NOISE_PERCENTILE * (sorted.length - 1))];
+}
+
+// Where the sound after `start` last rises above the silence floor, before `limit` (seconds)
+function tailEnd(channels, sampleRate, start, limit, noise) {
+  const from = Math.round(start * sampleRate);
+  const to = Math.min(channels[0].length, Math.round(limit * sampleRate));
+  let peak = 0;
+  for (const data of channels) {
+    for (let i = from; i < to; i++) peak = Math.max(peak, Math.abs(data[i]));
+  }
+  // Clear of both the hit's own faint decay and the recording's noise
+  const floor = Math.max(peak * SILENCE_RATIO, noise * 2);
+  let last = from;
+  for (const data of channels) {
+    for (let i = to - 1; i > last; i--) {
+      if (Math.abs(data[i]) > floor) {
+        last = i;
+        break;
+      }
+    }
+  }
+  return Math.min(limit, (last + 1) / sampleRate + TAIL_SEC);
+}
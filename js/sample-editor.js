@@ -0,0 +1,181 @@
+/**
+ * Canvas waveform editor for one library sample's trim.
+ * Shows the whole decoded file with its detected onsets; drag the start and end
+ * markers (or click to move the nearer one) to choose the played region.
+ */
+
+import { detectOnsets } from './sample-editing.js';
+
+const HIT_RADIUS = 6;
+const PAD = 4;
+
+export class SampleEditor {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {object} options
+   * @param {(trim: object) => void} options.onChange - Called with the new trim after a drag
+   */
+  constructor(canvas, { onChange }) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.onChange = onChange;
+    this.buffer = null;
+    this.trim = null;
+    this.onsets = [];
+    this.dragMarker = null;
+
+    canvas.addEventListener('mousedown', (e) => this.onMouseDown(e));
+    window.addEventListener('mousemove', (e) => this.onMouseMove(e));
+    window.addEventListener('mouseup', () => this.onMouseUp());
+
+    this.resize();
+  }
+
+  resize() {
+    const rect = this.canvas.parentElement.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+    const height = this.canvas.clientHeight || 80;
+    this.canvas.width = rect.width * dpr;
+    this.canvas.height = height * dpr;
+    this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    this.width = rect.width;
+    this.height = height;
+    this.draw();
+  }
+
+  /**
+   * Show a decoded file and its trim.
+   * @param {AudioBuffer} buffer - The whole decoded file
+   * @param {object} trim - See sample-editing.js
+   */
+  setSample(buffer, trim) {
+    this.buffer = buffer;
+    this.trim = { ...trim };
+    const channels = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c));
+    this.onsets = detectOnsets(channels, buffer.sampleRate);
+    this.resize();
+  }
+
+  /**
+   * Change the trim without a drag (e.g. from the fade slider).
+   * @param {object} trim
+   */
+  setTrim(trim) {
+    this.trim = { ...trim };
+    this.draw();
+  }
+
+  get duration() {
+    return this.buffer ? this.buffer.duration : 1;
+  }
+
+  timeToX(time) {
+    return PAD + (time / this.duration) * (this.width - 2 * PAD);
+  }
+
+  xToTime(x) {
+    const time = ((x - PAD) / (this.width - 2 * PAD)) * this.duration;
+    return Math.max(0, Math.min(this.duration, time));
+  }
+
+  eventX(e) {
+    return e.clientX - this.canvas.getBoundingClientRect().left;
+  }
+
+  onMouseDown(e) {
+    if (e.button !== 0 || !this.buffer) return;
+    const x = this.eventX(e);
+    const toStart = Math.abs(this.timeToX(this.trim.start) - x);
+    const toEnd = Math.abs(this.timeToX(this.trim.end) - x);
+    this.dragMarker = toStart <= toEnd ? 'start' : 'end';
+    // Clicking away from both markers moves the nearer one there
+    if (Math.min(toStart, toEnd) > HIT_RADIUS) this.onMouseMove(e);
+  }
+
+  onMouseMove(e) {
+    if (!this.dragMarker) return;
+    const time = this.xToTime(this.eventX(e));
+    const minLength = 0.005;
+    if (this.dragMarker === 'start') {
+      this.trim.start = Math.min(time, this.trim.end - minLength);
+    } else {
+      this.trim.end = Math.max(time, this.trim.start + minLength);
+    }
+    this.draw();
+  }
+
+  onMouseUp() {
+    if (!this.dragMarker) return;
+    this.dragMarker = null;
+    this.onChange({ ...this.trim });
+  }
+
+  draw() {
+    const ctx = this.ctx;
+    const w = this.width;
+    const h = this.height;
+
+    ctx.fillStyle = '#1a1a2e';
+    ctx.fillRect(0, 0, w, h);
+    if (!this.buffer) return;
+
+    // Waveform: min/max of the first channel per pixel column
+    const data = this.buffer.getChannelData(0);
+    const mid = h / 2;
+    const columns = Math.max(1, Math.floor(w - 2 * PAD));
+    const perColumn = data.length / columns;
+    ctx.strokeStyle = 'rgba(108, 140, 255, 0.8)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let col = 0; col < columns; col++) {
+      let min = 0;
+      let max = 0;
+      const end = Math.min(data.length, Math.floor((col + 1) * perColumn));
+      for (let i = Math.floor(col * perColumn); i < end; i++) {
+        if (data[i] < min) min = data[i];
+        if (data[i] > max) max = data[i];
+      }
+      ctx.moveTo(PAD + col + 0.5, mid - max * (mid - PAD));
+      ctx.lineTo(PAD + col + 0.5, mid - min * (mid - PAD));
+    }
+    ctx.stroke();
+
+    // Detected onsets
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+    ctx.setLineDash([2, 3]);
+    for (const onset of this.onsets) {
+      const x = this.timeToX(onset);
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, h);
+      ctx.stroke();
+    }
+    ctx.setLineDash([]);
+
+    // Dim what is trimmed away, and show the fade-out as a ramp
+    const { start, end, fade } = this.trim;
+    const x0 = this.timeToX(start);
+    const x1 = this.timeToX(end);
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+    ctx.fillRect(0, 0, x0, h);
+    ctx.fillRect(x1, 0, w - x1, h);
+
+    const fadeX = Math.max(x0, this.timeToX(end - fade / 1000));
+    ctx.strokeStyle = 'rgba(255, 200, 100, 0.8)';
+    ctx.beginPath();
+    ctx.moveTo(x0, PAD);
+    ctx.lineTo(fadeX, PAD);
+    ctx.lineTo(x1, h - PAD);
+    ctx.stroke();
+
+    // Markers
+    ctx.strokeStyle = 'rgba(255, 200, 100, 1)';
+    ctx.lineWidth = 2;
+    for (const x of [x0, x1]) {
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, h);
+      ctx.stroke();
+    }
+  }
+}
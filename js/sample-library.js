@@ -0,0 +1,196 @@
+/**
+ * Sample library: decoded samples grouped into instruments.
+ * Each clap picks a sample from its instrument, so a crowd on samples no longer
+ * plays one identical buffer over and over. Samples are split into velocity
+ * layers by loudness (quietest layer first); a clap's velocity selects the
+ * layer, then round-robin, random or per-clapper selection picks within it.
+ * Per-clapper selection gives every person their own sample, e.g. one hit each
+ * from a sliced recording of many claps.
+ */
+
+/** Ways of picking a sample within a velocity layer. */
+export const SELECTION_MODES = {
+  'round-robin': 'Round-robin',
+  random: 'Random',
+  'per-person': 'Per clapper',
+};
+
+export const MAX_LAYERS = 4;
+
+// Loudness is measured over the start of a sample, where the transient is
+const LOUDNESS_WINDOW_SEC = 0.2;
+
+export class SampleLibrary {
+  constructor() {
+    // name → { name, builtIn, selection, layers, samples, layered: [[sample]] }, where samples are
+    // { name, buffer, loudness, id, original, trim }: the played buffer, and the decoded file and
+    // trim it was cut from (see sample-editing.js)
+    this.instruments = new Map();
+    // Bumped on every change, so renders made from the library can tell they are stale
+    this.version = 0;
+  }
+
+  /**
+   * Add a decoded sample, creating its instrument if needed.
+   * @param {string} instrument - Instrument name
+   * @param {string} name - Sample name (e.g. the file name)
+   * @param {AudioBuffer} buffer
+   * @param {object} [options]
+   * @param {boolean} [options.builtIn] - Built-in instruments cannot be removed
+   * @param {number|null} [options.id] - The sample's key in the sample store
+   * @param {AudioBuffer} [options.original] - Decoded file `buffer` was cut from
+   * @param {object|null} [options.trim] - Trim `buffer` was cut with
+   * @returns {object} The library's record of the sample
+   */
+  add(instrument, name, buffer, { builtIn = false, id = null, original = buffer, trim = null } = {}) {
+    if (!this.instruments.has(instrument)) {
+      this.instruments.set(instrument, {
+        name: instrument, builtIn, selection: 'round-robin', layers: 1, samples: [], layered: [],
+      });
+    }
+    const entry = this.instruments.get(instrument);
+    const sample = { name, buffer, loudness: loudness(buffer), id, original, trim };
+    entry.samples.push(sample);
+    relayer(entry);
+    this.version++;
+    return sample;
+  }
+
+  /**
+   * Swap in a re-edited buffer for a sample.
+   * @param {string} instrument
+   * @param {object} sample - Record returned by add
+   * @param {AudioBuffer} buffer
+   * @param {object} trim - Trim the buffer was cut with
+   */
+  update(instrument, sample, buffer, trim) {
+    const entry = this.instruments.get(instrument);
+    if (!entry) return;
+    sample.buffer = buffer;
+    sample.trim = trim;
+    sample.loudness = loudness(buffer);
+    relayer(entry);
+    this.version++;
+  }
+
+  /**
+   * Remove a user instrument.
+   * @param {string} instrument
+   */
+  remove(instrument) {
+    const entry = this.instruments.get(instrument);
+    if (entry && !entry.builtIn) {
+      this.instruments.delete(instrument);
+      this.version++;
+    }
+  }
+
+  /**
+   * Remove one sample from a user instrument; an instrument left empty is removed too.
+   * @param {string} instrument
+   * @param {object} sample - Record returned by add
+   */
+  removeSample(instrument, sample) {
+    const entry = this.instruments.get(instrument);
+    if (!entry || entry.builtIn) return;
+    entry.samples = entry.samples.filter(s => s !== sample);
+    if (entry.samples.length === 0) {
+      this.instruments.delete(instrument);
+    } else {
+      relayer(entry);
+    }
+    this.version++;
+  }
+
+  /**
+   * @param {string} instrument
+   * @returns {object|undefined} The instrument entry
+   */
+  get(instrument) {
+    return this.instruments.get(instrument);
+  }
+
+  /** Instrument names, built-ins first. */
+  names() {
+    const entries = [...this.instruments.values()];
+    return [...entries.filter(e => e.builtIn), ...entries.filter(e => !e.builtIn)].map(e => e.name);
+  }
+
+  /**
+   * Change how an instrument picks its samples.
+   * @param {string} instrument
+   * @param {{ selection?: string, layers?: number }} options
+   */
+  setOptions(instrument, { selection, layers }) {
+    const entry = this.instruments.get(instrument);
+    if (!entry) return;
+    if (Object.hasOwn(SELECTION_MODES, selection)) entry.selection = selection;
+    if (layers !== undefined) entry.layers = Math.max(1, Math.min(MAX_LAYERS, Math.round(layers)));
+    relayer(entry);
+    this.version++;
+  }
+
+  /**
+   * Pick the sample for one clap.
+   * @param {string} instrument
+   * @param {number} velocity - 0-1, selects the velocity layer
+   * @param {Object<string, number>} counters - Round-robin positions (mutated), e.g. per run
+   * @param {() => number} rng - Random source for random selection
+   * @param {number} personIndex - Clapper, for per-clapper selection
+   * @returns {AudioBuffer|null} Null if the instrument is missing or empty
+   */
+  pick(instrument, velocity, counters, rng, personIndex) {
+    const entry = this.instruments.get(instrument);
+    if (!entry || entry.samples.length === 0) return null;
+
+    const { layered } = entry;
+    const layerIndex = Math.max(0, Math.min(layered.length - 1, Math.floor(velocity * layered.length)));
+    const layer = layered[layerIndex];
+    if (entry.selection === 'random') {
+      return layer[Math.floor(rng() * layer.length)].buffer;
+    }
+    if (entry.selection === 'per-person') {
+      return layer[personIndex % layer.length].buffer;
+    }
+    const key = `${instrument}/${layerIndex}`;
+    const position = counters[key] || 0;
+    counters[key] = position + 1;
+    return layer[position % layer.length].buffer;
+  }
+}
+
+/**
+ * Instrument a file belongs to: its top folder, or for loose files the
+ * file name without extension and trailing numbering (clap_03.wav → clap).
+ * @param {string} path - Relative path, e.g. "Claps/soft/clap1.wav" or "clap_03.wav"
+ * @returns {string}
+ */
+export function instrumentNameFor(path) {
+  const parts = path.split('/').filter(Boolean);
+  if (parts.length > 1) return parts[0];
+  const base = parts[0].replace(/\.[^.]+$/, '').replace(/[\s_-]*\d+$/, '').trim();
+  return base || 'Samples';
+}
+
+// Split samples into up to `layers` groups of rising loudness
+function relayer(entry) {
+  const sorted = [...entry.samples].sort((a, b) => a.loudness - b.loudness);
+  const layers = Math.min(entry.layers, sorted.length);
+  entry.layered = [];
+  for (let i = 0; i < layers; i++) {
+    const start = Math.floor((i * sorted.length) / layers);
+    const end = Math.floor(((i + 1) * sorted.length) / layers);
+    entry.layered.push(sorted.slice(start, end));
+  }
+}
+
+// RMS over the start of the sample, across channels
+function loudness(buffer) {
+  const length = Math.min(buffer.length, Math.ceil(LOUDNESS_WINDOW_SEC * buffer.sampleRate));
+  let sum = 0;
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    const data = buffer.getChannelData(c);
+    for (let i = 0; i < length; i++) sum += data[i] * data[i];
+  }
+  return Math.sqrt(sum / Math.max(1, length * buffer.numberOfChannels));
+}
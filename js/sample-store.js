@@ -0,0 +1,146 @@
+/**
+ * Persistent storage for the user's sample library.
+ * Samples are kept as their original file bytes in IndexedDB, so they are decoded
+ * again at the context's own sample rate on every visit; the selected instrument
+ * lives in localStorage like the other small settings.
+ */
+
+const DB_NAME = 'clapmaker';
+const DB_VERSION = 1;
+const SAMPLES = 'samples';
+const SELECTION_KEY = 'clapmaker.instrument';
+
+let dbPromise = null;
+
+/**
+ * @typedef {object} StoredSample
+ * @property {number} id - Assigned by the store
+ * @property {string} instrument - Library instrument the sample belongs to
+ * @property {string} name - File name
+ * @property {ArrayBuffer} bytes - Original file data
+ * @property {Array<object|null>} trims - One sample is cut from the file per trim (see
+ *   sample-editing.js); null is detected from the file's onset. Samples stored before
+ *   slicing existed have a single `trim` instead.
+ */
+
+/**
+ * Store a sample.
+ * @param {Omit<StoredSample, 'id'>} sample
+ * @returns {Promise<number|null>} The new id, or null if storage is unavailable
+ */
+export async function storeSample(sample) {
+  try {
+    const db = await openDb();
+    const tx = db.transaction(SAMPLES, 'readwrite');
+    const id = await request(tx.objectStore(SAMPLES).add(sample));
+    await complete(tx);
+    return id;
+  } catch (e) {
+    console.warn('Failed to store sample:', e);
+    return null;
+  }
+}
+
+/**
+ * Read every stored sample, oldest first.
+ * @returns {Promise<StoredSample[]>}
+ */
+export async function loadSamples() {
+  try {
+    const db = await openDb();
+    return await request(db.transaction(SAMPLES).objectStore(SAMPLES).getAll());
+  } catch (e) {
+    console.warn('Failed to read stored samples:', e);
+    return [];
+  }
+}
+
+/**
+ * Change fields of a stored sample (e.g. its trim).
+ * @param {number} id
+ * @param {Partial<StoredSample>} changes
+ */
+export async function updateSample(id, changes) {
+  try {
+    const db = await openDb();
+    const tx = db.transaction(SAMPLES, 'readwrite');
+    const store = tx.objectStore(SAMPLES);
+    const sample = await request(store.get(id));
+    if (sample) store.put({ ...sample, ...changes, id });
+    await complete(tx);
+  } catch (e) {
+    console.warn('Failed to update stored sample:', e);
+  }
+}
+
+/**
+ * Delete stored samples.
+ * @param {number[]} ids
+ */
+export async function deleteSamples(ids) {
+  try {
+    const db = await openDb();
+    const tx = db.transaction(SAMPLES, 'readwrite');
+    const store = tx.objectStore(SAMPLES);
+    for (const id of ids) store.delete(id);
+    await complete(tx);
+  } catch (e) {
+    console.warn('Failed to delete stored samples:', e);
+  }
+}
+
+/**
+ * The instrument selected in the last session.
+ * @returns {string} Empty if none was saved
+ */
+export function loadSelectedInstrument() {
+  try {
+    return localStorage.getItem(SELECTION_KEY) || '';
+  } catch (e) {
+    console.warn('Failed to read selected instrument:', e);
+    return '';
+  }
+}
+
+/**
+ * Remember the selected instrument for the next session.
+ * @param {string} instrument
+ */
+export function saveSelectedInstrument(instrument) {
+  try {
+    localStorage.setItem(SELECTION_KEY, instrument);
+  } catch (e) {
+    console.warn('Failed to save selected instrument:', e);
+  }
+}
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(SAMPLES, { keyPath: 'id', autoIncrement: true });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // Let a later call retry, e.g. after the user re-enables storage
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function complete(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
@@ -0,0 +1,119 @@
+/**
+ * Export of a planned clap schedule (see AudioEngine.planSchedule) as data:
+ * a Standard MIDI File for replaying the crowd with other samplers, or CSV/JSON.
+ */
+
+import { BEATS_PER_BAR } from './constants.js';
+import { encodeMidiFile, tempoEvent, timeSignatureEvent, trackNameEvent } from './midi-file.js';
+
+const PPQ = 960;
+// The crowd starts after one bar of lead-in, leaving room for claps before the first beat
+const LEAD_IN_BEATS = BEATS_PER_BAR;
+// General MIDI drum notes (channel 10) per step sound
+const DRUM_NOTES = { clap: 39, sample: 39, custom: 39, stomp: 36 };
+const DRUM_CHANNEL = 9;
+const NOTE_TICKS = PPQ / 16;
+
+/**
+ * MIDI velocity for a clap gain (volumeFactor × LOD gain scale × accent).
+ * @param {number} gain
+ * @returns {number} 1-127
+ */
+export function gainToVelocity(gain) {
+  return Math.max(1, Math.min(127, Math.round(gain * 127)));
+}
+
+/**
+ * Encode a schedule as a MIDI file with a tempo map that follows any tempo automation.
+ * @param {{ steps: Array, claps: Array }} schedule - From planSchedule
+ * @param {'clappers'|'drum'} [layout] - One track per clapper, or a single drum-map track
+ * @returns {ArrayBuffer} MIDI file bytes
+ */
+export function scheduleToMidi(schedule, layout = 'drum') {
+  const conductor = [
+    { tick: 0, data: trackNameEvent('Clapmaker') },
+    { tick: 0, data: timeSignatureEvent(BEATS_PER_BAR) },
+  ];
+  let lastBpm = null;
+  for (const { step, beat, params } of schedule.steps) {
+    if (params.bpm === lastBpm) continue;
+    // The first tempo also covers the lead-in
+    conductor.push({ tick: step === 0 ? 0 : toTick(beat), data: tempoEvent(params.bpm) });
+    lastBpm = params.bpm;
+  }
+
+  const tracks = new Map();
+  for (const clap of schedule.claps) {
+    const key = layout === 'clappers' ? clap.personIndex : 0;
+    if (!tracks.has(key)) {
+      const name = layout === 'clappers' ? `Clapper ${clap.personIndex + 1}` : 'Crowd';
+      tracks.set(key, [{ tick: 0, data: trackNameEvent(name) }]);
+    }
+    // Offsets (and spatial delays) are converted to beats at the tempo of the clap's own step
+    const tick = toTick(clap.beat + ((clap.offsetMs + clap.delayMs) / 60000) * clap.bpm);
+    const note = DRUM_NOTES[clap.sound] ?? DRUM_NOTES.clap;
+    const velocity = gainToVelocity(clap.gain);
+    tracks.get(key).push(
+      { tick, data: [0x90 | DRUM_CHANNEL, note, velocity] },
+      { tick: tick + NOTE_TICKS, data: [0x80 | DRUM_CHANNEL, note, 0] },
+    );
+  }
+
+  const clapTracks = [...tracks.entries()].sort(([a], [b]) => a - b).map(([, events]) => events);
+  return encodeMidiFile([conductor, ...clapTracks], PPQ);
+}
+
+/**
+ * One row per clap, in time order.
+ * @param {{ claps: Array }} schedule - From planSchedule
+ * @returns {Array<{ time: number, step: number, stepTime: number, offsetMs: number, delayMs: number,
+ *   person: number, sound: string, gain: number, velocity: number }>} Times in seconds from the first beat
+ */
+export function scheduleRows(schedule) {
+  return schedule.claps
+    .map(clap => ({
+      time: round(clap.time, 6),
+      step: clap.step,
+      stepTime: round(clap.stepTime, 6),
+      offsetMs: round(clap.offsetMs, 3),
+      delayMs: round(clap.delayMs, 3),
+      person: clap.personIndex,
+      sound: clap.sound,
+      gain: round(clap.gain, 4),
+      velocity: gainToVelocity(clap.gain),
+    }))
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Encode a schedule as CSV with a header row.
+ * @param {{ claps: Array }} schedule - From planSchedule
+ * @returns {string}
+ */
+export function scheduleToCSV(schedule) {
+  const lines = ['time_s,step,step_time_s,offset_ms,delay_ms,person,sound,gain,velocity'];
+  for (const row of scheduleRows(schedule)) {
+    const { time, step, stepTime, offsetMs, delayMs, person, sound, gain, velocity } = row;
+    lines.push([time, step, stepTime, offsetMs, delayMs, person, sound, gain, velocity].join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Encode a schedule as JSON, with the settings that produced it.
+ * @param {{ claps: Array }} schedule - From planSchedule
+ * @param {object} settings - Shareable state snapshot
+ * @returns {string}
+ */
+export function scheduleToJSON(schedule, settings) {
+  return JSON.stringify({ settings, claps: scheduleRows(schedule) }, null, 2);
+}
+
+function toTick(beat) {
+  return Math.max(0, Math.round((beat + LEAD_IN_BEATS) * PPQ));
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
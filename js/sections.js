@@ -0,0 +1,99 @@
+/**
+ * Crowd sections: groups of clappers with their own size, timing and sound,
+ * e.g. a tight front row and a sloppy, late back of the hall.
+ * Sections take consecutive runs of the crowd's persons in order, so every
+ * person keeps their traits (and voice) when a later section changes size.
+ * Without sections, the whole crowd follows the global settings.
+ */
+
+import { distributions } from './distributions.js';
+
+/** Section sounds; '' follows the main sound source (including patterns). */
+export const SECTION_SOUNDS = {
+  '': 'Main sound',
+  clap: 'Synthesized',
+  sample: 'Sample',
+  stomp: 'Foot stomp',
+  custom: 'Custom',
+};
+
+/** Editable numeric section fields. */
+export const SECTION_FIELDS = {
+  clapperCount: { label: 'Clappers', min: 1, max: 5000, step: 1 },
+  spread: { label: 'Spread', min: 0, max: 200, step: 1, unit: 'ms' },
+  delayMs: { label: 'Delay', min: 0, max: 200, step: 1, unit: 'ms' },
+  pan: { label: 'Pan', min: -1, max: 1, step: 0.05 },
+  gain: { label: 'Gain', min: 0, max: 2, step: 0.05 },
+};
+
+/**
+ * A new section, starting from the global timing settings.
+ * @param {object} state - App state
+ * @returns {object}
+ */
+export function createSection(state) {
+  return {
+    name: `Section ${state.sections.length + 1}`,
+    clapperCount: 30,
+    distribution: Object.hasOwn(distributions, state.distribution) ? state.distribution : 'normal',
+    spread: state.spread,
+    sound: '',
+    delayMs: 0,
+    pan: 0,
+    gain: 1,
+  };
+}
+
+/**
+ * Where each section's persons sit in the crowd.
+ * @param {object[]} sections
+ * @returns {Array<{ section: object, start: number, count: number }>}
+ */
+export function sectionRanges(sections) {
+  let start = 0;
+  return sections.map(section => {
+    const range = { section, start, count: section.clapperCount };
+    start += section.clapperCount;
+    return range;
+  });
+}
+
+/**
+ * Total clappers over all sections.
+ * @param {object[]} sections
+ * @returns {number}
+ */
+export function sectionsSize(sections) {
+  return sections.reduce((sum, section) => sum + section.clapperCount, 0);
+}
+
+/**
+ * Clean up sections from a link or preset, clamping every field to its range.
+ * The whole crowd is held to the clapper limit of one section: later sections
+ * are shrunk, or dropped once it is reached.
+ * @param {any} parsed - Decoded JSON
+ * @returns {object[]|null} Null if not a list
+ */
+export function parseSections(parsed) {
+  if (!Array.isArray(parsed)) return null;
+  let remaining = SECTION_FIELDS.clapperCount.max;
+  return parsed
+    .filter(s => s && typeof s === 'object')
+    .map((s, i) => {
+      const section = {
+        name: typeof s.name === 'string' ? s.name : `Section ${i + 1}`,
+        distribution: Object.hasOwn(distributions, s.distribution) ? s.distribution : 'normal',
+        sound: Object.hasOwn(SECTION_SOUNDS, s.sound) ? s.sound : '',
+      };
+      for (const [key, { min, max, step }] of Object.entries(SECTION_FIELDS)) {
+        const value = Number(s[key]);
+        const fallback = key === 'gain' || key === 'clapperCount' ? 1 : 0;
+        const clamped = Math.max(min, Math.min(max, Number.isFinite(value) ? value : fallback));
+        section[key] = step >= 1 ? Math.round(clamped) : clamped;
+      }
+      section.clapperCount = Math.min(section.clapperCount, remaining);
+      remaining -= section.clapperCount;
+      return section;
+    })
+    .filter(section => section.clapperCount > 0);
+}
@@ -0,0 +1,485 @@
+/**
+ * Headless crowd simulation: who claps when, how loud, at what rate and with
+ * which sound, for a state and its seed. Nothing here touches Web Audio, the
+ * DOM or timers, so it runs in Node (see test/) as well as in the browser,
+ * where AudioEngine extends it with rendered voices, clusters and playback.
+ */
+
+import { LOD_CLAPPER_THRESHOLD, LOD_SAMPLE_COUNT, LOD_CLUSTER_SIZE, MAX_VOICES, BEATS_PER_BAR, HRTF_MAX_CLAPS } from './constants.js';
+import { random, streamFor } from './random.js';
+import { createTimingTraits, advanceDrift, personOffset, personJitter } from './timing-model.js';
+import { advancePhases } from './coupling.js';
+import { parsePattern, stepAt, UNACCENTED_GAIN } from './patterns.js';
+import { paramsAt, maxValue } from './automation.js';
+import { placeCrowd, listenerGeometry } from './spatial.js';
+import { SampleLibrary } from './sample-library.js';
+import { sectionRanges, sectionsSize } from './sections.js';
+import { createVoiceTraits, voiceParams } from './synthesizer.js';
+
+// Step sound for each non-pattern sound source
+const SOURCE_SOUNDS = {
+  synthesized: 'clap',
+  sample: 'sample',
+  footstomp: 'stomp',
+  custom: 'custom',
+};
+// Library instrument behind each built-in step sound ('custom' uses the selected instrument)
+export const BUILT_IN_INSTRUMENTS = {
+  sample: 'Clap sample',
+  stomp: 'Foot stomp',
+};
+// Quietest person's volume factor; the loudest is 1
+const MIN_VOLUME_FACTOR = 0.6;
+
+export class CrowdSimulation {
+  /**
+   * @param {object} [state] - App state (see DEFAULTS in constants.js); a seed makes every plan repeatable
+   */
+  constructor(state = null) {
+    this.state = state;
+
+    // Decoded samples by instrument: the embedded ones plus any the user loads
+    this.library = new SampleLibrary();
+
+    // Per-person characteristics:
+    // { index, pitchFactor, volumeFactor, biasZ, jitterScale, tempoZ, voiceIndex, voice, synth, synthKey }
+    this.persons = [];
+    // Spatial layout: room position per person, and where the listener hears each one from
+    this.positions = [];
+    this.geometry = [];
+    // Layout the positions were placed in
+    this.placedLayout = null;
+
+    // Per-run state (random source for per-clap draws, per-person drift and phase), reset on start
+    this.run = { rng: random, driftMs: [], phaseMs: [], lastOffsetMs: [], order: 0, roundRobin: {} };
+
+    // Parsed step pattern, keyed by the state's pattern string
+    this.patternCache = { source: null, pattern: null };
+  }
+
+  /**
+   * Fresh per-run state: a new offsets stream and zeroed drift for every person.
+   * Live playback and offline renders each get their own, so a seeded export
+   * matches a seeded live run and neither disturbs the other.
+   */
+  createRun() {
+    return {
+      rng: streamFor(this.state.seed, 'offsets'),
+      driftMs: [],
+      // Coupled mode: phase offset per person, what each clapped last beat, crowd coherence
+      phaseMs: [],
+      lastOffsetMs: [],
+      order: 0,
+      // Round-robin position per instrument layer (see SampleLibrary.pick)
+      roundRobin: {},
+    };
+  }
+
+  /**
+   * Regenerate per-person characteristics for the given count. A seeded crowd
+   * is redrawn (identically for the same seed); an unseeded one keeps the persons
+   * it already has, and their places in an unchanged layout, and only draws new
+   * ones, so resizing it does not change, re-render or move everyone.
+   * @param {number} [count] - Number of clappers; defaults to the most the state
+   *   (including clapper-count automation) will ever need
+   */
+  regeneratePersons(count = this.crowdSize()) {
+    const rng = streamFor(this.state.seed, 'persons');
+    const voiceRng = streamFor(this.state.seed, 'voices');
+    this.persons = rng === random ? this.persons.slice(0, count) : [];
+    const kept = this.persons.length;
+    for (let i = this.persons.length; i < count; i++) {
+      // Huge crowds share voices (each person still has their own pitch and volume)
+      const voiceIndex = i % MAX_VOICES;
+      this.persons.push({
+        index: i,
+        pitchFactor: 0.92 + rng() * 0.16, // [0.92, 1.08]
+        volumeFactor: MIN_VOLUME_FACTOR + rng() * (1 - MIN_VOLUME_FACTOR), // [0.6, 1.0]
+        ...createTimingTraits(rng),
+        voiceIndex,
+        voice: i < MAX_VOICES ? createVoiceTraits(voiceRng) : this.persons[voiceIndex].voice,
+      });
+    }
+    this.updateVoices();
+    const { spatialLayout } = this.state;
+    const placed = spatialLayout === this.placedLayout ? this.positions.slice(0, kept) : [];
+    this.positions = placeCrowd(spatialLayout, count, streamFor(this.state.seed, 'positions'), placed);
+    this.placedLayout = spatialLayout;
+    this.updateListener();
+  }
+
+  /**
+   * Recompute every person's synthesis parameters from the synth settings.
+   * Persons with the same voice key sound the same.
+   */
+  updateVoices() {
+    for (const person of this.persons) {
+      person.prevSynthKey = person.synthKey;
+      person.synth = voiceParams(person.voice, this.state);
+      person.synthKey = `${person.voiceIndex}:${Object.values(person.synth).join(':')}`;
+    }
+  }
+
+  /**
+   * A person's synthesized voice. Without audio this is the voice's name;
+   * AudioEngine returns the rendered buffer.
+   * @param {object} person
+   * @returns {AudioBuffer|string|null}
+   */
+  voiceBuffer(person) {
+    return `voice${person.voiceIndex}`;
+  }
+
+  /**
+   * A stable name for a planned clap's sound: the voice name for synthesized
+   * claps (see voiceBuffer), `instrument/sample` for library samples.
+   * @param {AudioBuffer|string} buffer - From getBuffer
+   * @returns {string}
+   */
+  bufferId(buffer) {
+    if (typeof buffer === 'string') return buffer;
+    for (const [name, instrument] of this.library.instruments) {
+      const sample = instrument.samples.find(s => s.buffer === buffer);
+      if (sample) return `${name}/${sample.name}`;
+    }
+    return 'unknown';
+  }
+
+  /**
+   * Recompute each person's direction, distance and arrival delay from the listener.
+   * Call after the listener moves.
+   */
+  updateListener() {
+    const { spatialLayout, listenerX, listenerY } = this.state;
+    this.geometry = listenerGeometry(this.positions, spatialLayout, listenerX, listenerY);
+  }
+
+  /**
+   * The most persons the state will ever need: all sections, or the clapper
+   * count including clapper-count automation.
+   * @returns {number}
+   */
+  crowdSize() {
+    const { sections } = this.state;
+    return sections.length > 0 ? sectionsSize(sections) : maxValue(this.state, 'clapperCount');
+  }
+
+  /**
+   * Number of persons clapping under the given parameters.
+   * @param {object} [params] - Effective parameters (the state by default)
+   * @returns {number}
+   */
+  activeCount(params = this.state) {
+    const { sections } = this.state;
+    return sections.length > 0 ? sectionsSize(sections) : params.clapperCount;
+  }
+
+  /**
+   * The active crowd as groups of consecutive persons sharing timing and sound
+   * settings: one per section, or a single group following the global settings.
+   * Sections have fixed sizes and spreads, so clapper-count and spread automation
+   * only apply without sections.
+   * @param {object} params - Effective parameters for the step
+   * @returns {Array<{ start: number, count: number, params: object, sound: string,
+   *   gain: number, pan: number, delayMs: number }>} `sound` '' plays the step's sound
+   */
+  crowdGroups(params) {
+    const { sections } = this.state;
+    if (sections.length === 0) {
+      return [{ start: 0, count: params.clapperCount, params, sound: '', gain: 1, pan: 0, delayMs: 0 }];
+    }
+    return sectionRanges(sections).map(({ section, start, count }) => ({
+      start,
+      count,
+      params: { ...params, distribution: section.distribution, spread: section.spread },
+      sound: section.sound,
+      gain: section.gain,
+      pan: section.pan,
+      delayMs: section.delayMs,
+    }));
+  }
+
+  /**
+   * The parsed pattern for the current state (cached by pattern string).
+   * @returns {{ subdivision: number, steps: Array<{ sound: string, accent: boolean }> }}
+   */
+  getPattern() {
+    if (this.patternCache.source !== this.state.pattern) {
+      this.patternCache = { source: this.state.pattern, pattern: parsePattern(this.state.pattern) };
+    }
+    return this.patternCache.pattern;
+  }
+
+  /**
+   * Number of scheduler steps per beat: the pattern subdivision in pattern mode, else 1.
+   */
+  stepsPerBeat() {
+    return this.state.soundSource === 'pattern' ? this.getPattern().subdivision : 1;
+  }
+
+  /**
+   * What to play on a given step.
+   * @param {number} stepNumber - Sequential step counter
+   * @returns {{ sound: string, gain: number }} Step sound ('rest' for silence) and accent gain
+   */
+  stepFor(stepNumber) {
+    const source = this.state.soundSource;
+    if (source === 'pattern') {
+      const step = stepAt(this.getPattern(), stepNumber);
+      return { sound: step.sound, gain: step.accent ? 1 : UNACCENTED_GAIN };
+    }
+    return { sound: SOURCE_SOUNDS[source] || 'clap', gain: 1 };
+  }
+
+  /**
+   * Effective parameters for a step: the state with any automation applied.
+   * @param {number} stepNumber - Sequential step counter
+   * @returns {object}
+   */
+  paramsFor(stepNumber) {
+    return paramsAt(this.state, stepNumber / this.stepsPerBeat());
+  }
+
+  /**
+   * Get the sound a given person plays on a step.
+   * Sample sounds pick from their library instrument, in the velocity layer
+   * matching how hard the person claps on this step.
+   * @param {object} person - Person characteristics
+   * @param {string} sound - Step sound: 'clap', 'stomp', 'sample' or 'custom'
+   * @param {number} [accent] - Step gain (1 for accented steps)
+   * @param {object} [run] - Per-run state from createRun
+   * @returns {AudioBuffer|string|null} A sample, or the person's voice (see voiceBuffer)
+   */
+  getBuffer(person, sound, accent = 1, run = this.run) {
+    const instrument = sound === 'custom' ? this.state.instrument : BUILT_IN_INSTRUMENTS[sound];
+    if (instrument) {
+      const velocity = ((person.volumeFactor - MIN_VOLUME_FACTOR) / (1 - MIN_VOLUME_FACTOR)) * accent;
+      const buffer = this.library.pick(instrument, velocity, run.roundRobin, run.rng, person.index);
+      if (buffer) return buffer;
+    }
+    // Default: the person's synthesized voice
+    return this.voiceBuffer(person);
+  }
+
+  /**
+   * Decide every clap of a single beat (or pattern step) without touching any audio context.
+   * @param {number} beatTime - Step time in seconds (context time of the target)
+   * @param {number} stepNumber - Sequential step counter (used for pattern modes)
+   * @param {object} [run] - Per-run state from createRun
+   * @param {object} [params] - Effective parameters for this step
+   * @param {{ clusters?: boolean }} [options] - `clusters`: play large crowds from
+   *   pre-rendered clusters where they are ready (live playback only, as they render
+   *   asynchronously), instead of a random subset of clappers
+   * @returns {Array<{ time: number, offsetMs: number, delayMs: number, personIndex: number,
+   *   sound: string, buffer: AudioBuffer, rate: number, gain: number, pan: number,
+   *   position: object|null, events?: object[] }>} Claps; `delayMs` is the section delay plus
+   *   the spatial arrival delay, `position` places the clap around the listener when a spatial
+   *   layout is active. A cluster is a single clap with personIndex -1 whose `events` list
+   *   the claps mixed into it (see renderCluster)
+   */
+  planBeat(beatTime, stepNumber, run = this.run, params = this.paramsFor(stepNumber), { clusters = false } = {}) {
+    const { personDrift, timingMode, bpm } = params;
+    const { rng, driftMs } = run;
+    const coupled = timingMode === 'coupled';
+
+    const step = this.stepFor(stepNumber);
+    if (step.sound === 'rest') return [];
+
+    const groups = this.crowdGroups(params);
+    const last = groups[groups.length - 1];
+    const total = last.start + last.count;
+
+    // Coupled mode: everyone (across sections) listens to the last step before the next one
+    if (coupled) {
+      const periodMs = 60000 / bpm / this.stepsPerBeat();
+      advancePhases(run, this.persons.slice(0, total), params, periodMs);
+    }
+
+    // Level-of-detail for large crowds: whole clusters of LOD_CLUSTER_SIZE clappers plus the
+    // few left over, or else a random subset of each group in proportion to its size.
+    // Clusters are rendered without drift and cannot follow coupled phases.
+    const lod = total > LOD_CLAPPER_THRESHOLD;
+    const useClusters = clusters && lod && !coupled;
+    const scheduled = groups.map(group => {
+      if (!lod) return { persons: this.persons.slice(group.start, group.start + group.count), clusters: [], gainScale: 1 };
+      const sound = group.sound || step.sound;
+      const clusterCount = useClusters ? Math.floor(group.count / LOD_CLUSTER_SIZE) : 0;
+      const pool = clusterCount > 0 ? this.clustersFor(group, sound, clusterCount) : null;
+      if (pool) {
+        const rest = group.count - clusterCount * LOD_CLUSTER_SIZE;
+        return {
+          persons: this.samplePersons(rest, group.count, rng, group.start),
+          clusters: pickDistinct(pool, clusterCount, rng),
+          gainScale: 1,
+        };
+      }
+      const count = Math.max(1, Math.round((LOD_SAMPLE_COUNT * group.count) / total));
+      const persons = this.samplePersons(count, group.count, rng, group.start);
+      return { persons, clusters: [], gainScale: Math.sqrt(group.count / Math.max(1, persons.length)) };
+    });
+
+    // HRTF is costly, so dense steps fall back to equal-power panning
+    const scheduledCount = scheduled.reduce((sum, s) => sum + s.persons.length + s.clusters.length, 0);
+    const panningModel = scheduledCount <= HRTF_MAX_CLAPS ? 'HRTF' : 'equalpower';
+
+    const claps = [];
+    groups.forEach((group, gi) => {
+      const { persons, gainScale } = scheduled[gi];
+      const sound = group.sound || step.sound;
+      for (const cluster of scheduled[gi].clusters) {
+        claps.push({
+          time: beatTime + (cluster.startMs + group.delayMs) / 1000,
+          offsetMs: cluster.startMs,
+          delayMs: group.delayMs,
+          personIndex: -1,
+          sound,
+          buffer: cluster.buffer,
+          rate: 1,
+          gain: step.gain * group.gain,
+          pan: group.pan,
+          position: cluster.position ? { ...cluster.position, panningModel } : null,
+          events: cluster.events,
+        });
+      }
+      for (const person of persons) {
+        let offsetMs;
+        if (coupled) {
+          offsetMs = run.phaseMs[person.index] + personJitter(person, group.params, rng);
+        } else {
+          const drift = advanceDrift(driftMs[person.index] || 0, personDrift, rng);
+          driftMs[person.index] = drift;
+          offsetMs = personOffset(person, drift, group.params, rng);
+        }
+        run.lastOffsetMs[person.index] = offsetMs;
+
+        const buffer = this.getBuffer(person, sound, step.gain, run);
+        if (!buffer) continue;
+
+        const spatial = this.geometry[person.index];
+        const delayMs = group.delayMs + (spatial ? spatial.delayMs : 0);
+        claps.push({
+          time: beatTime + (offsetMs + delayMs) / 1000,
+          offsetMs,
+          delayMs,
+          personIndex: person.index,
+          sound,
+          buffer,
+          rate: person.pitchFactor,
+          gain: person.volumeFactor * gainScale * step.gain * group.gain,
+          pan: group.pan,
+          position: spatial ? { ...spatial, panningModel } : null,
+        });
+      }
+    });
+    return claps;
+  }
+
+  /**
+   * Pre-rendered clusters for a group and sound (see AudioEngine.clustersFor).
+   * Rendering needs audio, so here there are none and large crowds are sampled.
+   * @returns {object[]|null}
+   */
+  clustersFor() {
+    return null;
+  }
+
+  /**
+   * Plan every clap of a number of bars with a fresh run, exactly as an offline
+   * render would play them. Nothing touches an audio context.
+   * @param {number} bars - Number of bars to plan
+   * @param {number} [startTime] - Time of the first beat in seconds
+   * @returns {{ steps: Array<{ step: number, beat: number, time: number, params: object }>,
+   *   claps: Array<object>, endTime: number }} Step timeline, the claps from planBeat
+   *   (each with its step, stepTime, beat position and bpm added) and the end of the last step
+   */
+  planSchedule(bars, startTime = 0) {
+    return this.planSteps(bars * BEATS_PER_BAR * this.stepsPerBeat(), startTime);
+  }
+
+  /**
+   * Plan a number of steps with a fresh run, like planSchedule.
+   * @param {number} numSteps - Number of steps (beats, or pattern subdivisions in pattern mode)
+   * @param {number} [startTime] - Time of the first step in seconds
+   * @returns {object} As planSchedule
+   */
+  planSteps(numSteps, startTime = 0) {
+    const stepsPerBeat = this.stepsPerBeat();
+
+    // Lay out step times first: with tempo automation they are not evenly spaced
+    const steps = [];
+    let stepTime = startTime;
+    for (let step = 0; step < numSteps; step++) {
+      const params = this.paramsFor(step);
+      steps.push({ step, beat: step / stepsPerBeat, time: stepTime, params });
+      stepTime += 60 / params.bpm / stepsPerBeat;
+    }
+
+    const run = this.createRun();
+    const claps = [];
+    for (const { step, beat, time, params } of steps) {
+      for (const clap of this.planBeat(time, step, run, params)) {
+        claps.push({ ...clap, step, stepTime: time, beat, bpm: params.bpm });
+      }
+    }
+    return { steps, claps, endTime: stepTime };
+  }
+
+  /**
+   * Randomly sample a subset of `total` consecutive persons for LOD.
+   * @param {number} count - Subset size
+   * @param {number} [total] - Number of active persons
+   * @param {() => number} [rng] - Random source
+   * @param {number} [start] - Index of the first person to sample from
+   */
+  samplePersons(count, total = this.persons.length, rng = this.run.rng, start = 0) {
+    total = Math.min(total, this.persons.length - start);
+    if (total <= count) return this.persons.slice(start, start + total);
+
+    const sampled = [];
+    const indices = new Set();
+    while (indices.size < count) {
+      indices.add(Math.floor(rng() * total));
+    }
+    for (const i of indices) {
+      sampled.push(this.persons[start + i]);
+    }
+    return sampled;
+  }
+}
+
+/**
+ * Plan a number of beats of a state from scratch, as a fresh run (an offline
+ * render, or playback from the start) would play them.
+ * @param {object} state - App state (see DEFAULTS in constants.js); a seed makes it repeatable
+ * @param {number} beats - Number of beats to plan
+ * @param {number} [startTime] - Time of the first beat in seconds
+ * @returns {Array<{ time: number, step: number, personIndex: number, bufferId: string,
+ *   gain: number, rate: number, offsetMs: number, delayMs: number, pan: number }>} Clap events
+ *   in planning order (by step, not strictly by time)
+ */
+export function simulate(state, beats, startTime = 0) {
+  const simulation = new CrowdSimulation(state);
+  simulation.regeneratePersons();
+  const { claps } = simulation.planSteps(beats * simulation.stepsPerBeat(), startTime);
+  return claps.map(clap => ({
+    time: clap.time,
+    step: clap.step,
+    personIndex: clap.personIndex,
+    bufferId: simulation.bufferId(clap.buffer),
+    gain: clap.gain,
+    rate: clap.rate,
+    offsetMs: clap.offsetMs,
+    delayMs: clap.delayMs,
+    pan: clap.pan,
+  }));
+}
+
+// `count` different items of a list, in random order
+function pickDistinct(items, count, rng) {
+  const picked = [...items];
+  for (let i = 0; i < count; i++) {
+    const j = i + Math.floor(rng() * (picked.length - i));
+    [picked[i], picked[j]] = [picked[j], picked[i]];
+  }
+  return picked.slice(0, count);
+}
@@ -0,0 +1,117 @@
+/**
+ * Spatial crowd placement.
+ * Each layout is a room in metres: x runs across, y runs back from the stage
+ * edge (y = 0). Persons get a fixed seat in the room; the listener stands at
+ * a position given as fractions of the room's width and depth, facing the stage.
+ *
+ * Sound reaches the listener later from far seats. Delays are measured against
+ * the crowd's mean distance, so the crowd as a whole stays on the beat and only
+ * the differences between near and far clappers smear the timing.
+ */
+
+const SPEED_OF_SOUND = 343; // m/s
+
+/**
+ * Room layouts. `refDistance` is the PannerNode distance at which attenuation begins.
+ */
+export const LAYOUTS = {
+  'small-room': { label: 'Small room', width: 6, depth: 5, refDistance: 1, place: placeScattered },
+  'theater': { label: 'Theater', width: 20, depth: 24, refDistance: 3, place: placeSeats },
+  'arena': { label: 'Arena', width: 90, depth: 70, refDistance: 8, place: placeStands },
+};
+
+/**
+ * Place a crowd in a layout, keeping those already placed where they are.
+ * @param {string} layout - Key of LAYOUTS
+ * @param {number} count - Number of persons
+ * @param {() => number} rng - Random source
+ * @param {Array<{ x: number, y: number }>} [placed] - Positions of the first persons, in this layout
+ * @returns {Array<{ x: number, y: number }>} Room positions in metres
+ */
+export function placeCrowd(layout, count, rng, placed = []) {
+  const room = LAYOUTS[layout];
+  if (!room) return [];
+  const kept = placed.slice(0, count);
+  return [...kept, ...room.place(room, count - kept.length, rng, kept)];
+}
+
+/**
+ * Where each person is heard from, relative to the listener.
+ * @param {Array<{ x: number, y: number }>} positions - From placeCrowd
+ * @param {string} layout - Key of LAYOUTS
+ * @param {number} listenerX - Listener across the room (0-1)
+ * @param {number} listenerY - Listener depth from the stage edge (0-1)
+ * @returns {Array<{ x: number, z: number, delayMs: number, refDistance: number }>} Web Audio
+ *   coordinates (listener at the origin facing -z, i.e. the stage) and arrival delay
+ */
+export function listenerGeometry(positions, layout, listenerX, listenerY) {
+  const room = LAYOUTS[layout];
+  if (!room || positions.length === 0) return [];
+  const lx = listenerX * room.width;
+  const ly = listenerY * room.depth;
+
+  const geometry = positions.map(({ x, y }) => ({ x: x - lx, z: y - ly, distance: Math.hypot(x - lx, y - ly) }));
+  const meanDistance = geometry.reduce((sum, g) => sum + g.distance, 0) / geometry.length;
+  return geometry.map(({ x, z, distance }) => ({
+    x,
+    z,
+    delayMs: ((distance - meanDistance) / SPEED_OF_SOUND) * 1000,
+    refDistance: room.refDistance,
+  }));
+}
+
+// Anywhere in the room, away from the walls
+function placeScattered(room, count, rng) {
+  const margin = 0.5;
+  const positions = [];
+  for (let i = 0; i < count; i++) {
+    positions.push({
+      x: margin + rng() * (room.width - 2 * margin),
+      y: margin + rng() * (room.depth - 2 * margin),
+    });
+  }
+  return positions;
+}
+
+// Rows of seats behind a 3 m gap to the stage, the free ones taken in random order
+function placeSeats(room, count, rng, taken) {
+  const seatSpacing = 0.6;
+  const rowSpacing = 0.9;
+  const firstRow = 3;
+  const seatsPerRow = Math.floor(room.width / seatSpacing);
+  const rows = Math.floor((room.depth - firstRow) / rowSpacing) + 1;
+
+  const seats = [];
+  for (let row = 0; row < rows; row++) {
+    for (let seat = 0; seat < seatsPerRow; seat++) {
+      seats.push({ x: (seat + 0.5) * seatSpacing, y: firstRow + row * rowSpacing });
+    }
+  }
+  const occupied = new Set(taken.map(({ x, y }) => `${x},${y}`));
+  const free = seats.filter(({ x, y }) => !occupied.has(`${x},${y}`));
+  // Beyond a full house, persons share seats
+  const pool = free.length > 0 ? free : seats;
+  // Partial Fisher-Yates: the first `count` seats end up a random selection
+  const picked = Math.min(count, pool.length);
+  for (let i = 0; i < picked; i++) {
+    const j = i + Math.floor(rng() * (pool.length - i));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return Array.from({ length: count }, (_, i) => pool[i % pool.length]);
+}
+
+// Elliptical stands around an open floor
+function placeStands(room, count, rng) {
+  const cx = room.width / 2;
+  const cy = room.depth / 2;
+  const positions = [];
+  for (let i = 0; i < count; i++) {
+    const angle = rng() * 2 * Math.PI;
+    const radius = 0.6 + rng() * 0.4; // share of the half-axes
+    positions.push({
+      x: cx + Math.cos(angle) * radius * cx,
+      y: cy + Math.sin(angle) * radius * cy,
+    });
+  }
+  return positions;
+}
@@ -0,0 +1,249 @@
+/**
+ * Descriptive statistics and goodness-of-fit tests for clap offsets: what the
+ * crowd actually played against the density it was asked to play.
+ * Densities are tabulated on an even grid (see densityGrid), so any density the
+ * app can draw, including mixtures of sections, can be tested the same way.
+ *
+ * The tests assume independent offsets. A crowd with person bias or drift
+ * repeats each clapper's tendencies, so expect lower p-values with those on.
+ */
+
+/**
+ * Sample moments.
+ * @param {ArrayLike<number>} values
+ * @returns {{ count: number, mean: number, sd: number, skewness: number, kurtosis: number }}
+ *   `sd` is the sample standard deviation; `kurtosis` is excess kurtosis (0 for a normal)
+ */
+export function describe(values) {
+  const count = values.length;
+  let mean = 0;
+  for (let i = 0; i < count; i++) mean += values[i];
+  mean /= count;
+  let m2 = 0;
+  let m3 = 0;
+  let m4 = 0;
+  for (let i = 0; i < count; i++) {
+    const d = values[i] - mean;
+    m2 += d * d;
+    m3 += d * d * d;
+    m4 += d * d * d * d;
+  }
+  return {
+    count,
+    mean,
+    sd: Math.sqrt(m2 / (count - 1)),
+    skewness: (m3 / count) / (m2 / count) ** 1.5,
+    kurtosis: (m4 / count) / (m2 / count) ** 2 - 3,
+  };
+}
+
+/**
+ * Tabulate a density and its CDF on an even grid. Mass outside [min, max] is
+ * ignored: the CDF is normalized to reach 1 at `max`.
+ * @param {(x: number) => number} density
+ * @param {number} min
+ * @param {number} max
+ * @param {number} [points]
+ * @returns {{ x: Float64Array, pdf: Float64Array, cdf: Float64Array }}
+ */
+export function densityGrid(density, min, max, points = 4001) {
+  const x = new Float64Array(points);
+  const pdf = new Float64Array(points);
+  const cdf = new Float64Array(points);
+  const dx = (max - min) / (points - 1);
+  for (let i = 0; i < points; i++) {
+    x[i] = min + i * dx;
+    pdf[i] = density(x[i]);
+    // Trapezoid rule
+    if (i > 0) cdf[i] = cdf[i - 1] + ((pdf[i - 1] + pdf[i]) / 2) * dx;
+  }
+  const total = cdf[points - 1];
+  if (total > 0) {
+    for (let i = 0; i < points; i++) {
+      cdf[i] /= total;
+      pdf[i] /= total;
+    }
+  }
+  return { x, pdf, cdf };
+}
+
+/**
+ * Moments of a tabulated density.
+ * @param {{ x: Float64Array, pdf: Float64Array }} grid - From densityGrid
+ * @returns {{ mean: number, sd: number, skewness: number, kurtosis: number }}
+ */
+export function describeDensity({ x, pdf }) {
+  let mass = 0;
+  let mean = 0;
+  for (let i = 0; i < x.length; i++) {
+    mass += pdf[i];
+    mean += pdf[i] * x[i];
+  }
+  mean /= mass;
+  let m2 = 0;
+  let m3 = 0;
+  let m4 = 0;
+  for (let i = 0; i < x.length; i++) {
+    const d = x[i] - mean;
+    m2 += pdf[i] * d * d;
+    m3 += pdf[i] * d * d * d;
+    m4 += pdf[i] * d * d * d * d;
+  }
+  m2 /= mass;
+  m3 /= mass;
+  m4 /= mass;
+  return { mean, sd: Math.sqrt(m2), skewness: m3 / m2 ** 1.5, kurtosis: m4 / (m2 * m2) - 3 };
+}
+
+/**
+ * CDF of a tabulated density at a point.
+ * @param {{ x: Float64Array, cdf: Float64Array }} grid - From densityGrid
+ * @param {number} value
+ * @returns {number}
+ */
+export function gridCdf({ x, cdf }, value) {
+  const last = x.length - 1;
+  if (value <= x[0]) return 0;
+  if (value >= x[last]) return 1;
+  const pos = ((value - x[0]) / (x[last] - x[0])) * last;
+  const i = Math.floor(pos);
+  return cdf[i] + (cdf[i + 1] - cdf[i]) * (pos - i);
+}
+
+/**
+ * Quantile of a tabulated density.
+ * @param {{ x: Float64Array, cdf: Float64Array }} grid - From densityGrid
+ * @param {number} p - Probability (0-1)
+ * @returns {number}
+ */
+export function gridQuantile({ x, cdf }, p) {
+  // First grid point at or above p, then interpolate back into the step before it
+  let lo = 0;
+  let hi = x.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (cdf[mid] < p) lo = mid + 1;
+    else hi = mid;
+  }
+  if (lo === 0) return x[0];
+  const step = cdf[lo] - cdf[lo - 1];
+  return x[lo - 1] + (step > 0 ? (p - cdf[lo - 1]) / step : 0) * (x[lo] - x[lo - 1]);
+}
+
+/**
+ * Percentile of sorted values, interpolating between neighbours.
+ * @param {ArrayLike<number>} sorted - Ascending
+ * @param {number} p - Probability (0-1)
+ * @returns {number}
+ */
+export function percentile(sorted, p) {
+  const pos = p * (sorted.length - 1);
+  const i = Math.floor(pos);
+  if (i >= sorted.length - 1) return sorted[sorted.length - 1];
+  return sorted[i] + (sorted[i + 1] - sorted[i]) * (pos - i);
+}
+
+/**
+ * One-sample Kolmogorov-Smirnov test: the largest gap between the empirical
+ * and the theoretical CDF.
+ * @param {ArrayLike<number>} sorted - Ascending values
+ * @param {(x: number) => number} cdf - Theoretical CDF
+ * @returns {{ statistic: number, pValue: number }}
+ */
+export function ksTest(sorted, cdf) {
+  const n = sorted.length;
+  let d = 0;
+  for (let i = 0; i < n; i++) {
+    const f = cdf(sorted[i]);
+    d = Math.max(d, (i + 1) / n - f, f - i / n);
+  }
+  // Asymptotic Kolmogorov distribution with Stephens' small-sample correction
+  const sqrtN = Math.sqrt(n);
+  const lambda = (sqrtN + 0.12 + 0.11 / sqrtN) * d;
+  let p = 0;
+  for (let k = 1; k <= 100; k++) {
+    const term = 2 * (k % 2 ? 1 : -1) * Math.exp(-2 * k * k * lambda * lambda);
+    p += term;
+    if (Math.abs(term) < 1e-10) break;
+  }
+  return { statistic: d, pValue: Math.max(0, Math.min(1, p)) };
+}
+
+/**
+ * Pearson's chi-square test over bins of equal theoretical probability, about
+ * 2·n^0.4 of them so each expects plenty of claps.
+ * @param {ArrayLike<number>} sorted - Ascending values
+ * @param {{ x: Float64Array, cdf: Float64Array }} grid - Theoretical density, from densityGrid
+ * @returns {{ statistic: number, dof: number, pValue: number }|null} Null for too few values
+ */
+export function chiSquareTest(sorted, grid) {
+  const n = sorted.length;
+  const bins = Math.min(30, Math.round(2 * n ** 0.4));
+  if (bins < 5) return null;
+
+  const expected = n / bins;
+  let statistic = 0;
+  let i = 0;
+  for (let b = 1; b <= bins; b++) {
+    const edge = b < bins ? gridQuantile(grid, b / bins) : Infinity;
+    let observed = 0;
+    while (i < n && sorted[i] < edge) {
+      observed++;
+      i++;
+    }
+    statistic += (observed - expected) ** 2 / expected;
+  }
+  const dof = bins - 1;
+  return { statistic, dof, pValue: 1 - regularizedGamma(dof / 2, statistic / 2) };
+}
+
+// Regularized lower incomplete gamma P(a, x), by its series below a + 1, else its continued fraction
+function regularizedGamma(a, x) {
+  if (x <= 0) return 0;
+  const logPrefix = a * Math.log(x) - x - logGamma(a);
+  if (x < a + 1) {
+    let term = 1 / a;
+    let sum = term;
+    for (let k = 1; k < 500; k++) {
+      term *= x / (a + k);
+      sum += term;
+      if (term < sum * 1e-14) break;
+    }
+    return sum * Math.exp(logPrefix);
+  }
+  // Lentz's method
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+  for (let k = 1; k < 500; k++) {
+    const an = -k * (k - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = b + an / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-14) break;
+  }
+  return 1 - Math.exp(logPrefix) * h;
+}
+
+// Lanczos approximation of ln Γ(x), x > 0
+function logGamma(x) {
+  const g = 7;
+  const coefficients = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+    1.5056327351493116e-7,
+  ];
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  x -= 1;
+  let sum = coefficients[0];
+  for (let i = 1; i < g + 2; i++) sum += coefficients[i] / (x + i);
+  const t = x + g + 0.5;
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+}
@@ -1,39 +1,90 @@
 /**
  * Synthesized clap generation using OfflineAudioContext.
- * Pre-renders 12 clap buffer variants with varying bandpass filter center frequencies.
+ * Every clapper has their own voice: a burst of filtered noise retriggered a few
+ * times in quick succession (hands rarely meet in one clean impact, the same idea
+ * as the 808's triple-retriggered clap), shaped by how the hands are held.
+ *
+ * After Repp (1987), cupped hands trap an air pocket and give a low, resonant
+ * clap; flat palms give a brighter, broadband one. The hand shape sets the
+ * resonance frequency and sharpness of the bandpass every burst goes through.
  */
 
-import { NUM_CLAP_VARIANTS, SAMPLE_RATE } from './constants.js';
+import { SAMPLE_RATE } from './constants.js';
+import { random } from './random.js';
+import { normal } from './distributions.js';
 
-const DURATION = 0.15; // 150ms per clap buffer
-const ATTACK_TIME = 0.002; // 2ms attack
-const DECAY_TIME = 0.1; // 100ms base decay
+const ATTACK_TIME = 0.002; // 2ms attack per burst
+const MIN_SPACING_MS = 3;  // bursts need room for their attack and a little decay
+const TAIL_MARGIN = 0.005; // silence kept after the final decay
+// Level of the retriggered bursts before the final one
+const BURST_LEVEL = 0.75;
 
-// Bandpass center frequencies spread across 2000-5000 Hz
-const MIN_FREQ = 2000;
-const MAX_FREQ = 5000;
+/** Hand shapes: bandpass centre frequency (Hz) and Q. */
+export const HAND_SHAPES = {
+  cupped: { label: 'Cupped', freq: 1100, q: 4 },
+  flat: { label: 'Flat', freq: 2800, q: 1.2 },
+};
+
+/** Crowd-wide synthesis settings, named like the app state. */
+export const SYNTH_PARAMS = [
+  { key: 'synthBursts', label: 'Bursts', min: 1, max: 5, step: 1 },
+  { key: 'synthBurstSpacing', label: 'Burst gap', min: MIN_SPACING_MS, max: 20, step: 0.5, unit: 'ms' },
+  { key: 'synthCupped', label: 'Cupped hands', min: 0, max: 1, step: 0.05 },
+  { key: 'synthResonance', label: 'Resonance', min: 0.5, max: 3, step: 0.1 },
+  { key: 'synthDecay', label: 'Decay', min: 40, max: 250, step: 5, unit: 'ms' },
+  { key: 'synthVariation', label: 'Variation', min: 0, max: 1, step: 0.05 },
+];
 
 /**
- * Pre-render all clap buffer variants.
- * @returns {Promise<AudioBuffer[]>} Array of 12 pre-rendered clap buffers
+ * Draw the persistent voice traits for one person.
+ * @param {() => number} rng - Random source
+ * @returns {{ shapeU: number, freqZ: number, qZ: number, decayZ: number, spacingZ: number }}
  */
-export async function synthesizeClapVariants() {
-  const variants = [];
-  for (let i = 0; i < NUM_CLAP_VARIANTS; i++) {
-    const centerFreq = MIN_FREQ + (MAX_FREQ - MIN_FREQ) * (i / (NUM_CLAP_VARIANTS - 1));
-    const decayTime = DECAY_TIME + (Math.random() * 0.04 - 0.02); // slight variation 80-120ms
-    const buffer = await renderClapBuffer(centerFreq, decayTime);
-    variants.push(buffer);
-  }
-  return variants;
+export function createVoiceTraits(rng) {
+  return {
+    shapeU: rng(),          // uniform draw compared against the cupped share
+    freqZ: normal(1, rng),  // standard-normal deviations, scaled by the variation setting
+    qZ: normal(1, rng),
+    decayZ: normal(1, rng),
+    spacingZ: normal(1, rng),
+  };
+}
+
+/**
+ * A person's synthesis parameters under the current settings.
+ * @param {object} voice - Traits from createVoiceTraits
+ * @param {object} settings - Synthesis settings (see SYNTH_PARAMS)
+ * @returns {{ shape: string, freq: number, q: number, decayMs: number, bursts: number, spacingMs: number }}
+ */
+export function voiceParams(voice, settings) {
+  const { synthBursts, synthBurstSpacing, synthCupped, synthResonance, synthDecay, synthVariation } = settings;
+  const shape = voice.shapeU < synthCupped ? 'cupped' : 'flat';
+  const { freq, q } = HAND_SHAPES[shape];
+  const v = synthVariation;
+  return {
+    shape,
+    freq: Math.round(freq * 2 ** (voice.freqZ * v * 0.5)),          // up to ±half an octave per σ
+    q: round2(q * synthResonance * 2 ** (voice.qZ * v * 0.3)),
+    decayMs: Math.round(synthDecay * 2 ** (voice.decayZ * v * 0.3)),
+    bursts: synthBursts,
+    spacingMs: round2(Math.max(MIN_SPACING_MS, synthBurstSpacing * (1 + voice.spacingZ * v * 0.3))),
+  };
 }
 
 /**
- * Render a single clap buffer using OfflineAudioContext.
- * Chain: white noise → bandpass → highpass → gain envelope → output
+ * Render one clap for a voice.
+ * Chain: white noise → bandpass (hand shape) → highpass → burst envelope → output
+ * @param {object} params - From voiceParams
+ * @param {() => number} [rng] - Random source for the noise
+ * @returns {Promise<AudioBuffer>}
  */
-async function renderClapBuffer(centerFreq, decayTime) {
-  const length = Math.ceil(DURATION * SAMPLE_RATE);
+export function renderClap(params, rng = random) {
+  const { freq, q, decayMs, bursts, spacingMs } = params;
+  const spacing = spacingMs / 1000;
+  const decay = decayMs / 1000;
+  const lastBurst = (bursts - 1) * spacing;
+  const length = Math.ceil((lastBurst + ATTACK_TIME + decay + TAIL_MARGIN) * SAMPLE_RATE);
+
   const OfflineCtx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
   const offline = new OfflineCtx(1, length, SAMPLE_RATE);
 
@@ -41,30 +92,38 @@ async function renderClapBuffer(centerFreq, decayTime) {
   const noiseBuffer = offline.createBuffer(1, length, SAMPLE_RATE);
   const noiseData = noiseBuffer.getChannelData(0);
   for (let i = 0; i < length; i++) {
-    noiseData[i] = Math.random() * 2 - 1;
+    noiseData[i] = rng() * 2 - 1;
   }
 
-  // Source node
   const source = offline.createBufferSource();
   source.buffer = noiseBuffer;
 
-  // Bandpass filter
+  // Hand-shape resonance
   const bandpass = offline.createBiquadFilter();
   bandpass.type = 'bandpass';
-  bandpass.frequency.value = centerFreq;
-  bandpass.Q.value = 1.0;
+  bandpass.frequency.value = freq;
+  bandpass.Q.value = q;
 
   // High-pass filter to remove muddiness
   const highpass = offline.createBiquadFilter();
   highpass.type = 'highpass';
-  highpass.frequency.value = 800;
+  highpass.frequency.value = 500;
   highpass.Q.value = 0.5;
 
-  // Gain envelope: fast attack, exponential decay
+  // Short retriggered bursts, then the full decay.
+  // A narrower band passes less noise, so levels are made up by √Q.
+  const level = Math.sqrt(q);
   const envelope = offline.createGain();
   envelope.gain.setValueAtTime(0, 0);
-  envelope.gain.linearRampToValueAtTime(1.0, ATTACK_TIME);
-  envelope.gain.exponentialRampToValueAtTime(0.001, ATTACK_TIME + decayTime);
+  for (let k = 0; k < bursts - 1; k++) {
+    const t = k * spacing;
+    envelope.gain.setValueAtTime(0, t);
+    envelope.gain.linearRampToValueAtTime(BURST_LEVEL * level, t + ATTACK_TIME);
+    envelope.gain.exponentialRampToValueAtTime(0.01, t + spacing * 0.9);
+  }
+  envelope.gain.setValueAtTime(0, lastBurst);
+  envelope.gain.linearRampToValueAtTime(level, lastBurst + ATTACK_TIME);
+  envelope.gain.exponentialRampToValueAtTime(0.001, lastBurst + ATTACK_TIME + decay);
 
   // Connect chain
   source.connect(bandpass);
@@ -80,3 +139,7 @@ async function renderClapBuffer(centerFreq, decayTime) {
     offline.startRendering();
   });
 }
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
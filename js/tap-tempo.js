@@ -0,0 +1,40 @@
+/**
+ * Tap tempo: turns a series of taps (key, pad or MIDI note) into a BPM.
+ * The tempo is the average interval over the most recent taps; a pause
+ * longer than RESET_MS starts a new series.
+ */
+
+// Taps further apart than this start over
+const RESET_MS = 2000;
+// Number of recent taps the average covers
+const MAX_TAPS = 8;
+
+export class TapTempo {
+  constructor() {
+    // Tap times in ms, oldest first
+    this.taps = [];
+  }
+
+  /**
+   * Register a tap.
+   * @param {number} timeMs - Tap time in ms (e.g. an event timeStamp)
+   * @returns {number|null} Tempo in BPM, or null until there are two taps
+   */
+  tap(timeMs) {
+    const last = this.taps[this.taps.length - 1];
+    if (last !== undefined && (timeMs - last > RESET_MS || timeMs <= last)) {
+      this.taps = [];
+    }
+    this.taps.push(timeMs);
+    if (this.taps.length > MAX_TAPS) this.taps.shift();
+
+    if (this.taps.length < 2) return null;
+    const intervalMs = (this.taps[this.taps.length - 1] - this.taps[0]) / (this.taps.length - 1);
+    return 60000 / intervalMs;
+  }
+
+  /** Forget the current series. */
+  reset() {
+    this.taps = [];
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * Live tightness meter: captures the output mix on the audio thread (see
+ * capture-worklet.js) and analyzes each played step with onset-analysis.js
+ * once all of its audio has come in.
+ */
+
+import { analyzeBeat } from './onset-analysis.js';
+
+const MODULE_URL = new URL('./capture-worklet.js', import.meta.url);
+// Captured audio kept; steps whose audio has already been overwritten are skipped
+const RING_SEC = 4;
+// Analyzed steps kept for display
+const HISTORY = 64;
+
+export class TightnessMeter {
+  /**
+   * Load the processor and start capturing.
+   * @param {AudioContext} ctx
+   * @param {AudioNode} source - The mix to measure
+   * @returns {Promise<TightnessMeter>} Rejects if AudioWorklet is unavailable
+   */
+  static async create(ctx, source) {
+    if (!ctx.audioWorklet) throw new Error('AudioWorklet is not supported');
+    await ctx.audioWorklet.addModule(MODULE_URL);
+    return new TightnessMeter(ctx, source);
+  }
+
+  constructor(ctx, source) {
+    this.node = new AudioWorkletNode(ctx, 'output-capture', { outputChannelCount: [1] });
+    source.connect(this.node);
+    // The processor only runs while something pulls its (silent) output
+    this.node.connect(ctx.destination);
+    this.node.port.onmessage = (e) => this.write(e.data.frame, e.data.data);
+
+    this.sampleRate = ctx.sampleRate;
+    this.ring = new Float32Array(Math.ceil(RING_SEC * this.sampleRate));
+    // Context frame up to which audio has been captured
+    this.capturedTo = 0;
+    // Steps waiting for their audio: { time, period }
+    this.pending = [];
+    // Analyzed steps, oldest first: { time, onsetMs, widthMs, fusion, flams }
+    this.history = [];
+  }
+
+  /**
+   * Queue a played step for analysis.
+   * @param {number} time - Step time in audio context time
+   * @param {number} period - Step length in seconds
+   */
+  expect(time, period) {
+    this.pending.push({ time, period });
+  }
+
+  /**
+   * Analyze every queued step whose audio has been captured.
+   * @returns {object[]} The history, oldest first (see analyzeBeat)
+   */
+  update() {
+    const oldest = this.capturedTo - this.ring.length;
+    this.pending = this.pending.filter(({ time, period }) => {
+      const start = Math.round((time - period / 2) * this.sampleRate);
+      const end = Math.round((time + period / 2) * this.sampleRate);
+      if (end > this.capturedTo) return true;
+      if (start >= oldest) {
+        const metrics = analyzeBeat(this.read(start, end), this.sampleRate, Math.round(time * this.sampleRate) - start);
+        if (metrics) this.history.push({ time, ...metrics });
+      }
+      return false;
+    });
+    this.history.sort((a, b) => a.time - b.time);
+    if (this.history.length > HISTORY) this.history = this.history.slice(-HISTORY);
+    return this.history;
+  }
+
+  /** Forget queued and analyzed steps, e.g. when playback starts. */
+  reset() {
+    this.pending = [];
+    this.history = [];
+  }
+
+  write(frame, data) {
+    for (let i = 0; i < data.length; i++) {
+      this.ring[(frame + i) % this.ring.length] = data[i];
+    }
+    this.capturedTo = frame + data.length;
+  }
+
+  // Captured audio of context frames [start, end)
+  read(start, end) {
+    const samples = new Float32Array(end - start);
+    for (let i = 0; i < samples.length; i++) {
+      const frame = start + i;
+      samples[i] = frame < 0 ? 0 : this.ring[frame % this.ring.length];
+    }
+    return samples;
+  }
+}
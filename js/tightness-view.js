@@ -0,0 +1,105 @@
+/**
+ * Canvas strip of the live tightness meter, drawn next to the timing visualization.
+ * Top half: how much of each recent beat fused into one hit, against FUSED_LEVEL.
+ * Bottom half: where each beat was heard, with a band as wide as its attack.
+ */
+
+import { FUSED_LEVEL, summarize } from './onset-analysis.js';
+
+// Beats shown, and beats the summary line averages
+const SHOWN_BEATS = 32;
+const SUMMARY_BEATS = 8;
+const LABEL_H = 16;
+
+export class TightnessView {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   */
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.resize();
+  }
+
+  resize() {
+    const rect = this.canvas.parentElement.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+    this.canvas.width = rect.width * dpr;
+    this.canvas.height = rect.height * dpr;
+    this.canvas.style.width = rect.width + 'px';
+    this.canvas.style.height = rect.height + 'px';
+    this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    this.width = rect.width;
+    this.height = rect.height;
+  }
+
+  /**
+   * @param {object[]} history - Analyzed beats, oldest first (AudioEngine.tightness)
+   */
+  draw(history) {
+    const ctx = this.ctx;
+    const w = this.width;
+    const h = this.height;
+    ctx.fillStyle = '#1a1a2e';
+    ctx.fillRect(0, 0, w, h);
+
+    ctx.font = '10px monospace';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+    ctx.textAlign = 'left';
+    if (history.length === 0) {
+      ctx.fillText('Tightness appears while playing', 4, 12);
+      return;
+    }
+
+    const { onsetMs, widthMs, fusion, flams } = summarize(history.slice(-SUMMARY_BEATS));
+    const sign = onsetMs >= 0 ? '+' : '';
+    ctx.fillText(`heard ${sign}${onsetMs.toFixed(0)}ms · width ${widthMs.toFixed(0)}ms`, 4, 12);
+    ctx.textAlign = 'right';
+    ctx.fillText(`${Math.round(fusion * 100)}% fused · ${flams.toFixed(1)} flams`, w - 4, 12);
+
+    const beats = history.slice(-SHOWN_BEATS);
+    const slot = w / SHOWN_BEATS;
+    const laneH = (h - LABEL_H) / 2;
+
+    // Fusion bars, with the level below which a beat no longer sounds together
+    const fusionBase = LABEL_H + laneH - 4;
+    const fusionH = laneH - 8;
+    beats.forEach((beat, i) => {
+      const barH = beat.fusion * fusionH;
+      ctx.fillStyle = beat.fusion >= FUSED_LEVEL ? 'rgba(100, 220, 140, 0.8)' : 'rgba(255, 150, 80, 0.8)';
+      ctx.fillRect(i * slot + 1, fusionBase - barH, Math.max(1, slot - 2), barH);
+    });
+    const levelY = fusionBase - FUSED_LEVEL * fusionH;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(0, levelY);
+    ctx.lineTo(w, levelY);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // Perceived onsets around the beat line, each with its attack width
+    const rangeMs = Math.max(20, ...beats.map(b => Math.abs(b.onsetMs) + b.widthMs / 2));
+    const centerY = LABEL_H + laneH * 1.5;
+    const scale = (laneH / 2 - 4) / rangeMs;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+    ctx.beginPath();
+    ctx.moveTo(0, centerY);
+    ctx.lineTo(w, centerY);
+    ctx.stroke();
+    beats.forEach((beat, i) => {
+      const x = i * slot + slot / 2;
+      const y = centerY + beat.onsetMs * scale;
+      const band = Math.max(2, beat.widthMs * scale);
+      ctx.fillStyle = 'rgba(120, 160, 255, 0.35)';
+      ctx.fillRect(x - slot / 2 + 1, y - band / 2, Math.max(1, slot - 2), band);
+      ctx.fillStyle = beat.flams > 0 ? 'rgba(255, 150, 80, 0.9)' : 'rgba(200, 220, 255, 0.9)';
+      ctx.beginPath();
+      ctx.arc(x, y, 2.5, 0, Math.PI * 2);
+      ctx.fill();
+    });
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+    ctx.textAlign = 'left';
+    ctx.fillText(`±${Math.round(rangeMs)}ms`, 4, h - 4);
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * Per-person timing model.
+ * Each clapper has a persistent mean bias, a personal jitter scale and a
+ * slowly wandering drift, so people are consistently early or late.
+ * The `personBias` ratio splits the spread's variance between persons
+ * (bias) and within a person (per-clap jitter).
+ */
+
+import { normal, sampleOffset } from './distributions.js';
+
+// Mean reversion applied to drift each beat, keeps the random walk bounded
+const DRIFT_DECAY = 0.95;
+
+/**
+ * Draw the persistent timing traits for one person.
+ * @param {() => number} rng - Random source
+ * @returns {{ biasZ: number, jitterScale: number, tempoZ: number }}
+ */
+export function createTimingTraits(rng) {
+  return {
+    biasZ: normal(1, rng),                // standard-normal bias, scaled by spread at use
+    jitterScale: 0.6 + rng() * 0.8,       // [0.6, 1.4] personal steadiness
+    tempoZ: normal(1, rng),               // natural tempo mismatch, used by coupled mode
+  };
+}
+
+/**
+ * Advance a person's drift random walk by one beat.
+ * @param {number} driftMs - Current drift in ms
+ * @param {number} stepMs - Random walk step size (state.personDrift)
+ * @param {() => number} rng - Random source
+ * @returns {number} New drift in ms
+ */
+export function advanceDrift(driftMs, stepMs, rng) {
+  if (stepMs <= 0) return 0;
+  return driftMs * DRIFT_DECAY + normal(stepMs, rng);
+}
+
+/**
+ * Sample one clap offset for a person.
+ * @param {{ biasZ: number, jitterScale: number }} person - Person traits
+ * @param {number} driftMs - Person's current drift in ms
+ * @param {object} params - State with distribution, spread, shape parameters and personBias
+ * @param {() => number} rng - Random source
+ * @returns {number} Offset in ms
+ */
+export function personOffset(person, driftMs, params, rng) {
+  const { spread, personBias } = params;
+  const between = Math.sqrt(personBias);
+  return between * person.biasZ * spread + personJitter(person, params, rng) + driftMs;
+}
+
+/**
+ * Sample only the within-person part of a clap offset.
+ * With no person bias every clapper is statistically identical.
+ * @param {{ jitterScale: number }} person - Person traits
+ * @param {object} params - State with distribution, spread, shape parameters and personBias
+ * @param {() => number} rng - Random source
+ * @returns {number} Offset in ms
+ */
+export function personJitter(person, params, rng) {
+  const { distribution, spread, personBias } = params;
+  const jitter = sampleOffset(distribution, spread, params, rng);
+  if (personBias <= 0) return jitter;
+  return Math.sqrt(1 - personBias) * person.jitterScale * jitter;
+}
@@ -1,16 +1,35 @@
 /**
- * Canvas-based timing visualization.
- * Top ~70%: scatter plot of clap offsets around the beat line.
- * Bottom ~30%: histogram of offset distribution with theoretical curve overlay.
+ * Canvas-based timing visualization, in one of several views (state.vizMode):
+ * - 'scatter': scatter plot of clap offsets around the beat line (top ~70%) over a
+ *   histogram of the offset distribution with theoretical curve overlay (bottom ~30%)
+ * - 'waveform': scrolling envelope of the live mix, over its current waveform
+ * - 'spectrogram': scrolling spectrogram of the live mix
+ * - 'phase': claps around a clock face by their phase within the beat, one ring per person
+ * - 'raster': person × step grid colored by offset
+ * Statistics of the offsets against the theoretical curve come from statistics().
  */
 
 import { VIZ_HISTORY_BEATS } from './constants.js';
+import { theoreticalDensity } from './distributions.js';
+import { sectionsSize } from './sections.js';
+import { DRAWN_BINS } from './empirical.js';
+import {
+  describe, densityGrid, describeDensity, gridCdf, gridQuantile, percentile, ksTest, chiSquareTest,
+} from './statistics.js';
 
 const SCATTER_RATIO = 0.68;
 const HISTO_RATIO = 0.28;
 const GAP_RATIO = 0.04;
 const DOT_RADIUS = 2.5;
 const HISTO_BINS = 40;
+// Percentiles shown by statistics(), and the fewest claps worth testing
+export const STAT_PERCENTILES = [0.05, 0.25, 0.5, 0.75, 0.95];
+const MIN_STAT_CLAPS = 30;
+// Steps shown by the raster view
+const RASTER_STEPS = 32;
+// Frequency range of the spectrogram (Hz), on a log scale
+const SPECTRO_MIN_HZ = 50;
+const SPECTRO_MAX_HZ = 16000;
 
 export class Visualization {
   /**
@@ -26,17 +45,104 @@ export class Visualization {
     this.animFrame = null;
 
     // Track last known distribution settings for histogram reset
-    this.lastDistribution = state.distribution;
-    this.lastSpread = state.spread;
+    this.lastTiming = this.timingKey(state);
+    // Statistics only cover claps logged since the settings last changed (performance.now() time)
+    this.statsSince = 0;
 
     // Histogram accumulator
     this.histogramData = new Float64Array(HISTO_BINS);
     this.histogramTotal = 0;
     this.lastProcessedEventIndex = 0;
 
+    // Scrolling views: one envelope peak per drawn frame, and the spectrogram so far
+    this.envelope = null;
+    this.envelopeHead = 0;
+    this.spectrogram = null;
+
     this.resize();
   }
 
+  /**
+   * Parameters currently being played: the automated values while playing, else the state.
+   */
+  get params() {
+    return this.engine.liveParams || this.state;
+  }
+
+  /**
+   * Distribution settings the histogram was collected under; a change resets it.
+   * @param {object} params
+   * @returns {string}
+   */
+  timingKey(params) {
+    const groups = params.sections.length > 0 ? params.sections : [params];
+    return groups.map(g => `${g.distribution}/${g.spread}/${g.delayMs ?? 0}`).join(',');
+  }
+
+  /**
+   * Spread the displays are scaled to. With sections, the widest section,
+   * widened by its delay so late sections stay on screen.
+   * @returns {number} ms
+   */
+  displaySpread() {
+    const { sections, spread } = this.params;
+    if (sections.length === 0) return spread;
+    return Math.max(...sections.map(s => s.spread + s.delayMs / 3));
+  }
+
+  /**
+   * Let the user paint the 'drawn' density directly on the histogram.
+   * Bins line up with the histogram's ±3 spread display range.
+   * @param {(bins: number[]) => void} onDraw - Receives a new bins array on every stroke
+   */
+  enableDensityDrawing(onDraw) {
+    let lastBin = -1;
+    let lastValue = 0;
+
+    const paint = (e) => {
+      const rect = this.canvas.getBoundingClientRect();
+      const x = e.clientX - rect.left;
+      const y = e.clientY - rect.top;
+      const histoY = this.height * (SCATTER_RATIO + GAP_RATIO);
+      const histoH = this.height * HISTO_RATIO;
+
+      const bin = Math.max(0, Math.min(DRAWN_BINS - 1, Math.floor((x / this.width) * DRAWN_BINS)));
+      const value = Math.max(0, Math.min(1, (histoY + histoH - y) / (histoH - 10)));
+      const bins = this.state.drawnDensity.length === DRAWN_BINS
+        ? [...this.state.drawnDensity]
+        : new Array(DRAWN_BINS).fill(0);
+
+      // Fill the bins skipped by a fast stroke
+      const from = lastBin < 0 ? bin : lastBin;
+      const steps = Math.abs(bin - from);
+      for (let k = 0; k <= steps; k++) {
+        const b = from + Math.sign(bin - from) * k;
+        const t = steps === 0 ? 1 : k / steps;
+        bins[b] = Math.round((lastBin < 0 ? value : lastValue + (value - lastValue) * t) * 100) / 100;
+      }
+      lastBin = bin;
+      lastValue = value;
+
+      onDraw(bins);
+      if (this.animFrame === null) this.draw();
+    };
+
+    this.canvas.addEventListener('mousedown', (e) => {
+      if (this.state.distribution !== 'drawn') return;
+      const y = e.clientY - this.canvas.getBoundingClientRect().top;
+      if (y < this.height * SCATTER_RATIO) return;
+      lastBin = -1;
+      paint(e);
+      const move = (ev) => paint(ev);
+      const up = () => {
+        window.removeEventListener('mousemove', move);
+        window.removeEventListener('mouseup', up);
+      };
+      window.addEventListener('mousemove', move);
+      window.addEventListener('mouseup', up);
+    });
+  }
+
   resize() {
     const rect = this.canvas.parentElement.getBoundingClientRect();
     const dpr = window.devicePixelRatio || 1;
@@ -47,12 +153,20 @@ export class Visualization {
     this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
     this.width = rect.width;
     this.height = rect.height;
+
+    // Scrolled history does not survive a size change
+    this.envelope = new Float32Array(Math.max(1, Math.round(rect.width)));
+    this.envelopeHead = 0;
+    this.spectrogram = document.createElement('canvas');
+    this.spectrogram.width = Math.max(1, Math.round(rect.width));
+    this.spectrogram.height = Math.max(1, Math.round(rect.height));
   }
 
   start() {
     this.lastProcessedEventIndex = 0;
     this.histogramData.fill(0);
     this.histogramTotal = 0;
+    this.statsSince = performance.now();
     const loop = () => {
       this.draw();
       this.animFrame = requestAnimationFrame(loop);
@@ -76,27 +190,47 @@ export class Visualization {
     const histoY = scatterH + gapH;
 
     // Check if distribution settings changed - reset histogram
-    if (this.state.distribution !== this.lastDistribution || this.state.spread !== this.lastSpread) {
+    const params = this.params;
+    const timing = this.timingKey(params);
+    if (timing !== this.lastTiming) {
       this.histogramData.fill(0);
       this.histogramTotal = 0;
-      this.lastDistribution = this.state.distribution;
-      this.lastSpread = this.state.spread;
+      this.lastTiming = timing;
+      this.statsSince = performance.now();
     }
 
+    // The histogram keeps collecting whichever view is shown
+    this.accumulateHistogram();
+
     const ctx = this.ctx;
 
     // Clear with dark background
     ctx.fillStyle = '#1a1a2e';
     ctx.fillRect(0, 0, w, h);
 
-    this.drawScatter(ctx, w, scatterH);
-    this.drawHistogram(ctx, w, histoH, histoY);
+    switch (this.state.vizMode) {
+      case 'waveform':
+        this.drawWaveform(ctx, w, h);
+        break;
+      case 'spectrogram':
+        this.drawSpectrogram(ctx, w, h);
+        break;
+      case 'phase':
+        this.drawPhaseCircle(ctx, w, h);
+        break;
+      case 'raster':
+        this.drawRaster(ctx, w, h);
+        break;
+      default:
+        this.drawScatter(ctx, w, scatterH);
+        this.drawHistogram(ctx, w, histoH, histoY);
+    }
   }
 
   drawScatter(ctx, w, h) {
     const events = this.engine.clapEvents;
     const now = performance.now();
-    const spread = Math.max(this.state.spread, 10);
+    const spread = Math.max(this.displaySpread(), 10);
     const displayRange = spread * 3; // Show ±3x spread
     const centerX = w / 2;
 
@@ -118,8 +252,14 @@ export class Visualization {
     ctx.textAlign = 'right';
     ctx.fillText(`+${Math.round(displayRange)}ms`, w - 4, h - 4);
 
+    // Coupled mode: how coherent the crowd currently is
+    if (this.state.timingMode === 'coupled') {
+      ctx.textAlign = 'left';
+      ctx.fillText(`sync ${this.engine.run.order.toFixed(2)}`, 4, 12);
+    }
+
     // Find the current beat window - show events from last N beats
-    const beatInterval = 60 / this.state.bpm;
+    const beatInterval = 60 / this.params.bpm;
     const windowMs = beatInterval * VIZ_HISTORY_BEATS * 1000;
 
     // Draw dots for recent events
@@ -137,7 +277,7 @@ export class Visualization {
       if (x < 0 || x > w) continue;
 
       // Y position: spread persons across height with slight jitter per beat
-      const clapperCount = Math.max(this.state.clapperCount, 1);
+      const clapperCount = Math.max(this.engine.activeCount(this.params), 1);
       const normalizedY = (ev.personIndex % clapperCount) / clapperCount;
       const jitter = Math.sin(ev.beatTime * 137.5 + ev.personIndex * 7.3) * 0.02;
       const y = (normalizedY + jitter) * (h - 20) + 10;
@@ -151,11 +291,12 @@ export class Visualization {
     }
   }
 
-  drawHistogram(ctx, w, h, yOffset) {
+  /**
+   * Bin the events logged since the last call into the histogram, and let old data fade.
+   */
+  accumulateHistogram() {
     const events = this.engine.clapEvents;
-    const spread = Math.max(this.state.spread, 10);
-    const displayRange = spread * 3;
-    const centerX = w / 2;
+    const displayRange = Math.max(this.displaySpread(), 10) * 3;
 
     // Process new events into histogram
     for (let i = this.lastProcessedEventIndex; i < events.length; i++) {
@@ -176,6 +317,12 @@ export class Visualization {
       }
       this.histogramTotal *= decay;
     }
+  }
+
+  drawHistogram(ctx, w, h, yOffset) {
+    const spread = Math.max(this.displaySpread(), 10);
+    const displayRange = spread * 3;
+    const centerX = w / 2;
 
     // Find max bin for scaling
     let maxBin = 0;
@@ -215,9 +362,253 @@ export class Visualization {
     this.drawTheoreticalCurve(ctx, w, h, yOffset, displayRange, maxBin);
   }
 
+  drawWaveform(ctx, w, h) {
+    const analyser = this.engine.analyser;
+    if (!analyser) {
+      this.drawMessage(ctx, w, h, 'The waveform appears once audio has started');
+      return;
+    }
+    const samples = new Float32Array(analyser.fftSize);
+    analyser.getFloatTimeDomainData(samples);
+    let peak = 0;
+    for (const sample of samples) peak = Math.max(peak, Math.abs(sample));
+    this.envelope[this.envelopeHead] = peak;
+    this.envelopeHead = (this.envelopeHead + 1) % this.envelope.length;
+
+    // Envelope, oldest on the left, mirrored around the center line
+    const envH = h * SCATTER_RATIO;
+    const mid = envH / 2;
+    ctx.fillStyle = 'rgba(100, 180, 255, 0.6)';
+    for (let x = 0; x < this.envelope.length; x++) {
+      const level = Math.min(1, this.envelope[(this.envelopeHead + x) % this.envelope.length]);
+      const half = level * (mid - 4);
+      ctx.fillRect(x, mid - half, 1, Math.max(1, half * 2));
+    }
+
+    // Current waveform
+    const waveY = envH + h * GAP_RATIO;
+    const waveH = h * HISTO_RATIO;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.beginPath();
+    ctx.moveTo(0, waveY);
+    ctx.lineTo(w, waveY);
+    ctx.stroke();
+    ctx.strokeStyle = 'rgba(255, 200, 100, 0.7)';
+    ctx.beginPath();
+    for (let i = 0; i < samples.length; i++) {
+      const x = (i / (samples.length - 1)) * w;
+      const y = waveY + waveH / 2 - Math.max(-1, Math.min(1, samples[i])) * (waveH / 2);
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    }
+    ctx.stroke();
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+    ctx.font = '10px monospace';
+    ctx.textAlign = 'left';
+    ctx.fillText('envelope', 4, 12);
+    ctx.fillText(`waveform (${Math.round((samples.length / analyser.context.sampleRate) * 1000)}ms)`, 4, waveY + 12);
+  }
+
+  drawSpectrogram(ctx, w, h) {
+    const analyser = this.engine.analyser;
+    if (!analyser) {
+      this.drawMessage(ctx, w, h, 'The spectrogram appears once audio has started');
+      return;
+    }
+    const levels = new Uint8Array(analyser.frequencyBinCount);
+    analyser.getByteFrequencyData(levels);
+
+    // Scroll left by a pixel and draw the newest column on the right
+    const history = this.spectrogram;
+    const historyCtx = history.getContext('2d');
+    historyCtx.drawImage(history, -1, 0);
+    const binHz = analyser.context.sampleRate / analyser.fftSize;
+    const logMin = Math.log(SPECTRO_MIN_HZ);
+    const logMax = Math.log(SPECTRO_MAX_HZ);
+    for (let y = 0; y < history.height; y++) {
+      const hz = Math.exp(logMax - (y / history.height) * (logMax - logMin));
+      const level = levels[Math.min(levels.length - 1, Math.round(hz / binHz))] / 255;
+      historyCtx.fillStyle = `hsl(${240 - level * 200}, 80%, ${level * 60}%)`;
+      historyCtx.fillRect(history.width - 1, y, 1, 1);
+    }
+    ctx.drawImage(history, 0, 0, w, h);
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.font = '10px monospace';
+    ctx.textAlign = 'left';
+    for (const hz of [100, 1000, 10000]) {
+      const y = ((logMax - Math.log(hz)) / (logMax - logMin)) * h;
+      ctx.fillText(hz >= 1000 ? `${hz / 1000}kHz` : `${hz}Hz`, 4, y - 2);
+    }
+  }
+
+  drawPhaseCircle(ctx, w, h) {
+    const events = this.engine.clapEvents;
+    const now = performance.now();
+    const params = this.params;
+    const stepsPerBeat = this.engine.stepsPerBeat();
+    const beatMs = 60000 / params.bpm;
+    const windowMs = beatMs * VIZ_HISTORY_BEATS;
+    const cx = w / 2;
+    const cy = h / 2;
+    const outer = Math.min(w, h) / 2 - 14;
+    const inner = outer * 0.3;
+
+    // Clock face: the beat at 12 o'clock, and each step of the pattern
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.lineWidth = 1;
+    for (const r of [inner, outer]) {
+      ctx.beginPath();
+      ctx.arc(cx, cy, r, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    for (let step = 0; step < stepsPerBeat; step++) {
+      const angle = (step / stepsPerBeat) * Math.PI * 2 - Math.PI / 2;
+      ctx.strokeStyle = step === 0 ? 'rgba(255, 255, 255, 0.4)' : 'rgba(255, 255, 255, 0.15)';
+      ctx.beginPath();
+      ctx.moveTo(cx + Math.cos(angle) * inner, cy + Math.sin(angle) * inner);
+      ctx.lineTo(cx + Math.cos(angle) * (outer + 6), cy + Math.sin(angle) * (outer + 6));
+      ctx.stroke();
+    }
+
+    // Claps by phase within the beat; each clapper keeps their own ring, so a
+    // clapper who is always early or late shows as a bent-off arc
+    const clapperCount = Math.max(this.engine.activeCount(params), 1);
+    let sumCos = 0;
+    let sumSin = 0;
+    let count = 0;
+    for (let i = events.length - 1; i >= 0; i--) {
+      const ev = events[i];
+      const age = now - ev.timestamp;
+      if (age > windowMs) break;
+      const phase = (ev.step % stepsPerBeat) / stepsPerBeat + ev.offsetMs / beatMs;
+      const angle = phase * Math.PI * 2 - Math.PI / 2;
+      const r = inner + ((ev.personIndex % clapperCount) / clapperCount) * (outer - inner);
+      const alpha = Math.max(0, 1 - age / windowMs);
+      const hue = (ev.personIndex * 137.5) % 360;
+      ctx.fillStyle = `hsla(${hue}, 70%, 65%, ${alpha * 0.8})`;
+      ctx.beginPath();
+      ctx.arc(cx + Math.cos(angle) * r, cy + Math.sin(angle) * r, DOT_RADIUS, 0, Math.PI * 2);
+      ctx.fill();
+
+      // Phase relative to the clap's own step, for the mean and its coherence
+      const own = (ev.offsetMs / beatMs) * Math.PI * 2;
+      sumCos += Math.cos(own);
+      sumSin += Math.sin(own);
+      count++;
+    }
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+    ctx.font = '10px monospace';
+    ctx.textAlign = 'left';
+    if (count > 0) {
+      // Circular mean offset and resultant length (1 = every clap on its step)
+      const meanMs = (Math.atan2(sumSin, sumCos) / (Math.PI * 2)) * beatMs;
+      const coherence = Math.hypot(sumCos, sumSin) / count;
+      ctx.fillText(`mean ${meanMs >= 0 ? '+' : ''}${meanMs.toFixed(1)}ms`, 4, 12);
+      ctx.fillText(`coherence ${coherence.toFixed(3)}`, 4, 24);
+    }
+    ctx.textAlign = 'center';
+    ctx.fillText('beat', cx, 10);
+  }
+
+  drawRaster(ctx, w, h) {
+    const events = this.engine.clapEvents;
+    const params = this.params;
+    const range = Math.max(this.displaySpread(), 10) * 2;
+    const clapperCount = Math.max(this.engine.activeCount(params), 1);
+    const labelH = 14;
+    // Large crowds share a row between neighbouring clappers
+    const rows = Math.min(clapperCount, Math.floor(h - labelH));
+
+    // Columns: the most recent steps, oldest on the left
+    const columns = new Map();
+    for (let i = events.length - 1; i >= 0; i--) {
+      const ev = events[i];
+      if (!columns.has(ev.beatTime)) {
+        if (columns.size === RASTER_STEPS) break;
+        columns.set(ev.beatTime, RASTER_STEPS - 1 - columns.size);
+      }
+    }
+    const cellW = w / RASTER_STEPS;
+    const cellH = (h - labelH) / rows;
+    for (let i = events.length - 1; i >= 0; i--) {
+      const ev = events[i];
+      const column = columns.get(ev.beatTime);
+      if (column === undefined) break;
+      if (ev.personIndex < 0) continue;
+      // Early claps blue, late claps orange, brighter the further off the beat
+      const t = Math.max(-1, Math.min(1, ev.offsetMs / range));
+      ctx.fillStyle = `hsl(${t < 0 ? 210 : 25}, 80%, ${15 + Math.abs(t) * 50}%)`;
+      const row = Math.floor(((ev.personIndex % clapperCount) / clapperCount) * rows);
+      ctx.fillRect(column * cellW, labelH + row * cellH, Math.max(1, cellW - 1), Math.max(1, cellH));
+    }
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+    ctx.font = '10px monospace';
+    ctx.textAlign = 'left';
+    ctx.fillText(`early -${Math.round(range)}ms`, 4, 10);
+    ctx.textAlign = 'right';
+    ctx.fillText(`late +${Math.round(range)}ms`, w - 4, 10);
+    ctx.textAlign = 'center';
+    ctx.fillText(`${clapperCount} clappers × ${RASTER_STEPS} steps`, w / 2, 10);
+  }
+
+  drawMessage(ctx, w, h, text) {
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+    ctx.font = '12px monospace';
+    ctx.textAlign = 'center';
+    ctx.fillText(text, w / 2, h / 2);
+  }
+
+  /**
+   * The theoretical density of offsets. Sections mix their own curves,
+   * weighted by size and shifted by their delay.
+   * @param {object} params - Effective parameters
+   * @returns {{ densityAt: (offset: number) => number, reach: number }} Density per ms,
+   *   and how far from the beat (ms) it has practically all its mass
+   */
+  theoreticalCurve(params) {
+    const total = sectionsSize(params.sections);
+    const curves = params.sections.length > 0
+      ? params.sections.map(s => ({ ...s, weight: s.clapperCount / total }))
+      : [{ distribution: params.distribution, spread: params.spread, delayMs: 0, weight: 1 }];
+    const densityAt = (offset) => curves.reduce((sum, c) =>
+      sum + c.weight * theoreticalDensity(c.distribution, offset - c.delayMs, Math.max(c.spread, 1), params), 0);
+    const reach = Math.max(...curves.map(c => c.delayMs + 20 * Math.max(c.spread, 1)));
+    return { densityAt, reach };
+  }
+
+  /**
+   * Statistics of the offsets heard since the timing settings last changed,
+   * against the theoretical curve drawn over the histogram.
+   * @returns {{ observed: object, theoretical: object, ks: object, chiSquare: object|null }|null}
+   *   Moments and `percentiles` (at STAT_PERCENTILES) of both, and the fit tests
+   *   (see statistics.js); null until enough claps have been heard
+   */
+  statistics() {
+    const offsets = [];
+    for (const event of this.engine.clapEvents) {
+      if (event.timestamp >= this.statsSince) offsets.push(event.offsetMs);
+    }
+    if (offsets.length < MIN_STAT_CLAPS) return null;
+    const sorted = Float64Array.from(offsets).sort();
+
+    const { densityAt, reach } = this.theoreticalCurve(this.params);
+    const min = Math.min(sorted[0], -reach);
+    const max = Math.max(sorted[sorted.length - 1], reach);
+    const grid = densityGrid(densityAt, min, max);
+    return {
+      observed: { ...describe(sorted), percentiles: STAT_PERCENTILES.map(p => percentile(sorted, p)) },
+      theoretical: { ...describeDensity(grid), percentiles: STAT_PERCENTILES.map(p => gridQuantile(grid, p)) },
+      ks: ksTest(sorted, x => gridCdf(grid, x)),
+      chiSquare: chiSquareTest(sorted, grid),
+    };
+  }
+
   drawTheoreticalCurve(ctx, w, h, yOffset, displayRange, maxBin) {
-    const { distribution: distType, spread, betaAlpha, betaBeta } = this.state;
-    const effectiveSpread = Math.max(spread, 1);
+    const { densityAt } = this.theoreticalCurve(this.params);
 
     ctx.strokeStyle = 'rgba(255, 200, 100, 0.7)';
     ctx.lineWidth = 1.5;
@@ -229,7 +620,7 @@ export class Visualization {
 
     for (let px = 0; px < w; px += 2) {
       const offset = ((px / w) * 2 - 1) * displayRange;
-      const density = theoreticalDensity(distType, offset, effectiveSpread, betaAlpha, betaBeta);
+      const density = densityAt(offset);
       if (density > peakDensity) peakDensity = density;
     }
     if (peakDensity === 0) return;
@@ -240,7 +631,7 @@ export class Visualization {
     let started = false;
     for (let px = 0; px < w; px += 2) {
       const offset = ((px / w) * 2 - 1) * displayRange;
-      const density = theoreticalDensity(distType, offset, effectiveSpread, betaAlpha, betaBeta);
+      const density = densityAt(offset);
       const y = yOffset + h - density * scale;
 
       if (!started) {
@@ -253,66 +644,3 @@ export class Visualization {
     ctx.stroke();
   }
 }
-
-/**
- * Calculate the theoretical probability density at a given offset.
- */
-function theoreticalDensity(type, x, spread, alpha, beta) {
-  switch (type) {
-    case 'normal': {
-      const sigma = spread;
-      return (1 / (sigma * Math.sqrt(2 * Math.PI))) * Math.exp(-0.5 * (x / sigma) ** 2);
-    }
-    case 'uniform': {
-      return Math.abs(x) <= spread ? 1 / (2 * spread) : 0;
-    }
-    case 'exponential': {
-      const lambda = 2 / spread;
-      return (lambda / 2) * Math.exp(-lambda * Math.abs(x));
-    }
-    case 'laplace': {
-      const b = spread / Math.SQRT2;
-      return (1 / (2 * b)) * Math.exp(-Math.abs(x) / b);
-    }
-    case 'beta': {
-      // Beta mapped to [-spread, spread]
-      const t = (x / spread + 1) / 2; // map to [0, 1]
-      if (t <= 0 || t >= 1) return 0;
-      return betaPDF(t, alpha, beta) / (2 * spread);
-    }
-    default:
-      return 0;
-  }
-}
-
-function betaPDF(x, a, b) {
-  if (x <= 0 || x >= 1) return 0;
-  const logB = lnGamma(a) + lnGamma(b) - lnGamma(a + b);
-  return Math.exp((a - 1) * Math.log(x) + (b - 1) * Math.log(1 - x) - logB);
-}
-
-// Stirling's approximation for ln(Gamma(x)) - Lanczos approximation
-function lnGamma(z) {
-  const g = 7;
-  const c = [
-    0.99999999999980993,
-    676.5203681218851,
-    -1259.1392167224028,
-    771.32342877765313,
-    -176.61502916214059,
-    12.507343278686905,
-    -0.13857109526572012,
-    9.9843695780195716e-6,
-    1.5056327351493116e-7,
-  ];
-  if (z < 0.5) {
-    return Math.log(Math.PI / Math.sin(Math.PI * z)) - lnGamma(1 - z);
-  }
-  z -= 1;
-  let x = c[0];
-  for (let i = 1; i < g + 2; i++) {
-    x += c[i] / (z + i);
-  }
-  const t = z + g + 0.5;
-  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(x);
-}
@@ -0,0 +1,69 @@
+/**
+ * PCM WAV encoding for rendered AudioBuffers.
+ */
+
+/**
+ * Encode an AudioBuffer as an interleaved PCM WAV file.
+ * @param {AudioBuffer} buffer - Rendered audio
+ * @param {number} [bitDepth] - 16 or 24
+ * @returns {ArrayBuffer} WAV file bytes
+ */
+export function encodeWAV(buffer, bitDepth = 16) {
+  const numChannels = buffer.numberOfChannels;
+  const sampleRate = buffer.sampleRate;
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = numChannels * bytesPerSample;
+  const dataSize = buffer.length * blockAlign;
+
+  const out = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(out);
+
+  // RIFF header
+  writeString(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(view, 8, 'WAVE');
+
+  // fmt chunk
+  writeString(view, 12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, numChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+
+  // data chunk
+  writeString(view, 36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  const channels = [];
+  for (let c = 0; c < numChannels; c++) {
+    channels.push(buffer.getChannelData(c));
+  }
+
+  const maxValue = 2 ** (bitDepth - 1) - 1;
+  let pos = 44;
+  for (let i = 0; i < buffer.length; i++) {
+    for (let c = 0; c < numChannels; c++) {
+      const sample = Math.max(-1, Math.min(1, channels[c][i]));
+      const value = Math.round(sample * maxValue);
+      if (bitDepth === 24) {
+        view.setUint8(pos, value & 0xff);
+        view.setUint8(pos + 1, (value >> 8) & 0xff);
+        view.setUint8(pos + 2, (value >> 16) & 0xff);
+      } else {
+        view.setInt16(pos, value, true);
+      }
+      pos += bytesPerSample;
+    }
+  }
+
+  return out;
+}
+
+function writeString(view, offset, str) {
+  for (let i = 0; i < str.length; i++) {
+    view.setUint8(offset + i, str.charCodeAt(i));
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * Main-thread side of the AudioWorklet clap player (see clap-worklet.js).
+ * Claps planned by the engine are turned into messages for the audio thread:
+ * each clap buffer is sent once, and the node chain a clap would otherwise go
+ * through (gain, spatial panner, section pan) becomes a 2×2 channel matrix.
+ * Spatial claps are panned equal-power with inverse distance attenuation, as
+ * the node scheduler does for dense steps; HRTF needs the node scheduler.
+ */
+
+const MODULE_URL = new URL('./clap-worklet.js', import.meta.url);
+
+export class WorkletPlayer {
+  /**
+   * Load the processor and connect a player node.
+   * @param {AudioContext} ctx
+   * @param {AudioNode} destination - Where claps are played into (the output chain's input)
+   * @returns {Promise<WorkletPlayer>} Rejects if AudioWorklet is unavailable
+   */
+  static async create(ctx, destination) {
+    if (!ctx.audioWorklet) throw new Error('AudioWorklet is not supported');
+    await ctx.audioWorklet.addModule(MODULE_URL);
+    return new WorkletPlayer(ctx, destination);
+  }
+
+  constructor(ctx, destination) {
+    this.node = new AudioWorkletNode(ctx, 'clap-player', {
+      numberOfInputs: 0,
+      outputChannelCount: [2],
+    });
+    this.node.connect(destination);
+    this.port = this.node.port;
+    this.port.onmessage = (e) => {
+      if (e.data.type === 'stats') this.stats = { late: e.data.late, dropped: e.data.dropped };
+    };
+    // Claps the audio thread started late or skipped, as last reported
+    this.stats = { late: 0, dropped: 0 };
+
+    // Sound ids by buffer; the audio thread's copy is freed once the buffer is collected
+    this.soundIds = new WeakMap();
+    this.nextId = 0;
+    this.registry = new FinalizationRegistry(id => this.port.postMessage({ type: 'free', id }));
+  }
+
+  /**
+   * Send claps to the audio thread.
+   * @param {object[]} claps - Claps from AudioEngine.planBeat
+   */
+  play(claps) {
+    this.port.postMessage({
+      type: 'claps',
+      claps: claps.map(clap => ({
+        sound: this.soundId(clap.buffer),
+        time: clap.time,
+        rate: clap.rate,
+        matrix: clapMatrix(clap, clap.buffer.numberOfChannels),
+      })),
+    });
+  }
+
+  /** Drop claps that have not started yet; sounding ones ring out. */
+  stop() {
+    this.port.postMessage({ type: 'stop' });
+  }
+
+  /** Drop waiting claps and zero the counts, e.g. when playback starts. */
+  reset() {
+    this.stats = { late: 0, dropped: 0 };
+    this.port.postMessage({ type: 'reset' });
+  }
+
+  soundId(buffer) {
+    let id = this.soundIds.get(buffer);
+    if (id === undefined) {
+      id = this.nextId++;
+      this.soundIds.set(buffer, id);
+      this.registry.register(buffer, id);
+      const channels = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c));
+      this.port.postMessage({ type: 'sound', id, channels, sampleRate: buffer.sampleRate });
+    }
+    return id;
+  }
+}
+
+/**
+ * The channel matrix [LL, RL, LR, RR] for a clap (left out = LL·left + RL·right,
+ * right out = LR·left + RR·right; mono sounds play on both inputs): its gain,
+ * then its spatial position, then the section pan.
+ * @param {{ gain: number, pan: number, position: object|null }} clap
+ * @param {number} [channels] - Channels of the clap's buffer
+ * @returns {number[]}
+ */
+export function clapMatrix({ gain, pan, position }, channels = 2) {
+  let matrix = [gain, 0, 0, gain];
+  if (position) {
+    // Listener faces -z; sources behind are folded to the front like PannerNode does
+    let azimuth = (Math.atan2(position.x, -position.z) * 180) / Math.PI;
+    if (azimuth > 90) azimuth = 180 - azimuth;
+    else if (azimuth < -90) azimuth = -180 - azimuth;
+    const x = ((azimuth + 90) / 180) * (Math.PI / 2);
+    const distance = Math.hypot(position.x, position.z);
+    const attenuation = position.refDistance / Math.max(distance, position.refDistance);
+    // The panner takes the mono sum: half of each input to each side
+    const side = [Math.cos(x) * attenuation / 2, Math.sin(x) * attenuation / 2];
+    matrix = multiply([side[0], side[0], side[1], side[1]], matrix);
+  }
+  if (pan && channels === 1 && !position) {
+    // StereoPannerNode's equal-power law for mono input (the left input carries it)
+    const x = (((pan + 1) / 2) * Math.PI) / 2;
+    matrix = multiply([Math.cos(x), 0, Math.sin(x), 0], matrix);
+  } else if (pan) {
+    // StereoPannerNode's equal-power law for stereo input (the spatial panner's output is stereo)
+    const x = ((pan <= 0 ? pan + 1 : pan) * Math.PI) / 2;
+    const panMatrix = pan <= 0
+      ? [1, Math.cos(x), 0, Math.sin(x)]
+      : [Math.cos(x), 0, Math.sin(x), 1];
+    matrix = multiply(panMatrix, matrix);
+  }
+  return matrix;
+}
+
+// Apply matrix `a` after matrix `b`
+function multiply(a, b) {
+  const [all, arl, alr, arr] = a;
+  const [bll, brl, blr, brr] = b;
+  return [
+    all * bll + arl * blr,
+    all * brl + arl * brr,
+    alr * bll + arr * blr,
+    alr * brl + arr * brr,
+  ];
+}
@@ -0,0 +1,76 @@
+/**
+ * Statistical tests for the offset samplers: seeded draws from each one must
+ * fit its theoretical density (Kolmogorov-Smirnov) and match its moments.
+ * Run with `node --test test/`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULTS } from '../js/constants.js';
+import { createSeededRandom, hashSeed } from '../js/random.js';
+import { distributions, sampleOffset, theoreticalDensity, TABULATED } from '../js/distributions.js';
+import { describe, densityGrid, describeDensity, gridCdf, ksTest } from '../js/statistics.js';
+
+const SPREAD = 20;
+const DRAWS = 5000;
+// Seeded, so a pass is repeatable; still loose enough that it is not luck
+const MIN_P_VALUE = 0.001;
+
+// Shape parameters for every sampler, including the tabulated ones
+const PARAMS = {
+  ...DEFAULTS,
+  drawnDensity: Array.from({ length: 48 }, (_, i) => 1 + Math.sin(i / 5) ** 2),
+  empiricalOffsets: Array.from({ length: 200 }, (_, i) => ((i * 37) % 200) / 5 - 20),
+};
+
+function draw(type, params = PARAMS) {
+  const rng = createSeededRandom(hashSeed('distributions', type));
+  return Float64Array.from({ length: DRAWS }, () => sampleOffset(type, SPREAD, params, rng)).sort();
+}
+
+function gridFor(type, params = PARAMS) {
+  return densityGrid(x => theoreticalDensity(type, x, SPREAD, params), -30 * SPREAD, 30 * SPREAD, 60001);
+}
+
+for (const type of [...Object.keys(distributions), ...TABULATED]) {
+  test(`${type} samples fit the theoretical density`, () => {
+    const sorted = draw(type);
+    const grid = gridFor(type);
+    const { pValue } = ksTest(sorted, x => gridCdf(grid, x));
+    assert.ok(pValue > MIN_P_VALUE, `KS p = ${pValue}`);
+
+    const observed = describe(sorted);
+    const expected = describeDensity(grid);
+    const tolerance = 5 * expected.sd / Math.sqrt(DRAWS);
+    assert.ok(Math.abs(observed.mean - expected.mean) < tolerance, `mean ${observed.mean} vs ${expected.mean}`);
+  });
+}
+
+test('spread is the standard deviation of normal and laplace', () => {
+  for (const type of ['normal', 'laplace']) {
+    const { sd } = describe(draw(type));
+    assert.ok(Math.abs(sd - SPREAD) < 0.05 * SPREAD, `${type}: sd ${sd}`);
+  }
+});
+
+test('uniform and beta stay within ±spread', () => {
+  for (const type of ['uniform', 'beta']) {
+    const sorted = draw(type);
+    assert.ok(sorted[0] >= -SPREAD && sorted[sorted.length - 1] <= SPREAD, type);
+  }
+});
+
+test('cauchy offsets are clamped', () => {
+  const sorted = draw('cauchy');
+  const limit = PARAMS.cauchyClamp * SPREAD;
+  assert.ok(sorted[0] >= -limit && sorted[sorted.length - 1] <= limit);
+});
+
+test('the same seed draws the same offsets', () => {
+  assert.deepEqual(draw('skewnormal'), draw('skewnormal'));
+});
+
+test('an empty table samples the beat', () => {
+  const rng = createSeededRandom(1);
+  assert.equal(sampleOffset('empirical', SPREAD, { empiricalOffsets: [] }, rng), 0);
+});
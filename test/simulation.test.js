@@ -0,0 +1,146 @@
+/**
+ * Tests for the headless crowd simulation (simulation.js): repeatable plans
+ * for a seed, and the crowd, pattern, section and level-of-detail rules.
+ * Run with `node --test test/`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULTS, LOD_CLAPPER_THRESHOLD, LOD_SAMPLE_COUNT } from '../js/constants.js';
+import { CrowdSimulation, simulate, BUILT_IN_INSTRUMENTS } from '../js/simulation.js';
+import { createSection } from '../js/sections.js';
+import { describe } from '../js/statistics.js';
+
+function stateWith(overrides = {}) {
+  return { ...structuredClone(DEFAULTS), seed: 'test', clapperCount: 20, ...overrides };
+}
+
+test('the same seed plans the same claps', () => {
+  const state = stateWith({ personBias: 0.5, personDrift: 2 });
+  assert.deepEqual(simulate(state, 16), simulate(state, 16));
+});
+
+test('different seeds plan different claps', () => {
+  const a = simulate(stateWith({ seed: 'a' }), 4);
+  const b = simulate(stateWith({ seed: 'b' }), 4);
+  assert.notDeepEqual(a.map(e => e.time), b.map(e => e.time));
+});
+
+test('coupled mode is repeatable too', () => {
+  const state = stateWith({ timingMode: 'coupled' });
+  assert.deepEqual(simulate(state, 16), simulate(state, 16));
+});
+
+test('every clapper claps once per beat', () => {
+  const events = simulate(stateWith(), 8);
+  assert.equal(events.length, 20 * 8);
+  for (let beat = 0; beat < 8; beat++) {
+    const people = events.filter(e => e.step === beat).map(e => e.personIndex).sort((a, b) => a - b);
+    assert.deepEqual(people, Array.from({ length: 20 }, (_, i) => i));
+  }
+});
+
+test('claps land at their offset from the beat grid', () => {
+  const state = stateWith({ bpm: 120 });
+  for (const event of simulate(state, 8, 1)) {
+    const beatTime = 1 + event.step * 0.5;
+    assert.ok(Math.abs(event.time - (beatTime + (event.offsetMs + event.delayMs) / 1000)) < 1e-9);
+  }
+});
+
+test('offsets follow the spread', () => {
+  const events = simulate(stateWith({ clapperCount: 100, spread: 25 }), 40);
+  const { mean, sd } = describe(events.map(e => e.offsetMs));
+  assert.ok(Math.abs(mean) < 2, `mean ${mean}`);
+  assert.ok(Math.abs(sd - 25) < 2, `sd ${sd}`);
+});
+
+test('each clapper keeps their pitch, volume and voice', () => {
+  const events = simulate(stateWith(), 4);
+  const first = new Map();
+  for (const event of events) {
+    const seen = first.get(event.personIndex);
+    if (!seen) {
+      first.set(event.personIndex, event);
+      continue;
+    }
+    assert.equal(event.rate, seen.rate);
+    assert.equal(event.gain, seen.gain);
+    assert.equal(event.bufferId, seen.bufferId);
+  }
+  assert.equal(first.get(3).bufferId, 'voice3');
+});
+
+test('resizing an unseeded crowd keeps the persons it has, and their places', () => {
+  const simulation = new CrowdSimulation(stateWith({ seed: '', spatialLayout: 'theater' }));
+  simulation.regeneratePersons();
+  const before = simulation.persons.slice(0, 10);
+  const placed = simulation.positions.slice(0, 10);
+  simulation.regeneratePersons(30);
+  const seats = new Set(simulation.positions.map(({ x, y }) => `${x},${y}`));
+  assert.equal(seats.size, 30);
+  simulation.regeneratePersons(10);
+  assert.equal(simulation.persons.length, 10);
+  simulation.persons.forEach((person, i) => {
+    assert.equal(person, before[i]);
+    assert.equal(person.synthKey, before[i].synthKey);
+  });
+  assert.deepEqual(simulation.positions, placed);
+});
+
+test('pattern rests are silent and unaccented steps quieter', () => {
+  // Quarter notes: accented clap, clap, rest, clap
+  const state = stateWith({ soundSource: 'pattern', pattern: '1:Cc-c' });
+  const events = simulate(state, 8);
+  assert.equal(events.filter(e => e.step % 4 === 2).length, 0);
+  const person = events.filter(e => e.personIndex === 0);
+  assert.ok(person.find(e => e.step % 4 === 1).gain < person.find(e => e.step % 4 === 0).gain);
+});
+
+test('sections get their own persons, delay and pan', () => {
+  const sections = [
+    { ...createSection(stateWith()), clapperCount: 5, delayMs: 0, pan: -1 },
+    { ...createSection(stateWith()), clapperCount: 3, delayMs: 80, pan: 0.5 },
+  ];
+  const events = simulate(stateWith({ sections }), 2);
+  assert.equal(events.length, 8 * 2);
+  for (const event of events) {
+    const late = event.personIndex >= 5;
+    assert.equal(event.delayMs, late ? 80 : 0);
+    assert.equal(event.pan, late ? 0.5 : -1);
+  }
+});
+
+test('large crowds play a louder subset of clappers', () => {
+  const clapperCount = LOD_CLAPPER_THRESHOLD * 5;
+  const simulation = new CrowdSimulation(stateWith({ clapperCount }));
+  simulation.regeneratePersons();
+  const claps = simulation.planBeat(0, 0, simulation.createRun());
+  assert.equal(claps.length, LOD_SAMPLE_COUNT);
+  const scale = Math.sqrt(clapperCount / LOD_SAMPLE_COUNT);
+  for (const clap of claps) {
+    const person = simulation.persons[clap.personIndex];
+    assert.ok(Math.abs(clap.gain - person.volumeFactor * scale) < 1e-9);
+  }
+});
+
+test('sample sounds are picked from the library', () => {
+  const simulation = new CrowdSimulation(stateWith({ soundSource: 'sample' }));
+  const buffer = { numberOfChannels: 1, length: 4, sampleRate: 44100, getChannelData: () => new Float32Array([0, 1, -1, 0]) };
+  simulation.library.add(BUILT_IN_INSTRUMENTS.sample, 'clap.wav', buffer, { builtIn: true });
+  simulation.regeneratePersons();
+  const { claps } = simulation.planSteps(2);
+  assert.ok(claps.length > 0);
+  for (const clap of claps) assert.equal(simulation.bufferId(clap.buffer), 'Clap sample/clap.wav');
+});
+
+test('tempo automation respaces the steps', () => {
+  const automation = { enabled: true, bars: 4, lanes: { bpm: [[0, 60], [4, 180]] } };
+  const simulation = new CrowdSimulation(stateWith({ automation }));
+  simulation.regeneratePersons();
+  const { steps } = simulation.planSchedule(4);
+  const first = steps[1].time - steps[0].time;
+  const last = steps[steps.length - 1].time - steps[steps.length - 2].time;
+  assert.ok(Math.abs(first - 1) < 0.05, `first step ${first}s`);
+  assert.ok(last < 0.4, `last step ${last}s`);
+});
@@ -0,0 +1,45 @@
+/**
+ * Tests for the worklet clap matrix (worklet-player.js): the section pan must
+ * follow StereoPannerNode's gains, as the node scheduler and WAV export do.
+ * Run with `node --test test/`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { clapMatrix } from '../js/worklet-player.js';
+
+const PANS = [-1, -0.6, -0.2, 0.3, 0.8, 1];
+
+// Outputs [left, right] of a matrix for the two inputs
+function apply([ll, rl, lr, rr], left, right) {
+  return [ll * left + rl * right, lr * left + rr * right];
+}
+
+function assertClose(actual, expected) {
+  actual.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < 1e-9, `${actual} != ${expected}`));
+}
+
+test('mono claps pan with the mono-input law', () => {
+  for (const pan of PANS) {
+    // Mono sounds play on both inputs
+    const out = apply(clapMatrix({ gain: 0.5, pan, position: null }, 1), 1, 1);
+    const x = ((pan + 1) / 2) * (Math.PI / 2);
+    assertClose(out, [0.5 * Math.cos(x), 0.5 * Math.sin(x)]);
+  }
+});
+
+test('stereo claps pan with the stereo-input law', () => {
+  const [left, right] = [0.3, 0.7];
+  for (const pan of PANS) {
+    const out = apply(clapMatrix({ gain: 0.5, pan, position: null }, 2), left, right);
+    const x = ((pan <= 0 ? pan + 1 : pan) * Math.PI) / 2;
+    const expected = pan <= 0
+      ? [left + right * Math.cos(x), right * Math.sin(x)]
+      : [left * Math.cos(x), right + left * Math.sin(x)];
+    assertClose(out, expected.map(v => 0.5 * v));
+  }
+});
+
+test('unpanned mono claps play on both sides at their gain', () => {
+  assertClose(apply(clapMatrix({ gain: 0.8, pan: 0, position: null }, 1), 1, 1), [0.8, 0.8]);
+});